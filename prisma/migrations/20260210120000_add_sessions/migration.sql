@@ -0,0 +1,26 @@
+-- CreateTable
+CREATE TABLE `Session` (
+    `id` VARCHAR(191) NOT NULL,
+    `kind` ENUM('TENANT', 'EXECUTIVE') NOT NULL,
+    `tokenHash` VARCHAR(191) NOT NULL,
+    `tenantId` VARCHAR(191) NULL,
+    `userId` VARCHAR(191) NULL,
+    `lastSeenAt` DATETIME(3) NOT NULL,
+    `idleExpiresAt` DATETIME(3) NOT NULL,
+    `expiresAt` DATETIME(3) NOT NULL,
+    `revokedAt` DATETIME(3) NULL,
+    `revokeReason` VARCHAR(191) NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    UNIQUE INDEX `Session_tokenHash_key`(`tokenHash`),
+    INDEX `Session_tenantId_idx`(`tenantId`),
+    INDEX `Session_userId_idx`(`userId`),
+    INDEX `Session_expiresAt_idx`(`expiresAt`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `Session` ADD CONSTRAINT `Session_tenantId_fkey` FOREIGN KEY (`tenantId`) REFERENCES `Tenant`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `Session` ADD CONSTRAINT `Session_userId_fkey` FOREIGN KEY (`userId`) REFERENCES `User`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
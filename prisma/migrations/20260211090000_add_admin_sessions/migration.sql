@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE `Session` MODIFY `kind` ENUM('TENANT', 'EXECUTIVE', 'ADMIN') NOT NULL;
@@ -0,0 +1,17 @@
+-- CreateTable
+CREATE TABLE `LoginAttempt` (
+    `id` VARCHAR(191) NOT NULL,
+    `scope` ENUM('TENANT', 'EXECUTIVE', 'ADMIN', 'ACTIVATION') NOT NULL,
+    `accountKey` VARCHAR(191) NOT NULL,
+    `ip` VARCHAR(191) NULL,
+    `userAgent` VARCHAR(191) NULL,
+    `success` BOOLEAN NOT NULL,
+    `reason` VARCHAR(191) NULL,
+    `clearedAt` DATETIME(3) NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    INDEX `LoginAttempt_scope_accountKey_createdAt_idx`(`scope`, `accountKey`, `createdAt`),
+    INDEX `LoginAttempt_ip_createdAt_idx`(`ip`, `createdAt`),
+    INDEX `LoginAttempt_createdAt_idx`(`createdAt`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
@@ -0,0 +1,22 @@
+-- CreateTable
+CREATE TABLE `AuditEvent` (
+    `id` VARCHAR(191) NOT NULL,
+    `tenantId` VARCHAR(191) NULL,
+    `actorType` VARCHAR(191) NOT NULL,
+    `actorId` VARCHAR(191) NULL,
+    `actorLabel` VARCHAR(191) NULL,
+    `ip` VARCHAR(191) NULL,
+    `action` VARCHAR(191) NOT NULL,
+    `entityType` VARCHAR(191) NOT NULL,
+    `entityId` VARCHAR(191) NULL,
+    `diff` JSON NULL,
+    `meta` JSON NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    INDEX `AuditEvent_tenantId_createdAt_idx`(`tenantId`, `createdAt`),
+    INDEX `AuditEvent_entityType_entityId_idx`(`entityType`, `entityId`),
+    INDEX `AuditEvent_actorId_createdAt_idx`(`actorId`, `createdAt`),
+    INDEX `AuditEvent_action_createdAt_idx`(`action`, `createdAt`),
+    INDEX `AuditEvent_createdAt_idx`(`createdAt`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
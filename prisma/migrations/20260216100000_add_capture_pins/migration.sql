@@ -0,0 +1,15 @@
+-- AlterTable
+ALTER TABLE `CaptureToken` ADD COLUMN `pinHash` VARCHAR(191) NULL;
+
+-- AlterTable
+ALTER TABLE `Session` MODIFY `kind` ENUM('TENANT', 'EXECUTIVE', 'ADMIN', 'CAPTURE') NOT NULL,
+    ADD COLUMN `captureTokenId` VARCHAR(191) NULL;
+
+-- AlterTable
+ALTER TABLE `LoginAttempt` MODIFY `scope` ENUM('TENANT', 'EXECUTIVE', 'ADMIN', 'ACTIVATION', 'CAPTURE_PIN') NOT NULL;
+
+-- CreateIndex
+CREATE INDEX `Session_captureTokenId_idx` ON `Session`(`captureTokenId`);
+
+-- AddForeignKey
+ALTER TABLE `Session` ADD CONSTRAINT `Session_captureTokenId_fkey` FOREIGN KEY (`captureTokenId`) REFERENCES `CaptureToken`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
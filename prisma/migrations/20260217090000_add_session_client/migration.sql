@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE `Session` ADD COLUMN `ip` VARCHAR(191) NULL,
+    ADD COLUMN `userAgent` VARCHAR(191) NULL;
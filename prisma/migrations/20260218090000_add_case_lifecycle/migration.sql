@@ -0,0 +1,13 @@
+-- AlterTable
+ALTER TABLE `Case` ADD COLUMN `startedAt` DATETIME(3) NULL,
+    ADD COLUMN `readyToCloseAt` DATETIME(3) NULL,
+    ADD COLUMN `closedAt` DATETIME(3) NULL,
+    ADD COLUMN `closedByUserId` VARCHAR(191) NULL,
+    ADD COLUMN `reopenedAt` DATETIME(3) NULL;
+
+-- CreateIndex
+CREATE INDEX `Case_status_idx` ON `Case`(`status`);
+
+-- Backfill: casos con fotos ya comenzaron
+UPDATE `Case` c SET c.`status` = 'IN_PROGRESS', c.`startedAt` = (SELECT MIN(p.`createdAt`) FROM `Photo` p WHERE p.`caseId` = c.`id`)
+WHERE c.`status` = 'DRAFT' AND EXISTS (SELECT 1 FROM `Photo` p WHERE p.`caseId` = c.`id`);
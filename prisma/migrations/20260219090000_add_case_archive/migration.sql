@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE `Case` ADD COLUMN `archivedAt` DATETIME(3) NULL;
+
+-- CreateIndex
+CREATE INDEX `Case_archivedAt_idx` ON `Case`(`archivedAt`);
@@ -0,0 +1,28 @@
+-- AlterTable
+ALTER TABLE `Case` ADD COLUMN `slotsTotal` INTEGER NOT NULL DEFAULT 0,
+    ADD COLUMN `slotsUploaded` INTEGER NOT NULL DEFAULT 0,
+    ADD COLUMN `slotsAnalyzed` INTEGER NOT NULL DEFAULT 0,
+    ADD COLUMN `slotsRejected` INTEGER NOT NULL DEFAULT 0,
+    ADD COLUMN `progressPct` INTEGER NOT NULL DEFAULT 0,
+    ADD COLUMN `score` INTEGER NULL,
+    ADD COLUMN `badge` VARCHAR(191) NULL,
+    ADD COLUMN `statsUpdatedAt` DATETIME(3) NULL;
+
+-- CreateIndex
+CREATE INDEX `Case_tenantId_createdAt_idx` ON `Case`(`tenantId`, `createdAt`);
+CREATE INDEX `Case_assignedUserId_createdAt_idx` ON `Case`(`assignedUserId`, `createdAt`);
+CREATE INDEX `Case_badge_idx` ON `Case`(`badge`);
+
+-- Backfill de conteos; score y badge los completa el servidor al arrancar (statsUpdatedAt NULL)
+UPDATE `Case` c SET
+  c.`slotsTotal` = (SELECT COUNT(*) FROM `Slot` s WHERE s.`caseId` = c.`id`),
+  c.`slotsUploaded` = (SELECT COUNT(*) FROM `Slot` s WHERE s.`caseId` = c.`id` AND s.`status` IN ('UPLOADED', 'ANALYZED', 'REJECTED')),
+  c.`slotsAnalyzed` = (SELECT COUNT(*) FROM `Slot` s WHERE s.`caseId` = c.`id` AND s.`status` = 'ANALYZED'),
+  c.`slotsRejected` = (SELECT COUNT(*) FROM `Slot` s WHERE s.`caseId` = c.`id` AND s.`status` = 'REJECTED');
+UPDATE `Case` SET `progressPct` = IF(`slotsTotal` > 0, ROUND(`slotsUploaded` * 100 / `slotsTotal`), 0);
+
+-- Los listados leen readyToCloseAt en vez de evaluar los slots: se completa para casos anteriores
+UPDATE `Case` c SET c.`readyToCloseAt` = CURRENT_TIMESTAMP(3)
+WHERE c.`status` <> 'DONE' AND c.`readyToCloseAt` IS NULL
+  AND EXISTS (SELECT 1 FROM `Slot` s WHERE s.`caseId` = c.`id`)
+  AND NOT EXISTS (SELECT 1 FROM `Slot` s WHERE s.`caseId` = c.`id` AND s.`required` = 1 AND s.`status` NOT IN ('ANALYZED', 'NOT_CAPTURABLE'));
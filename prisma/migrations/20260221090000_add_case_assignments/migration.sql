@@ -0,0 +1,27 @@
+-- CreateTable
+CREATE TABLE `CaseAssignment` (
+    `id` VARCHAR(191) NOT NULL,
+    `caseId` VARCHAR(191) NOT NULL,
+    `tenantId` VARCHAR(191) NULL,
+    `fromUserId` VARCHAR(191) NULL,
+    `fromUserName` VARCHAR(191) NULL,
+    `toUserId` VARCHAR(191) NULL,
+    `toUserName` VARCHAR(191) NULL,
+    `reason` VARCHAR(191) NOT NULL,
+    `note` TEXT NULL,
+    `actorType` VARCHAR(191) NOT NULL,
+    `actorId` VARCHAR(191) NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    INDEX `CaseAssignment_caseId_createdAt_idx`(`caseId`, `createdAt`),
+    INDEX `CaseAssignment_toUserId_idx`(`toUserId`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `CaseAssignment` ADD CONSTRAINT `CaseAssignment_caseId_fkey` FOREIGN KEY (`caseId`) REFERENCES `Case`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- Backfill: la asignación vigente de cada caso queda como primer registro del historial
+INSERT INTO `CaseAssignment` (`id`, `caseId`, `tenantId`, `toUserId`, `toUserName`, `reason`, `actorType`, `createdAt`)
+SELECT UUID(), c.`id`, c.`tenantId`, c.`assignedUserId`, u.`fullName`, 'CREATED', 'SYSTEM', c.`createdAt`
+FROM `Case` c JOIN `User` u ON u.`id` = c.`assignedUserId`;
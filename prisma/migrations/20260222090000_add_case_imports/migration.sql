@@ -0,0 +1,22 @@
+-- CreateTable
+CREATE TABLE `CaseImport` (
+    `id` VARCHAR(191) NOT NULL,
+    `tenantId` VARCHAR(191) NOT NULL,
+    `fileName` VARCHAR(191) NULL,
+    `status` VARCHAR(191) NOT NULL,
+    `rowsTotal` INTEGER NOT NULL,
+    `rowsValid` INTEGER NOT NULL,
+    `rowsCreated` INTEGER NOT NULL DEFAULT 0,
+    `rows` JSON NOT NULL,
+    `results` JSON NULL,
+    `createdByType` VARCHAR(191) NOT NULL,
+    `createdById` VARCHAR(191) NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `completedAt` DATETIME(3) NULL,
+
+    INDEX `CaseImport_tenantId_createdAt_idx`(`tenantId`, `createdAt`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `CaseImport` ADD CONSTRAINT `CaseImport_tenantId_fkey` FOREIGN KEY (`tenantId`) REFERENCES `Tenant`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,13 @@
+-- AlterTable
+ALTER TABLE `Property` ADD COLUMN `rolKey` VARCHAR(191) NULL,
+    ADD COLUMN `addressKey` VARCHAR(255) NULL;
+
+-- CreateIndex
+CREATE INDEX `Property_tenantId_rolKey_idx` ON `Property`(`tenantId`, `rolKey`);
+
+-- CreateIndex
+CREATE INDEX `Property_tenantId_addressKey_idx` ON `Property`(`tenantId`, `addressKey`);
+
+-- Las claves se calculan al arrancar el servidor (propertyRegistry.backfillKeys): la
+-- normalización de direcciones (tildes, abreviaturas) vive en JS. Las propiedades
+-- duplicadas de antes de esta migración no se fusionan.
@@ -0,0 +1,8 @@
+-- AlterTable
+ALTER TABLE `Case` ADD COLUMN `baselineCaseId` VARCHAR(191) NULL;
+
+-- CreateIndex
+CREATE INDEX `Case_baselineCaseId_idx` ON `Case`(`baselineCaseId`);
+
+-- AddForeignKey
+ALTER TABLE `Case` ADD CONSTRAINT `Case_baselineCaseId_fkey` FOREIGN KEY (`baselineCaseId`) REFERENCES `Case`(`id`) ON DELETE SET NULL ON UPDATE NO ACTION;
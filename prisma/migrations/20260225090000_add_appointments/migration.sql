@@ -0,0 +1,41 @@
+-- AlterTable
+ALTER TABLE `User` ADD COLUMN `calendarTokenHash` VARCHAR(191) NULL;
+
+-- CreateIndex
+CREATE UNIQUE INDEX `User_calendarTokenHash_key` ON `User`(`calendarTokenHash`);
+
+-- CreateTable
+CREATE TABLE `Appointment` (
+    `id` VARCHAR(191) NOT NULL,
+    `tenantId` VARCHAR(191) NOT NULL,
+    `caseId` VARCHAR(191) NOT NULL,
+    `userId` VARCHAR(191) NULL,
+    `startsAt` DATETIME(3) NOT NULL,
+    `endsAt` DATETIME(3) NOT NULL,
+    `contactName` VARCHAR(191) NULL,
+    `contactPhone` VARCHAR(191) NULL,
+    `contactEmail` VARCHAR(191) NULL,
+    `notes` TEXT NULL,
+    `status` ENUM('SCHEDULED', 'CONFIRMED', 'DONE', 'NO_SHOW', 'CANCELLED') NOT NULL DEFAULT 'SCHEDULED',
+    `cancelReason` VARCHAR(191) NULL,
+    `cancelledAt` DATETIME(3) NULL,
+    `sequence` INTEGER NOT NULL DEFAULT 0,
+    `createdByType` VARCHAR(191) NOT NULL,
+    `createdById` VARCHAR(191) NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL,
+
+    INDEX `Appointment_userId_startsAt_idx`(`userId`, `startsAt`),
+    INDEX `Appointment_caseId_idx`(`caseId`),
+    INDEX `Appointment_tenantId_startsAt_idx`(`tenantId`, `startsAt`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `Appointment` ADD CONSTRAINT `Appointment_tenantId_fkey` FOREIGN KEY (`tenantId`) REFERENCES `Tenant`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `Appointment` ADD CONSTRAINT `Appointment_caseId_fkey` FOREIGN KEY (`caseId`) REFERENCES `Case`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `Appointment` ADD CONSTRAINT `Appointment_userId_fkey` FOREIGN KEY (`userId`) REFERENCES `User`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
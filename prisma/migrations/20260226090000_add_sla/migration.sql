@@ -0,0 +1,26 @@
+-- AlterTable
+ALTER TABLE `Case` ADD COLUMN `captureDueAt` DATETIME(3) NULL,
+    ADD COLUMN `reportDueAt` DATETIME(3) NULL;
+
+-- CreateIndex
+CREATE INDEX `Case_tenantId_captureDueAt_idx` ON `Case`(`tenantId`, `captureDueAt`);
+
+-- CreateIndex
+CREATE INDEX `Case_tenantId_reportDueAt_idx` ON `Case`(`tenantId`, `reportDueAt`);
+
+-- CreateTable
+CREATE TABLE `SlaPolicy` (
+    `tenantId` VARCHAR(191) NOT NULL,
+    `captureDays` INTEGER NULL,
+    `reportDays` INTEGER NULL,
+    `atRiskHours` INTEGER NOT NULL DEFAULT 24,
+    `holidays` JSON NULL,
+    `updatedAt` DATETIME(3) NOT NULL,
+
+    PRIMARY KEY (`tenantId`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `SlaPolicy` ADD CONSTRAINT `SlaPolicy_tenantId_fkey` FOREIGN KEY (`tenantId`) REFERENCES `Tenant`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- Los casos existentes quedan sin plazos: se calculan para los abiertos al guardar la política
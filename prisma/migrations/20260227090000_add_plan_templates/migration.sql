@@ -0,0 +1,20 @@
+-- AlterTable
+ALTER TABLE `Slot` ADD COLUMN `kpiKey` VARCHAR(191) NULL;
+
+-- CreateTable
+CREATE TABLE `PlanTemplate` (
+    `id` VARCHAR(191) NOT NULL,
+    `tenantId` VARCHAR(191) NULL,
+    `version` INTEGER NOT NULL,
+    `name` VARCHAR(191) NOT NULL,
+    `rooms` JSON NOT NULL,
+    `createdByType` VARCHAR(191) NULL,
+    `createdById` VARCHAR(191) NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    UNIQUE INDEX `PlanTemplate_tenantId_version_key`(`tenantId`, `version`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `PlanTemplate` ADD CONSTRAINT `PlanTemplate_tenantId_fkey` FOREIGN KEY (`tenantId`) REFERENCES `Tenant`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,6 @@
+-- AlterTable
+ALTER TABLE `Case` ADD COLUMN `rooms` JSON NULL;
+
+-- AlterTable
+ALTER TABLE `Slot` ADD COLUMN `roomKey` VARCHAR(191) NULL,
+    ADD COLUMN `roomLabel` VARCHAR(191) NULL;
@@ -0,0 +1,6 @@
+-- AlterTable
+ALTER TABLE `Slot` ADD COLUMN `notCapturableReason` VARCHAR(191) NULL,
+    ADD COLUMN `notCapturableAt` DATETIME(3) NULL;
+
+-- AlterTable
+ALTER TABLE `Case` ADD COLUMN `slotsNotCapturable` INTEGER NOT NULL DEFAULT 0;
@@ -0,0 +1,8 @@
+-- AlterTable
+ALTER TABLE `Photo` ADD COLUMN `accepted` BOOLEAN NOT NULL DEFAULT false;
+
+-- Hasta ahora la única foto vigente de un slot analizado era Slot.photoId
+UPDATE `Photo` p
+    INNER JOIN `Slot` s ON s.`photoId` = p.`id`
+    SET p.`accepted` = true
+    WHERE s.`status` = 'ANALYZED';
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE `CaseImport` ADD COLUMN `processingAt` DATETIME(3) NULL;
@@ -0,0 +1,31 @@
+-- AlterTable
+ALTER TABLE `PlanTemplate` ADD COLUMN `scope` VARCHAR(191) NULL;
+
+UPDATE `PlanTemplate` SET `scope` = COALESCE(`tenantId`, 'GLOBAL');
+
+ALTER TABLE `PlanTemplate` MODIFY `scope` VARCHAR(191) NOT NULL;
+
+-- Con tenantId NULL el índice anterior no impedía versiones globales repetidas: se renumeran
+-- 1..n en el mismo orden (versión, fecha, id) para que el índice único nuevo se pueda crear.
+-- Los casos guardan el id de la versión, no su número, así que no cambian.
+UPDATE `PlanTemplate` p
+    INNER JOIN (
+        SELECT a.`id`, COUNT(*) AS `position`
+        FROM `PlanTemplate` a
+        INNER JOIN `PlanTemplate` b ON b.`scope` = a.`scope`
+            AND (b.`version` < a.`version`
+                OR (b.`version` = a.`version` AND (b.`createdAt` < a.`createdAt`
+                    OR (b.`createdAt` = a.`createdAt` AND b.`id` <= a.`id`))))
+        WHERE a.`scope` = 'GLOBAL'
+        GROUP BY a.`id`
+    ) r ON r.`id` = p.`id`
+    SET p.`version` = r.`position`;
+
+-- CreateIndex (la FK de tenantId usaba el índice único anterior)
+CREATE INDEX `PlanTemplate_tenantId_idx` ON `PlanTemplate`(`tenantId`);
+
+-- DropIndex
+DROP INDEX `PlanTemplate_tenantId_version_key` ON `PlanTemplate`;
+
+-- CreateIndex
+CREATE UNIQUE INDEX `PlanTemplate_scope_version_key` ON `PlanTemplate`(`scope`, `version`);
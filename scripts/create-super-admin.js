@@ -0,0 +1,48 @@
+// Crea (o actualiza) un usuario SUPER_ADMIN con clave para entrar a /admin.
+// Uso: SUPER_ADMIN_PASSWORD='...' node scripts/create-super-admin.js admin@dominio.cl "Nombre Apellido"
+import dotenv from 'dotenv';
+import { PrismaClient } from '@prisma/client';
+
+import { hashPassword } from '../src/auth/passwords.js';
+import { checkPasswordPolicy, passwordPolicyDescription } from '../src/auth/passwordPolicy.js';
+
+dotenv.config();
+
+const email = String(process.argv[2] || '').trim().toLowerCase();
+const fullName = String(process.argv[3] || 'Super Admin').trim();
+const password = String(process.env.SUPER_ADMIN_PASSWORD || '');
+
+if (!email || !password) {
+  console.error('Uso: SUPER_ADMIN_PASSWORD=... node scripts/create-super-admin.js <email> [nombre]');
+  process.exit(1);
+}
+
+const passwordError = checkPasswordPolicy(password, { identifiers: [email, fullName] });
+if (passwordError) {
+  console.error(`${passwordError}: ${passwordPolicyDescription()}`);
+  process.exit(1);
+}
+
+const prisma = new PrismaClient();
+
+try {
+  const data = {
+    fullName,
+    role: 'SUPER_ADMIN',
+    status: 'ACTIVE',
+    passwordHash: await hashPassword(password),
+    activatedAt: new Date()
+  };
+  const user = await prisma.user.upsert({
+    where: { email },
+    update: data,
+    create: { email, tenantId: null, ...data }
+  });
+  await prisma.session.updateMany({
+    where: { userId: user.id, revokedAt: null },
+    data: { revokedAt: new Date(), revokeReason: 'PASSWORD_CHANGED' }
+  });
+  console.log(`SUPER_ADMIN listo: ${user.email} (${user.id})`);
+} finally {
+  await prisma.$disconnect();
+}
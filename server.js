@@ -9,11 +9,43 @@ import fs from 'node:fs';
 import OpenAI from 'openai';
 import { fileURLToPath } from 'node:url';
 import sharp from 'sharp';
-import { PrismaClient } from '@prisma/client';
+import { Prisma, PrismaClient } from '@prisma/client';
 
 import { createStorage } from './src/storage/storage.js';
-import { registerCaptureRoutes } from './src/routes/capture.js';
+import { createSessionStore } from './src/auth/sessionStore.js';
+import { hashPassword, verifyPassword } from './src/auth/passwords.js';
+import { checkPasswordPolicy, passwordPolicyError } from './src/auth/passwordPolicy.js';
+import { createPasswordResetService } from './src/auth/passwordReset.js';
+import { createLoginGuard } from './src/auth/loginGuard.js';
+import { createNotifier } from './src/notify/notifier.js';
+import { createAuditLog } from './src/audit/auditLog.js';
+import { createCaseLifecycle } from './src/cases/caseLifecycle.js';
+import { reconcilePlanSlots } from './src/cases/casePlan.js';
+import { createCaseStats, progressFromCaseStats } from './src/cases/caseStats.js';
+import { listCases } from './src/cases/caseListing.js';
+import { createCaseAssignmentService, OPEN_CASE_WHERE } from './src/cases/caseAssignments.js';
+import { createCaseCreationService, roomCountColumns } from './src/cases/caseCreation.js';
+import { createCaseImportService } from './src/cases/caseImport.js';
+import { createSlaService, caseSlaStatus } from './src/cases/caseSla.js';
+import { buildPlanFromTemplate, createPlanTemplateService, normalizeRoomList, roomListCounts } from './src/plans/planTemplates.js';
+import { createAppointmentService } from './src/appointments/appointments.js';
+import { createPropertyRegistry } from './src/properties/propertyRegistry.js';
+import { fieldError, registerValidationErrors } from './src/validation/errors.js';
+import * as schemas from './src/validation/schemas.js';
+import { requireRole } from './src/auth/roleGuard.js';
+import { permissionsForRole, requireTenantPermission } from './src/auth/tenantPermissions.js';
+import { API_KEY_SCOPES, createApiKeyService, apiKeyFromReq, normalizeScopes } from './src/auth/apiKeys.js';
+import { MAX_SLOT_PHOTOS, registerCaptureRoutes } from './src/routes/capture.js';
+import { registerCaptureLinkRoutes } from './src/routes/captureLinks.js';
+import { registerAppointmentRoutes } from './src/routes/appointments.js';
+import { registerSlaRoutes } from './src/routes/sla.js';
+import { registerPlanTemplateRoutes } from './src/routes/planTemplates.js';
+import { registerCaseImportRoutes } from './src/routes/caseImport.js';
+import { registerPropertyRoutes } from './src/routes/properties.js';
+import { registerSessionRoutes } from './src/routes/sessions.js';
+import { createCaptureLinkService, summarizeCaptureLinks } from './src/capture/captureLinks.js';
 import { getCaseSummary } from './src/routes/caseSummary.js';
+import { getCaseComparison } from './src/routes/caseComparison.js';
 import { DEFAULT_SCORE_CONFIG, normalizeScoreConfig, classifyKpiFromSlot } from './src/scoring/scoringV2_2.js';
 
 dotenv.config();
@@ -21,9 +53,38 @@ dotenv.config();
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-const fastify = Fastify({ logger: true });
+// allErrors: la respuesta de validación lista todos los campos con problemas, no solo el primero
+const fastify = Fastify({ logger: true, ajv: { customOptions: { allErrors: true } } });
+registerValidationErrors(fastify);
 const prisma = new PrismaClient();
 const storage = createStorage();
+const sessions = createSessionStore({ prisma });
+const apiKeys = createApiKeyService({ prisma });
+const passwordResets = createPasswordResetService({ prisma });
+const loginGuard = createLoginGuard({ prisma });
+const notifier = createNotifier({ logger: fastify.log });
+const auditLog = createAuditLog({ prisma, logger: fastify.log });
+const captureLinks = createCaptureLinkService({ prisma });
+// scoreConfig se declara más abajo y se reemplaza al editarla: se lee en cada refresh
+const caseStats = createCaseStats({ prisma, getScoreConfig: () => scoreConfig, logger: fastify.log });
+const caseLifecycle = createCaseLifecycle({ prisma, caseStats });
+const caseAssignments = createCaseAssignmentService({ prisma });
+const propertyRegistry = createPropertyRegistry({ prisma });
+const sla = createSlaService({ prisma });
+const planTemplates = createPlanTemplateService({
+  prisma,
+  getKpiKeys: () => Object.keys(scoreConfig?.kpis || DEFAULT_SCORE_CONFIG.kpis)
+});
+const caseCreation = createCaseCreationService({
+  prisma,
+  captureLinks,
+  caseAssignments,
+  propertyRegistry,
+  sla,
+  planTemplates
+});
+const caseImports = createCaseImportService({ prisma, caseCreation });
+const appointments = createAppointmentService({ prisma, caseAssignments });
 
 const PORT = Number(process.env.PORT || 3000);
 
@@ -59,9 +120,11 @@ let scoreConfig = loadScoreConfig();
 
 const TENANT_SESSION_COOKIE = 'tenant_session';
 const EXEC_SESSION_COOKIE = 'exec_session';
-const tenantSessions = new Map();
-const execSessions = new Map();
+const ADMIN_SESSION_COOKIE = 'admin_session';
+const TENANT_ROLES = ['TENANT_ADMIN', 'TENANT_USER'];
 
+// Filtro explícito de tenant (header/query). Solo se respeta para SUPER_ADMIN:
+// el resto de los llamadores obtiene el tenant desde su API key o su sesión.
 function getTenantIdFromReq(req) {
   const header = req.headers['x-tenant-id'];
   const query = req.query?.tenantId;
@@ -70,20 +133,10 @@ function getTenantIdFromReq(req) {
   return id.length ? id : null;
 }
 
-function hashPassword(password) {
-  const salt = crypto.randomBytes(16).toString('hex');
-  const derived = crypto.scryptSync(password, salt, 64).toString('hex');
-  return `scrypt$${salt}$${derived}`;
-}
-
-function verifyPassword(password, stored) {
-  if (!stored || !password) return false;
-  const parts = String(stored).split('$');
-  if (parts.length !== 3 || parts[0] !== 'scrypt') return false;
-  const salt = parts[1];
-  const hash = parts[2];
-  const derived = crypto.scryptSync(password, salt, 64).toString('hex');
-  return crypto.timingSafeEqual(Buffer.from(hash, 'hex'), Buffer.from(derived, 'hex'));
+function normalizeTenantRole(value, fallback = 'TENANT_USER') {
+  if (value === undefined || value === null || value === '') return fallback;
+  const role = String(value).toUpperCase();
+  return TENANT_ROLES.includes(role) ? role : null;
 }
 
 function normalizeRut(value) {
@@ -92,39 +145,175 @@ function normalizeRut(value) {
     .toUpperCase();
 }
 
-function createTenantSession(tenantId) {
-  const token = crypto.randomUUID();
-  tenantSessions.set(token, { tenantId, createdAt: Date.now() });
-  return token;
+function sessionCookieOptions() {
+  return {
+    path: '/',
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: process.env.NODE_ENV === 'production',
+    maxAge: Math.floor(sessions.timeouts.absoluteMs / 1000)
+  };
 }
 
-function getTenantSession(req) {
-  const token = req.cookies?.[TENANT_SESSION_COOKIE];
-  if (!token) return null;
-  return tenantSessions.get(token) || null;
+// IP y user agent quedan en la sesión para que el usuario reconozca sus dispositivos
+function sessionClient(req) {
+  return { ip: req.ip || null, userAgent: req.headers['user-agent'] || null };
 }
 
-function createExecSession(userId, tenantId) {
-  const token = crypto.randomUUID();
-  execSessions.set(token, { userId, tenantId, createdAt: Date.now() });
-  return token;
+// userId null = acceso compartido con el RUT y clave de la empresa
+async function createTenantSession(req, tenantId, userId = null) {
+  return sessions.create({ kind: 'TENANT', tenantId, userId, ...sessionClient(req) });
 }
 
-function getExecSession(req) {
-  const token = req.cookies?.[EXEC_SESSION_COOKIE];
-  if (!token) return null;
-  return execSessions.get(token) || null;
+async function getTenantSession(req) {
+  return sessions.get('TENANT', req.cookies?.[TENANT_SESSION_COOKIE]);
+}
+
+/**
+ * Principal del panel de corredora. El rol se lee en cada request, así un cambio de
+ * rol o la desactivación del usuario aplican de inmediato sobre sesiones abiertas.
+ */
+async function getTenantPrincipal(req) {
+  const session = await getTenantSession(req);
+  if (!session) return null;
+  if (!session.userId) {
+    return { session, tenantId: session.tenantId, user: { id: null, role: 'TENANT_ADMIN', shared: true } };
+  }
+  const user = await prisma.user.findUnique({ where: { id: session.userId } });
+  if (!user || user.status !== 'ACTIVE' || user.tenantId !== session.tenantId) return null;
+  if (!TENANT_ROLES.includes(user.role)) return null;
+  return { session, tenantId: session.tenantId, user };
+}
+
+const requireTenantUser = requireRole(TENANT_ROLES, getTenantPrincipal);
+
+function tenantCan(permission) {
+  return requireTenantPermission(permission, getTenantPrincipal);
+}
+
+async function createExecSession(req, userId, tenantId) {
+  return sessions.create({ kind: 'EXECUTIVE', userId, tenantId, ...sessionClient(req) });
 }
 
-function computeProgressFromSlots(slots) {
-  const total = slots.length;
-  const uploaded = slots.filter((s) =>
-    ['UPLOADED', 'ANALYZED', 'REJECTED'].includes(String(s.status || '').toUpperCase())
-  ).length;
-  const analyzed = slots.filter((s) => String(s.status || '').toUpperCase() === 'ANALYZED').length;
-  const rejected = slots.filter((s) => String(s.status || '').toUpperCase() === 'REJECTED').length;
-  const pct = total ? Math.round((uploaded / total) * 100) : 0;
-  return { uploaded, analyzed, rejected, total, pct };
+async function getExecSession(req) {
+  return sessions.get('EXECUTIVE', req.cookies?.[EXEC_SESSION_COOKIE]);
+}
+
+async function getExecPrincipal(req) {
+  const session = await getExecSession(req);
+  if (!session) return null;
+  const user = await prisma.user.findUnique({ where: { id: session.userId } });
+  if (!user || user.status !== 'ACTIVE') return null;
+  return { session, user };
+}
+
+const requireExecutive = requireRole(TENANT_ROLES, getExecPrincipal);
+
+async function createAdminSession(req, userId) {
+  return sessions.create({ kind: 'ADMIN', userId, ...sessionClient(req) });
+}
+
+async function getAdminPrincipal(req) {
+  const session = await sessions.get('ADMIN', req.cookies?.[ADMIN_SESSION_COOKIE]);
+  if (!session) return null;
+  const user = await prisma.user.findUnique({ where: { id: session.userId } });
+  if (!user || user.status !== 'ACTIVE') return null;
+  return { session, user };
+}
+
+const requireSuperAdmin = requireRole(['SUPER_ADMIN'], getAdminPrincipal);
+
+// Actor de auditoría a partir de lo que dejaron los guards (req.principal / req.caseAccess)
+function auditActor(req) {
+  const ip = req.ip || null;
+  const principal = req.principal;
+  if (principal?.user?.shared) return { type: 'TENANT_ACCOUNT', id: principal.tenantId, label: null, ip };
+  if (principal?.user) return { type: principal.user.role, id: principal.user.id, label: principal.user.email, ip };
+  const access = req.caseAccess;
+  if (access?.via === 'ADMIN') return { type: 'SUPER_ADMIN', id: access.userId, label: null, ip };
+  if (access) return { type: access.via, id: access.apiKeyId || access.userId || null, label: null, ip };
+  return { type: 'ANONYMOUS', id: null, label: null, ip };
+}
+
+function audit(req, event) {
+  return auditLog.record({ actor: auditActor(req), ...event });
+}
+
+function userAuditSnapshot(user) {
+  if (!user) return null;
+  return {
+    email: user.email,
+    fullName: user.fullName,
+    phone: user.phone,
+    role: user.role,
+    status: user.status,
+    tenantId: user.tenantId
+  };
+}
+
+function tenantAuditSnapshot(tenant) {
+  if (!tenant) return null;
+  return {
+    name: tenant.name,
+    legalName: tenant.legalName,
+    rut: tenant.rut,
+    email: tenant.email,
+    phone: tenant.phone,
+    status: tenant.status,
+    passwordSet: !!tenant.passwordHash
+  };
+}
+
+function loginAttemptFromReq(req, scope, account) {
+  return { scope, account, ip: req.ip, userAgent: req.headers['user-agent'] };
+}
+
+// Responde 429/423 si la IP o la cuenta superaron el límite de intentos. Devuelve true si cortó la request.
+async function rejectIfThrottled(req, reply, scope, account) {
+  const verdict = await loginGuard.check({ scope, account, ip: req.ip });
+  if (verdict.allowed) return false;
+  reply.header('Retry-After', String(verdict.retryAfterSeconds));
+  reply.code(verdict.status).send({ ok: false, error: verdict.error, retryAfterSeconds: verdict.retryAfterSeconds });
+  return true;
+}
+
+/**
+ * Resuelve quién accede a /api/cases*: API key (integraciones), sesión de corredora,
+ * sesión de ejecutivo o SUPER_ADMIN. Devuelve { tenantId, via } o { code, error }.
+ * tenantId null solo ocurre para SUPER_ADMIN sin filtro (acceso global).
+ */
+async function resolveCaseAccess(req, scope) {
+  const rawKey = apiKeyFromReq(req);
+  if (rawKey) {
+    const key = await apiKeys.authenticate(rawKey, { ip: req.ip });
+    if (!key) return { code: 401, error: 'INVALID_API_KEY' };
+    if (!key.scopes.includes(scope)) return { code: 403, error: 'INSUFFICIENT_SCOPE', scope };
+    return { tenantId: key.tenantId, via: 'API_KEY', apiKeyId: key.id };
+  }
+
+  const tenantPrincipal = await getTenantPrincipal(req);
+  if (tenantPrincipal) return { tenantId: tenantPrincipal.tenantId, via: 'TENANT', userId: tenantPrincipal.user.id };
+
+  const execSession = await getExecSession(req);
+  if (execSession?.tenantId) return { tenantId: execSession.tenantId, via: 'EXECUTIVE', userId: execSession.userId };
+
+  const admin = await getAdminPrincipal(req);
+  if (admin?.user?.role === 'SUPER_ADMIN') {
+    return { tenantId: getTenantIdFromReq(req), via: 'ADMIN', userId: admin.user.id };
+  }
+
+  return { code: 401, error: 'UNAUTHORIZED' };
+}
+
+function requireCaseAccess(scope) {
+  return async function caseAccessGuard(req, reply) {
+    const access = await resolveCaseAccess(req, scope);
+    if (access.error) {
+      const { code, ...body } = access;
+      return reply.code(code).send({ ok: false, ...body });
+    }
+    req.caseAccess = access;
+  };
 }
 
 async function createActivationForUser({ prismaClient, userId }) {
@@ -201,194 +390,51 @@ async function analyzeImageBufferV1({ buffer }) {
   };
 }
 
-function slotGroupTitleFromCode(slotCode = '') {
+// Grupo del informe de un slot. Baños y dormitorios van uno por habitación (BATH_MAIN,
+// BATH_SECONDARY, BATH_<n>, BEDROOM_<n>) con el nombre que les dio la corredora (slot.roomLabel);
+// las habitaciones propias de una plantilla se agrupan por slot.roomKey.
+function slotGroupTitleFromCode(slotCode = '', slot = {}) {
   const code = String(slotCode || '').toUpperCase();
-  if (code.startsWith('BATHROOM_1_')) return { groupKey: 'BATH_MAIN', groupTitle: 'Baño principal' };
-  if (code.startsWith('BATHROOM_2_')) return { groupKey: 'BATH_SECONDARY', groupTitle: 'Baño secundario' };
+  const label = slot.roomLabel || null;
+  const bath = code.match(/^BATHROOM_(\d+)_/);
+  if (bath) {
+    const n = Number(bath[1]);
+    if (n === 1) return { groupKey: 'BATH_MAIN', groupTitle: label || 'Baño principal' };
+    if (n === 2) return { groupKey: 'BATH_SECONDARY', groupTitle: label || 'Baño secundario' };
+    return { groupKey: `BATH_${n}`, groupTitle: label || `Baño ${n}` };
+  }
+  const bedroom = code.match(/^BEDROOM_(\d+)_/);
+  if (bedroom) return { groupKey: `BEDROOM_${bedroom[1]}`, groupTitle: label || `Dormitorio ${bedroom[1]}` };
   if (code.startsWith('KITCHEN_')) return { groupKey: 'KITCHEN', groupTitle: 'Cocina' };
   if (code.startsWith('LAUNDRY_')) return { groupKey: 'LAUNDRY', groupTitle: 'Loggia' };
   if (code.startsWith('LIVING_')) return { groupKey: 'LIVING', groupTitle: 'Living' };
-  if (code.startsWith('BEDROOM_1_')) return { groupKey: 'BEDROOM_1', groupTitle: 'Dormitorio 1' };
-  if (code.startsWith('BEDROOM_2_')) return { groupKey: 'BEDROOM_2', groupTitle: 'Dormitorio 2' };
-  if (code.startsWith('BEDROOM_3_')) return { groupKey: 'BEDROOM_3', groupTitle: 'Dormitorio 3' };
   if (code.startsWith('ELECTRICAL_')) return { groupKey: 'ELECTRICAL', groupTitle: 'Electricidad' };
+  if (code.startsWith('EXTERIOR_') || code.startsWith('PATIO_')) return { groupKey: 'EXTERIOR', groupTitle: 'Exterior y patio' };
+  if (code.startsWith('ATTIC_')) return { groupKey: 'ATTIC', groupTitle: 'Entretecho' };
+  if (code.startsWith('STRUCTURE_')) return { groupKey: 'STRUCTURE', groupTitle: 'Estructura' };
+  if (slot.roomKey) return { groupKey: String(slot.roomKey).toUpperCase(), groupTitle: label || slot.roomKey };
   return { groupKey: 'OTHER', groupTitle: 'Otros' };
 }
 
-function buildInstruction({ indicaciones, donde, que }) {
-  return [
-    `Indicaciones:`,
-    `Dónde sacar la foto: ${donde}`,
-    `Qué buscar: ${que}`
-  ].join('\n');
-}
-
-function buildPhotoPlanV1(input) {
-  const plan = [];
-  const bathCount = Math.max(1, Number(input.bathroomsCount || 1));
-  const bedCount = Math.max(0, Number(input.bedroomsCount || 0));
-
-  for (let i = 1; i <= Math.min(bathCount, 2); i++) {
-    const label = i === 1 ? 'Baño principal' : 'Baño secundario';
-    plan.push(
-      { slotCode: `BATHROOM_${i}_SHOWER`, title: `${label} – Interior tina / ducha`, instructions: buildInstruction({
-        indicaciones: '',
-        donde: 'Zona de ducha/tina y muro cercano.',
-        que: 'Sellos, juntas, humedad o manchas alrededor de la tina/ducha.'
-      }), required: true },
-      { slotCode: `BATHROOM_${i}_SINK`, title: `${label} – Lavamanos`, instructions: buildInstruction({
-        indicaciones: '',
-        donde: 'Lavamanos y cubierta, vista frontal.',
-        que: 'Grifería, sellos, manchas en cubierta.'
-      }), required: true },
-      { slotCode: `BATHROOM_${i}_SINK_PIPES`, title: `${label} – Cañerías lavamanos`, instructions: buildInstruction({
-        indicaciones: '',
-        donde: 'Bajo lavamanos mostrando sifón y conexiones.',
-        que: 'Fugas, óxido, humedad en sifón y conexiones.'
-      }), required: true },
-      { slotCode: `BATHROOM_${i}_WC`, title: `${label} – WC`, instructions: buildInstruction({
-        indicaciones: '',
-        donde: 'WC y base, vista frontal.',
-        que: 'Base, sellos y manchas alrededor del WC.'
-      }), required: true },
-      { slotCode: `BATHROOM_${i}_WC_PIPES`, title: `${label} – Cañerías WC`, instructions: buildInstruction({
-        indicaciones: '',
-        donde: 'Conexión de agua y base del WC.',
-        que: 'Conexión de agua y posibles fugas.'
-      }), required: true },
-      { slotCode: `BATHROOM_${i}_CEILING`, title: `${label} – Cielo`, instructions: buildInstruction({
-        indicaciones: '',
-        donde: 'Cielo del baño con buena iluminación.',
-        que: 'Humedad, moho o manchas en cielo.'
-      }), required: true },
-      { slotCode: `BATHROOM_${i}_OUTLETS`, title: `${label} – Enchufes`, instructions: buildInstruction({
-        indicaciones: '',
-        donde: 'Enchufes y entorno cercano.',
-        que: 'Estado de enchufes/placas y fijación.'
-      }), required: true }
-    );
-  }
-
-  plan.push(
-    { slotCode: 'KITCHEN_UNDER_SINK', title: 'Cocina – Bajo lavaplatos', instructions: buildInstruction({
-      indicaciones: '',
-      donde: 'Bajo lavaplatos mostrando conexiones y sifón.',
-      que: 'Fugas, humedad y estado de conexiones.'
-    }), required: true },
-    { slotCode: 'KITCHEN_SINK_WALL', title: 'Cocina – Muro lavaplatos', instructions: buildInstruction({
-      indicaciones: '',
-      donde: 'Muro/encuentro lavaplatos.',
-      que: 'Manchas, sellos o humedad en muro.'
-    }), required: true },
-    { slotCode: 'KITCHEN_COUNTERTOP', title: 'Cocina – Cubiertas', instructions: buildInstruction({
-      indicaciones: '',
-      donde: 'Cubierta de cocina y encuentros con muro.',
-      que: 'Golpes, sellos, fisuras o desprendimientos.'
-    }), required: true },
-    { slotCode: 'KITCHEN_CABINETS', title: 'Cocina – Muebles', instructions: buildInstruction({
-      indicaciones: '',
-      donde: 'Muebles de cocina (puertas y bisagras).',
-      que: 'Hinchazón, desprendimientos o herrajes sueltos.'
-    }), required: true },
-    { slotCode: 'KITCHEN_OUTLETS', title: 'Cocina – Enchufes', instructions: buildInstruction({
-      indicaciones: '',
-      donde: 'Enchufes y entorno.',
-      que: 'Estado de enchufes/placas.'
-    }), required: true },
-    { slotCode: 'KITCHEN_WINDOW', title: 'Cocina – Ventana', instructions: buildInstruction({
-      indicaciones: '',
-      donde: 'Ventana completa, marcos y sello.',
-      que: 'Sellos, marcos y humedad en ventana.'
-    }), required: true }
-  );
-
-  plan.push(
-    { slotCode: 'LIVING_WALLS', title: 'Living – Muros', instructions: buildInstruction({
-      indicaciones: '',
-      donde: 'Muros del living con pintura visible.',
-      que: 'Pintura, fisuras o manchas.'
-    }), required: true },
-    { slotCode: 'LIVING_CEILING', title: 'Living – Cielo', instructions: buildInstruction({
-      indicaciones: '',
-      donde: 'Cielo del living y terminaciones.',
-      que: 'Terminaciones y humedad en cielo.'
-    }), required: true },
-    { slotCode: 'LIVING_FLOOR', title: 'Living – Piso', instructions: buildInstruction({
-      indicaciones: '',
-      donde: 'Piso del living, terminaciones visibles.',
-      que: 'Estado de piso/terminación.'
-    }), required: true },
-    { slotCode: 'LIVING_WINDOWS', title: 'Living – Ventanas', instructions: buildInstruction({
-      indicaciones: '',
-      donde: 'Ventanas completas, marcos y sello.',
-      que: 'Sellos, marcos o filtraciones.'
-    }), required: true },
-    { slotCode: 'LIVING_SWITCHES', title: 'Living – Interruptores', instructions: buildInstruction({
-      indicaciones: '',
-      donde: 'Interruptores y placas.',
-      que: 'Estado de interruptores/placas.'
-    }), required: true }
-  );
-
-  for (let i = 1; i <= Math.min(bedCount, 3); i++) {
-    plan.push(
-      { slotCode: `BEDROOM_${i}_WALLS`, title: `Dormitorio ${i} – Muros`, instructions: buildInstruction({
-        indicaciones: '',
-        donde: 'Muros del dormitorio con pintura visible.',
-        que: 'Pintura, fisuras o manchas.'
-      }), required: true },
-      { slotCode: `BEDROOM_${i}_FLOOR`, title: `Dormitorio ${i} – Piso`, instructions: buildInstruction({
-        indicaciones: '',
-        donde: 'Piso del dormitorio, terminaciones visibles.',
-        que: 'Estado de piso/terminación.'
-      }), required: true },
-      { slotCode: `BEDROOM_${i}_CLOSET`, title: `Dormitorio ${i} – Clóset`, instructions: buildInstruction({
-        indicaciones: '',
-        donde: 'Puertas, repisas y herrajes del clóset.',
-        que: 'Hinchazón, desprendimientos o herrajes sueltos.'
-      }), required: true },
-      { slotCode: `BEDROOM_${i}_WINDOWS`, title: `Dormitorio ${i} – Ventanas`, instructions: buildInstruction({
-        indicaciones: '',
-        donde: 'Ventanas completas, marcos y sello.',
-        que: 'Sellos, marcos o filtraciones.'
-      }), required: true }
-    );
-  }
-
-  if (input.hasLaundry) {
-    plan.push(
-      { slotCode: 'LAUNDRY_WALLS_FLOOR', title: 'Loggia – Muros y piso', instructions: buildInstruction({
-        indicaciones: '',
-        donde: 'Muros y piso de la loggia.',
-        que: 'Humedad, fisuras o daños.'
-      }), required: true }
-    );
-  }
-
-  plan.push({ slotCode: 'ELECTRICAL_PANEL', title: 'Tablero eléctrico', instructions: buildInstruction({
-    indicaciones: '',
-    donde: 'Tablero frontal, sin manipular.',
-    que: 'Estado visual del tablero.'
-  }), required: true });
-
-  return plan.map((slot) => ({
-    ...slot,
-    kpiKey: classifyKpiFromSlot(slot, scoreConfig?.slotKpiMap)
-  }));
-}
-
 async function queueOpenAiSlotAnalysis({ slotId }) {
   const apiKey = process.env.OPENAI_API_KEY;
   if (!apiKey) return;
 
+  // Se analiza la galería completa del slot (fotos aceptadas); sin galería, la última foto
   const slot = await prisma.slot.findUnique({
     where: { id: slotId },
-    include: { photo: true }
+    include: {
+      photo: true,
+      photos: { where: { accepted: true }, orderBy: { createdAt: 'asc' }, take: MAX_SLOT_PHOTOS }
+    }
   }).catch(() => null);
   if (!slot?.photo?.filePath) return;
+  // La foto de un slot no capturable es solo respaldo del motivo, no se analiza
+  if (slot.status === 'NOT_CAPTURABLE') return;
 
-  const photoUrl = storage.publicUrl(slot.photo.filePath);
-  if (!photoUrl) return;
+  const gallery = slot.photos.length ? slot.photos : [slot.photo];
+  const photoUrls = gallery.map((p) => storage.publicUrl(p.filePath)).filter(Boolean);
+  if (!photoUrls.length) return;
 
   try {
     const client = new OpenAI({ apiKey });
@@ -402,7 +448,10 @@ async function queueOpenAiSlotAnalysis({ slotId }) {
       'Evalúa únicamente señales visibles.',
       'Entrega el resultado en formato estructurado.'
     ].join('\n');
-    const prompt = String(promptTemplate).replace('{{SLOT_CODE}}', slot.slotCode || '');
+    const basePrompt = String(promptTemplate).replace('{{SLOT_CODE}}', slot.slotCode || '');
+    const prompt = photoUrls.length > 1
+      ? `${basePrompt}\nSe adjuntan ${photoUrls.length} fotos del mismo lugar desde distintos ángulos: entrega un único resultado que considere todas.`
+      : basePrompt;
     const outputFormat = [
       '',
       'Formato de salida (JSON válido):',
@@ -424,7 +473,7 @@ async function queueOpenAiSlotAnalysis({ slotId }) {
           role: 'user',
           content: [
             { type: 'input_text', text: `${prompt}\n${outputFormat}` },
-            { type: 'input_image', image_url: photoUrl }
+            ...photoUrls.map((url) => ({ type: 'input_image', image_url: url }))
           ]
         }
       ],
@@ -491,6 +540,7 @@ async function queueOpenAiSlotAnalysis({ slotId }) {
         raw: rawText,
         parsed: { ...parsed, description, kpi_analysis: kpiAnalysis },
         kpiKey,
+        photoIds: gallery.map((p) => p.id),
         at: new Date().toISOString()
       },
       v1Message: prevMessage
@@ -507,11 +557,21 @@ async function queueOpenAiSlotAnalysis({ slotId }) {
         analyzedAt: new Date()
       }
     });
+    await caseStats.refresh(slot.caseId);
   } catch (err) {
     console.error('OpenAI analysis failed', err?.message || err);
   }
 }
 
+// Toda ruta /api/admin/* exige sesión SUPER_ADMIN, salvo las de login/logout.
+const ADMIN_PUBLIC_ROUTES = new Set(['/api/admin/login', '/api/admin/logout']);
+fastify.addHook('onRoute', (routeOptions) => {
+  const url = String(routeOptions.url || '');
+  if (!url.startsWith('/api/admin/') || ADMIN_PUBLIC_ROUTES.has(url)) return;
+  const existing = routeOptions.preHandler;
+  routeOptions.preHandler = [requireSuperAdmin, ...(existing ? [].concat(existing) : [])];
+});
+
 fastify.register(multipart, {
   limits: { fileSize: 8 * 1024 * 1024 }
 });
@@ -527,18 +587,62 @@ fastify.get('/dashboard', (req, reply) => reply.sendFile('dashboard.html'));
 fastify.get('/cases/:caseId/report', (req, reply) => reply.sendFile('report.html'));
 fastify.get('/admin', (req, reply) => reply.sendFile('admin.html'));
 fastify.get('/activate', (req, reply) => reply.sendFile('activate.html'));
+fastify.get('/reset-password', (req, reply) => reply.sendFile('reset-password.html'));
 fastify.get('/install', (req, reply) => reply.redirect('/executive'));
 fastify.get('/tenant', (req, reply) => reply.sendFile('tenant.html'));
 fastify.get('/executive', (req, reply) => reply.sendFile('executive.html'));
 
+fastify.post('/api/admin/login', { schema: { body: schemas.emailLoginBody } }, async (req, reply) => {
+  const payload = req.body || {};
+  const email = String(payload.email || '').trim().toLowerCase();
+  const password = String(payload.password || '');
+  if (!email || !password) return reply.code(400).send({ ok: false, error: 'EMAIL_AND_PASSWORD_REQUIRED' });
+  if (await rejectIfThrottled(req, reply, 'ADMIN', email)) return reply;
+  const attempt = loginAttemptFromReq(req, 'ADMIN', email);
+
+  const user = await prisma.user.findUnique({ where: { email } });
+  if (!user || user.status !== 'ACTIVE' || !(await verifyPassword(password, user.passwordHash))) {
+    await loginGuard.recordFailure({ ...attempt, reason: 'INVALID_CREDENTIALS' });
+    return reply.code(401).send({ ok: false, error: 'INVALID_CREDENTIALS' });
+  }
+  if (user.role !== 'SUPER_ADMIN') {
+    await loginGuard.recordFailure({ ...attempt, reason: 'FORBIDDEN' });
+    return reply.code(403).send({ ok: false, error: 'FORBIDDEN' });
+  }
+  await loginGuard.recordSuccess(attempt);
+
+  const token = await createAdminSession(req, user.id);
+  reply.setCookie(ADMIN_SESSION_COOKIE, token, sessionCookieOptions());
+  return reply.send({ ok: true, user: { id: user.id, fullName: user.fullName, role: user.role } });
+});
+
+fastify.post('/api/admin/logout', async (req, reply) => {
+  const token = req.cookies?.[ADMIN_SESSION_COOKIE];
+  if (token) await sessions.revoke(token);
+  reply.clearCookie(ADMIN_SESSION_COOKIE, { path: '/' });
+  return reply.send({ ok: true });
+});
+
+fastify.get('/api/admin/me', async (req, reply) => {
+  const { user } = req.principal;
+  return reply.send({
+    ok: true,
+    user: { id: user.id, fullName: user.fullName, email: user.email, role: user.role }
+  });
+});
+
 fastify.get('/api/admin/score-config', (req, reply) => {
   return reply.send({ ok: true, config: scoreConfig });
 });
 
-fastify.post('/api/admin/score-config', async (req, reply) => {
+fastify.post('/api/admin/score-config', { schema: { body: schemas.scoreConfigBody } }, async (req, reply) => {
   const payload = req.body || {};
   const incoming = payload.config ?? payload;
+  const previous = scoreConfig;
   scoreConfig = saveScoreConfig(incoming);
+  await audit(req, { action: 'score_config.update', entityType: 'SCORE_CONFIG', before: previous, after: scoreConfig });
+  // Score y badge guardados en cada caso dependen de la configuración: se recalculan en segundo plano
+  caseStats.refreshAll().catch((err) => fastify.log.error({ err }, 'case stats refresh failed'));
   return reply.send({ ok: true, config: scoreConfig });
 });
 
@@ -560,53 +664,71 @@ fastify.get('/api/admin/tenants', async (req, reply) => {
   return reply.send({ ok: true, tenants: rows });
 });
 
-fastify.post('/api/admin/tenants', async (req, reply) => {
+fastify.post('/api/admin/tenants', { schema: { body: schemas.tenantCreateBody } }, async (req, reply) => {
   const payload = req.body || {};
   const name = String(payload.name || '').trim();
   if (!name) return reply.code(400).send({ ok: false, error: 'NAME_REQUIRED' });
   const rut = normalizeRut(payload.rut);
   const passwordRaw = String(payload.password || '').trim();
-  if (passwordRaw && passwordRaw.length < 6) {
-    return reply.code(400).send({ ok: false, error: 'PASSWORD_TOO_SHORT' });
-  }
+  const passwordError = passwordRaw
+    ? checkPasswordPolicy(passwordRaw, { identifiers: [rut, name, payload.email] })
+    : null;
+  if (passwordError) return reply.code(400).send(passwordPolicyError(passwordError));
   const tenant = await prisma.tenant.create({
     data: {
       name,
       legalName: payload.legalName ? String(payload.legalName).trim() : null,
       rut: rut || null,
-      passwordHash: passwordRaw ? hashPassword(passwordRaw) : null,
+      passwordHash: passwordRaw ? await hashPassword(passwordRaw) : null,
       email: payload.email ? String(payload.email).trim() : null,
       phone: payload.phone ? String(payload.phone).trim() : null,
       status: 'ACTIVE'
     }
   });
+  await audit(req, { tenantId: tenant.id, action: 'tenant.create', entityType: 'TENANT', entityId: tenant.id, after: tenantAuditSnapshot(tenant) });
   return reply.send({ ok: true, tenant });
 });
 
-fastify.put('/api/admin/tenants/:tenantId', async (req, reply) => {
+fastify.put('/api/admin/tenants/:tenantId', {
+  schema: { params: schemas.paramsSchema('tenantId'), body: schemas.tenantUpdateBody }
+}, async (req, reply) => {
   const tenantId = String(req.params.tenantId || '');
   const payload = req.body || {};
   const rut = payload.rut !== undefined ? normalizeRut(payload.rut) : undefined;
   const passwordRaw = String(payload.password || '').trim();
-  if (passwordRaw && passwordRaw.length < 6) {
-    return reply.code(400).send({ ok: false, error: 'PASSWORD_TOO_SHORT' });
-  }
+  const passwordError = passwordRaw
+    ? checkPasswordPolicy(passwordRaw, { identifiers: [rut, payload.name, payload.email] })
+    : null;
+  if (passwordError) return reply.code(400).send(passwordPolicyError(passwordError));
+  const previous = await prisma.tenant.findUnique({ where: { id: tenantId } });
+  if (!previous) return reply.code(404).send({ ok: false, error: 'TENANT_NOT_FOUND' });
   const tenant = await prisma.tenant.update({
     where: { id: tenantId },
     data: {
       name: payload.name ? String(payload.name).trim() : undefined,
       legalName: payload.legalName !== undefined ? (payload.legalName ? String(payload.legalName).trim() : null) : undefined,
       rut: rut !== undefined ? (rut || null) : undefined,
-      passwordHash: passwordRaw ? hashPassword(passwordRaw) : undefined,
+      passwordHash: passwordRaw ? await hashPassword(passwordRaw) : undefined,
       email: payload.email !== undefined ? (payload.email ? String(payload.email).trim() : null) : undefined,
       phone: payload.phone !== undefined ? (payload.phone ? String(payload.phone).trim() : null) : undefined,
       status: payload.status ? String(payload.status) : undefined
     }
   });
+  if (passwordRaw) await sessions.revokeAllForTenant(tenant.id, 'PASSWORD_CHANGED');
+  await audit(req, {
+    tenantId: tenant.id,
+    action: 'tenant.update',
+    entityType: 'TENANT',
+    entityId: tenant.id,
+    before: tenantAuditSnapshot(previous),
+    after: { ...tenantAuditSnapshot(tenant), ...(passwordRaw ? { passwordChangedAt: new Date() } : {}) }
+  });
   return reply.send({ ok: true, tenant });
 });
 
-fastify.get('/api/admin/tenants/:tenantId/users', async (req, reply) => {
+fastify.get('/api/admin/tenants/:tenantId/users', {
+  schema: { params: schemas.paramsSchema('tenantId') }
+}, async (req, reply) => {
   const tenantId = String(req.params.tenantId || '');
   const users = await prisma.user.findMany({
     where: { tenantId },
@@ -615,21 +737,24 @@ fastify.get('/api/admin/tenants/:tenantId/users', async (req, reply) => {
   return reply.send({ ok: true, users });
 });
 
-fastify.post('/api/admin/tenants/:tenantId/users', async (req, reply) => {
+fastify.post('/api/admin/tenants/:tenantId/users', {
+  schema: { params: schemas.paramsSchema('tenantId'), body: schemas.tenantUserCreateBody }
+}, async (req, reply) => {
   const tenantId = String(req.params.tenantId || '');
   const payload = req.body || {};
   const email = String(payload.email || '').trim().toLowerCase();
   const fullName = String(payload.fullName || '').trim();
   const phone = payload.phone ? String(payload.phone).trim() : null;
-  const role = payload.role ? String(payload.role).toUpperCase() : 'TENANT_USER';
+  const role = normalizeTenantRole(payload.role);
   const action = payload.action ? String(payload.action).toLowerCase() : 'invite';
 
   if (!email || !fullName) {
     return reply.code(400).send({ ok: false, error: 'EMAIL_AND_NAME_REQUIRED' });
   }
+  if (!role) return reply.code(400).send({ ok: false, error: 'ROLE_INVALID' });
 
   const existing = await prisma.user.findUnique({ where: { email } });
-  if (existing && existing.tenantId && existing.tenantId !== tenantId) {
+  if (existing && (existing.role === 'SUPER_ADMIN' || (existing.tenantId && existing.tenantId !== tenantId))) {
     return reply.code(409).send({ ok: false, error: 'EMAIL_ALREADY_IN_USE' });
   }
 
@@ -654,19 +779,29 @@ fastify.post('/api/admin/tenants/:tenantId/users', async (req, reply) => {
         }
       });
 
+  await audit(req, {
+    tenantId: user.tenantId,
+    action: existing ? 'user.update' : 'user.create',
+    entityType: 'USER',
+    entityId: user.id,
+    before: userAuditSnapshot(existing),
+    after: userAuditSnapshot(user)
+  });
+
   if (action === 'invite') {
     const { activationUrl } = await createActivationForUser({ prismaClient: prisma, userId: user.id });
     await prisma.user.update({
       where: { id: user.id },
       data: { invitedAt: new Date(), status: 'PENDING' }
     });
+    await audit(req, { tenantId: user.tenantId, action: 'user.invite', entityType: 'USER', entityId: user.id });
     return reply.send({ ok: true, user, activationUrl });
   }
 
   return reply.send({ ok: true, user });
 });
 
-fastify.post('/api/admin/users/:userId/invite', async (req, reply) => {
+fastify.post('/api/admin/users/:userId/invite', { schema: { params: schemas.paramsSchema('userId') } }, async (req, reply) => {
   const userId = String(req.params.userId || '');
   const user = await prisma.user.findUnique({ where: { id: userId } });
   if (!user) return reply.code(404).send({ ok: false, error: 'USER_NOT_FOUND' });
@@ -687,15 +822,83 @@ fastify.post('/api/admin/users/:userId/invite', async (req, reply) => {
   });
 
   const activationUrl = `/activate?token=${encodeURIComponent(token)}`;
+  await audit(req, {
+    tenantId: updated.tenantId,
+    action: 'user.invite',
+    entityType: 'USER',
+    entityId: updated.id,
+    before: userAuditSnapshot(user),
+    after: userAuditSnapshot(updated)
+  });
   return reply.send({ ok: true, user: updated, activationUrl });
 });
 
-fastify.post('/api/tenant/login', async (req, reply) => {
+fastify.get('/api/admin/login-attempts', { schema: { querystring: schemas.loginAttemptsQuery } }, async (req, reply) => {
+  const q = req.query || {};
+  const where = {};
+  if (q.scope) where.scope = String(q.scope).toUpperCase();
+  if (q.account) where.accountKey = String(q.account).trim().toLowerCase();
+  if (q.ip) where.ip = String(q.ip).trim();
+  if (q.success !== undefined) where.success = String(q.success) === 'true';
+  const sinceHours = Number(q.sinceHours || 24);
+  where.createdAt = { gte: new Date(Date.now() - (Number.isFinite(sinceHours) && sinceHours > 0 ? sinceHours : 24) * 60 * 60 * 1000) };
+  const take = Math.min(500, Math.max(1, Number(q.limit || 100)));
+
+  const [attempts, topIps, topAccounts] = await Promise.all([
+    prisma.loginAttempt.findMany({ where, orderBy: { createdAt: 'desc' }, take }),
+    prisma.loginAttempt.groupBy({
+      by: ['ip'],
+      where: { ...where, success: false },
+      _count: { _all: true },
+      orderBy: { _count: { ip: 'desc' } },
+      take: 10
+    }),
+    prisma.loginAttempt.groupBy({
+      by: ['scope', 'accountKey'],
+      where: { ...where, success: false },
+      _count: { _all: true },
+      orderBy: { _count: { accountKey: 'desc' } },
+      take: 10
+    })
+  ]);
+
+  return reply.send({
+    ok: true,
+    attempts,
+    topIps: topIps.map((r) => ({ ip: r.ip, failures: r._count._all })),
+    topAccounts: topAccounts.map((r) => ({ scope: r.scope, account: r.accountKey, failures: r._count._all }))
+  });
+});
+
+fastify.post('/api/admin/login-attempts/unlock', { schema: { body: schemas.unlockLoginBody } }, async (req, reply) => {
+  const payload = req.body || {};
+  const scope = String(payload.scope || '').toUpperCase();
+  const rawAccount = String(payload.account || '').trim();
+  if (!['TENANT', 'EXECUTIVE', 'ADMIN'].includes(scope)) {
+    return reply.code(400).send({ ok: false, error: 'SCOPE_INVALID' });
+  }
+  if (!rawAccount) return reply.code(400).send({ ok: false, error: 'ACCOUNT_REQUIRED' });
+  // En TENANT la cuenta es el RUT de la empresa o el email de un usuario individual
+  const account = scope === 'TENANT' && !rawAccount.includes('@') ? normalizeRut(rawAccount) : rawAccount.toLowerCase();
+  const cleared = await loginGuard.unlock({ scope, account });
+  await audit(req, { action: 'login.unlock', entityType: 'LOGIN', entityId: `${scope}:${account}`, meta: { cleared } });
+  return reply.send({ ok: true, cleared });
+});
+
+fastify.get('/api/admin/audit', { schema: { querystring: schemas.auditQuery } }, async (req, reply) => {
+  const result = await auditLog.list(req.query || {});
+  return reply.send({ ok: true, ...result });
+});
+
+fastify.post('/api/tenant/login', { schema: { body: schemas.tenantLoginBody } }, async (req, reply) => {
   const payload = req.body || {};
+  if (payload.email) return tenantUserLogin(req, reply);
   const rutRaw = String(payload.rut || '').trim();
   const rut = normalizeRut(rutRaw);
   const password = String(payload.password || '');
   if (!rut || !password) return reply.code(400).send({ ok: false, error: 'RUT_AND_PASSWORD_REQUIRED' });
+  if (await rejectIfThrottled(req, reply, 'TENANT', rut)) return reply;
+  const attempt = loginAttemptFromReq(req, 'TENANT', rut);
 
   const tenant = await prisma.tenant.findFirst({
     where: {
@@ -707,34 +910,62 @@ fastify.post('/api/tenant/login', async (req, reply) => {
     }
   });
   if (!tenant) {
+    await loginGuard.recordFailure({ ...attempt, reason: 'UNKNOWN_ACCOUNT' });
     return reply.code(401).send({ ok: false, error: 'INVALID_CREDENTIALS' });
   }
   if (!tenant.passwordHash) {
+    await loginGuard.recordFailure({ ...attempt, reason: 'PASSWORD_NOT_SET' });
     return reply.code(401).send({ ok: false, error: 'PASSWORD_NOT_SET' });
   }
-  if (!verifyPassword(password, tenant.passwordHash)) {
+  if (!(await verifyPassword(password, tenant.passwordHash))) {
+    await loginGuard.recordFailure({ ...attempt, reason: 'INVALID_CREDENTIALS' });
     return reply.code(401).send({ ok: false, error: 'INVALID_CREDENTIALS' });
   }
+  await loginGuard.recordSuccess(attempt);
 
-  const token = createTenantSession(tenant.id);
-  reply.setCookie(TENANT_SESSION_COOKIE, token, {
-    path: '/',
-    httpOnly: true,
-    sameSite: 'lax'
-  });
-  return reply.send({ ok: true, tenant: { id: tenant.id, name: tenant.name } });
+  const token = await createTenantSession(req, tenant.id);
+  reply.setCookie(TENANT_SESSION_COOKIE, token, sessionCookieOptions());
+  return reply.send({ ok: true, tenant: { id: tenant.id, name: tenant.name }, role: 'TENANT_ADMIN' });
 });
 
+// Login individual al panel con email y clave propia (usuarios TENANT_ADMIN / TENANT_USER)
+async function tenantUserLogin(req, reply) {
+  const payload = req.body || {};
+  const email = String(payload.email || '').trim().toLowerCase();
+  const password = String(payload.password || '');
+  if (!email || !password) return reply.code(400).send({ ok: false, error: 'EMAIL_AND_PASSWORD_REQUIRED' });
+  if (await rejectIfThrottled(req, reply, 'TENANT', email)) return reply;
+  const attempt = loginAttemptFromReq(req, 'TENANT', email);
+
+  const user = await prisma.user.findUnique({ where: { email }, include: { tenant: true } });
+  if (!user || user.status !== 'ACTIVE' || !TENANT_ROLES.includes(user.role) || user.tenant?.status !== 'ACTIVE') {
+    await loginGuard.recordFailure({ ...attempt, reason: user ? `USER_${user.status}` : 'UNKNOWN_ACCOUNT' });
+    return reply.code(401).send({ ok: false, error: 'INVALID_CREDENTIALS' });
+  }
+  if (!(await verifyPassword(password, user.passwordHash))) {
+    await loginGuard.recordFailure({ ...attempt, reason: 'INVALID_CREDENTIALS' });
+    return reply.code(401).send({ ok: false, error: 'INVALID_CREDENTIALS' });
+  }
+  await loginGuard.recordSuccess(attempt);
+
+  const token = await createTenantSession(req, user.tenantId, user.id);
+  reply.setCookie(TENANT_SESSION_COOKIE, token, sessionCookieOptions());
+  return reply.send({
+    ok: true,
+    tenant: { id: user.tenant.id, name: user.tenant.name },
+    user: { id: user.id, fullName: user.fullName, role: user.role }
+  });
+}
+
 fastify.post('/api/tenant/logout', async (req, reply) => {
   const token = req.cookies?.[TENANT_SESSION_COOKIE];
-  if (token) tenantSessions.delete(token);
+  if (token) await sessions.revoke(token);
   reply.clearCookie(TENANT_SESSION_COOKIE, { path: '/' });
   return reply.send({ ok: true });
 });
 
-fastify.get('/api/tenant/me', async (req, reply) => {
-  const session = getTenantSession(req);
-  if (!session) return reply.code(401).send({ ok: false, error: 'UNAUTHORIZED' });
+fastify.get('/api/tenant/me', { preHandler: requireTenantUser }, async (req, reply) => {
+  const { session, user } = req.principal;
   const tenant = await prisma.tenant.findUnique({ where: { id: session.tenantId } });
   if (!tenant) return reply.code(401).send({ ok: false, error: 'UNAUTHORIZED' });
   return reply.send({
@@ -746,72 +977,109 @@ fastify.get('/api/tenant/me', async (req, reply) => {
       rut: tenant.rut,
       email: tenant.email,
       phone: tenant.phone
-    }
+    },
+    user: user.shared
+      ? { id: null, fullName: null, email: null, role: user.role, shared: true }
+      : { id: user.id, fullName: user.fullName, email: user.email, role: user.role, shared: false },
+    permissions: permissionsForRole(user.role)
   });
 });
 
-fastify.get('/api/tenant/users', async (req, reply) => {
-  const session = getTenantSession(req);
-  if (!session) return reply.code(401).send({ ok: false, error: 'UNAUTHORIZED' });
+fastify.get('/api/tenant/users', { preHandler: tenantCan('users:read') }, async (req, reply) => {
+  const { session } = req.principal;
   const users = await prisma.user.findMany({
     where: { tenantId: session.tenantId },
-    orderBy: { createdAt: 'desc' }
+    orderBy: { createdAt: 'desc' },
+    include: { _count: { select: { assignedCases: { where: OPEN_CASE_WHERE } } } }
+  });
+  return reply.send({
+    ok: true,
+    users: users.map(({ _count, ...u }) => ({ ...u, openCases: _count.assignedCases }))
   });
-  return reply.send({ ok: true, users });
 });
 
-fastify.get('/api/tenant/inspections', async (req, reply) => {
-  const session = getTenantSession(req);
-  if (!session) return reply.code(401).send({ ok: false, error: 'UNAUTHORIZED' });
+// Listados de casos (API, corredora, ejecutivo): una página con filtros y agregados ya
+// calculados en Case, sin cargar slots ni fotos. Ver src/cases/caseListing.js.
+const CASE_LIST_INCLUDE = {
+  property: { select: { address: true, rol: true, owner: { select: { fullName: true } } } },
+  assignedUser: { select: { id: true, fullName: true } },
+  captureTokens: { orderBy: { createdAt: 'desc' } }
+};
+
+// Opciones SLA de un listado: un mismo `now` para el filtro y las filas, y la ventana
+// "por vencer" de la corredora
+async function caseListSla(tenantId) {
+  const policy = await sla.getPolicy(tenantId);
+  return { now: new Date(), atRiskHours: policy.atRiskHours };
+}
 
-  const cases = await prisma.case.findMany({
-    where: { tenantId: session.tenantId },
-    orderBy: { createdAt: 'desc' },
-    include: {
-      property: true,
-      assignedUser: true,
-      slots: { select: { status: true } },
-      captureTokens: { orderBy: { createdAt: 'desc' } }
-    }
-  });
+function caseListRow(c, slaOptions) {
+  const { captureUrl, captureLink } = summarizeCaptureLinks(c.captureTokens);
+  return {
+    id: c.id,
+    createdAt: c.createdAt,
+    status: c.status,
+    readyToClose: c.status !== 'DONE' && !!c.readyToCloseAt,
+    closedAt: c.closedAt,
+    archivedAt: c.archivedAt,
+    propertyType: c.propertyType,
+    bedrooms: c.bedrooms,
+    bathrooms: c.bathrooms,
+    hasLaundry: c.hasLaundry,
+    propertyId: c.propertyId,
+    address: c.property?.address || null,
+    ownerName: c.property?.owner?.fullName || null,
+    baselineCaseId: c.baselineCaseId,
+    assignedUserId: c.assignedUserId,
+    assignedUserName: c.assignedUser?.fullName || null,
+    progress: progressFromCaseStats(c),
+    score: c.score,
+    badge: c.badge,
+    sla: caseSlaStatus(c, slaOptions),
+    captureUrl,
+    captureLink
+  };
+}
 
-  const inspections = cases.map((c) => {
-    const progress = computeProgressFromSlots(c.slots || []);
-    const captureToken = c.captureTokens?.[0]?.token || null;
-    const captureUrl = captureToken ? `/capture/${captureToken}` : null;
-    return {
-      id: c.id,
-      createdAt: c.createdAt,
-      status: c.status,
-      propertyType: c.propertyType,
-      bedrooms: c.bedrooms,
-      bathrooms: c.bathrooms,
-      address: c.property?.address || null,
-      assignedUserName: c.assignedUser?.fullName || null,
-      progress,
-      captureUrl
-    };
+fastify.get('/api/tenant/inspections', {
+  preHandler: tenantCan('inspections:read'),
+  schema: { querystring: schemas.caseListQuery }
+}, async (req, reply) => {
+  const { session } = req.principal;
+  const slaOptions = await caseListSla(session.tenantId);
+  const result = await listCases(prisma, {
+    baseWhere: { tenantId: session.tenantId },
+    query: req.query || {},
+    include: CASE_LIST_INCLUDE,
+    sla: slaOptions
+  });
+  if (result.error) return reply.code(400).send({ ok: false, error: result.error });
+  return reply.send({
+    ok: true,
+    inspections: result.cases.map((c) => caseListRow(c, slaOptions)),
+    nextCursor: result.nextCursor
   });
-
-  return reply.send({ ok: true, inspections });
 });
 
-fastify.post('/api/tenant/users', async (req, reply) => {
-  const session = getTenantSession(req);
-  if (!session) return reply.code(401).send({ ok: false, error: 'UNAUTHORIZED' });
+fastify.post('/api/tenant/users', {
+  preHandler: tenantCan('users:manage'),
+  schema: { body: schemas.tenantUserCreateBody }
+}, async (req, reply) => {
+  const { session } = req.principal;
   const payload = req.body || {};
   const email = String(payload.email || '').trim().toLowerCase();
   const fullName = String(payload.fullName || '').trim();
   const phone = payload.phone ? String(payload.phone).trim() : null;
-  const role = payload.role ? String(payload.role).toUpperCase() : 'TENANT_USER';
+  const role = normalizeTenantRole(payload.role);
   const action = payload.action ? String(payload.action).toLowerCase() : 'invite';
 
   if (!email || !fullName) {
     return reply.code(400).send({ ok: false, error: 'EMAIL_AND_NAME_REQUIRED' });
   }
+  if (!role) return reply.code(400).send({ ok: false, error: 'ROLE_INVALID' });
 
   const existing = await prisma.user.findUnique({ where: { email } });
-  if (existing && existing.tenantId && existing.tenantId !== session.tenantId) {
+  if (existing && (existing.role === 'SUPER_ADMIN' || (existing.tenantId && existing.tenantId !== session.tenantId))) {
     return reply.code(409).send({ ok: false, error: 'EMAIL_ALREADY_IN_USE' });
   }
 
@@ -836,21 +1104,33 @@ fastify.post('/api/tenant/users', async (req, reply) => {
         }
       });
 
+  await audit(req, {
+    tenantId: user.tenantId,
+    action: existing ? 'user.update' : 'user.create',
+    entityType: 'USER',
+    entityId: user.id,
+    before: userAuditSnapshot(existing),
+    after: userAuditSnapshot(user)
+  });
+
   if (action === 'invite') {
     const { activationUrl } = await createActivationForUser({ prismaClient: prisma, userId: user.id });
     await prisma.user.update({
       where: { id: user.id },
       data: { invitedAt: new Date(), status: 'PENDING' }
     });
+    await audit(req, { tenantId: user.tenantId, action: 'user.invite', entityType: 'USER', entityId: user.id });
     return reply.send({ ok: true, user, activationUrl });
   }
 
   return reply.send({ ok: true, user });
 });
 
-fastify.post('/api/tenant/users/:userId/invite', async (req, reply) => {
-  const session = getTenantSession(req);
-  if (!session) return reply.code(401).send({ ok: false, error: 'UNAUTHORIZED' });
+fastify.post('/api/tenant/users/:userId/invite', {
+  preHandler: tenantCan('users:manage'),
+  schema: { params: schemas.paramsSchema('userId') }
+}, async (req, reply) => {
+  const { session } = req.principal;
   const userId = String(req.params.userId || '');
   const user = await prisma.user.findUnique({ where: { id: userId } });
   if (!user || user.tenantId !== session.tenantId) {
@@ -873,12 +1153,77 @@ fastify.post('/api/tenant/users/:userId/invite', async (req, reply) => {
   });
 
   const activationUrl = `/activate?token=${encodeURIComponent(token)}`;
+  await audit(req, {
+    tenantId: updated.tenantId,
+    action: 'user.invite',
+    entityType: 'USER',
+    entityId: updated.id,
+    before: userAuditSnapshot(user),
+    after: userAuditSnapshot(updated)
+  });
   return reply.send({ ok: true, user: updated, activationUrl });
 });
 
-fastify.put('/api/tenant/users/:userId', async (req, reply) => {
-  const session = getTenantSession(req);
-  if (!session) return reply.code(401).send({ ok: false, error: 'UNAUTHORIZED' });
+// Desactivar o eliminar un usuario con casos abiertos exige decidir qué pasa con ellos:
+// { reassignTo: userId } los mueve a otro usuario activo, { unassignOpenCases: true } los deja sin asignar.
+async function planOpenCasesHandover(tenantId, user, input = {}) {
+  const openCases = await caseAssignments.countOpenCases(tenantId, user.id);
+  if (!openCases) return { openCases };
+  const reassignTo = input.reassignTo ? String(input.reassignTo) : null;
+  if (reassignTo) {
+    const target = await caseAssignments.findAssignee(tenantId, reassignTo);
+    if (!target || target.id === user.id) return { error: 'ASSIGNED_USER_INVALID', status: 400 };
+    return { openCases, reassignTo };
+  }
+  if (input.unassignOpenCases === true || String(input.unassignOpenCases) === 'true') {
+    return { openCases, reassignTo: null };
+  }
+  return { error: 'USER_HAS_OPEN_CASES', status: 409, openCases };
+}
+
+async function auditReassignments(req, tenantId, moved, meta) {
+  for (const m of moved) {
+    await audit(req, {
+      tenantId,
+      action: 'case.reassign',
+      entityType: 'CASE',
+      entityId: m.caseId,
+      before: { assignedUserId: m.fromUserId },
+      after: { assignedUserId: m.toUserId },
+      meta
+    });
+  }
+}
+
+// Se llama dentro de la transacción que desactiva o elimina al usuario (tx), antes de tocarlo:
+// si el destino dejó de servir desde planOpenCasesHandover devuelve { error } y no se cambia nada
+async function handOverOpenCases(req, tx, tenantId, user, plan, reason) {
+  if (!plan.openCases) return null;
+  const result = await caseAssignments.reassign({
+    tenantId,
+    fromUserId: user.id,
+    toUserId: plan.reassignTo,
+    reason,
+    actor: auditActor(req),
+    allowUnassign: true,
+    client: tx
+  });
+  if (result.error) return result;
+  return { moved: result.moved, reassignedTo: plan.reassignTo, reason };
+}
+
+// Auditoría del traspaso ya confirmado y resumen para la respuesta
+async function reportHandover(req, tenantId, user, handover) {
+  if (!handover) return null;
+  await auditReassignments(req, tenantId, handover.moved, { reason: handover.reason, fromUserId: user.id });
+  return { moved: handover.moved.length, reassignedTo: handover.reassignedTo };
+}
+
+fastify.put('/api/tenant/users/:userId', {
+  preHandler: tenantCan('users:manage'),
+  schema: { params: schemas.paramsSchema('userId'), body: schemas.tenantUserUpdateBody }
+}, async (req, reply) => {
+  const { session } = req.principal;
   const userId = String(req.params.userId || '');
   const payload = req.body || {};
   const user = await prisma.user.findUnique({ where: { id: userId } });
@@ -886,173 +1231,524 @@ fastify.put('/api/tenant/users/:userId', async (req, reply) => {
     return reply.code(404).send({ ok: false, error: 'USER_NOT_FOUND' });
   }
 
+  const role = normalizeTenantRole(payload.role, undefined);
+  if (role === null) return reply.code(400).send({ ok: false, error: 'ROLE_INVALID' });
+
   const data = {
     fullName: payload.fullName ? String(payload.fullName).trim() : undefined,
     phone: payload.phone !== undefined ? (payload.phone ? String(payload.phone).trim() : null) : undefined,
-    role: payload.role ? String(payload.role).toUpperCase() : undefined,
+    role,
     status: payload.status ? String(payload.status).toUpperCase() : undefined
   };
+  // Un administrador no puede quitarse el rol ni desactivarse a sí mismo
+  if (user.id === req.principal.user.id && ((role && role !== 'TENANT_ADMIN') || (data.status && data.status !== 'ACTIVE'))) {
+    return reply.code(409).send({ ok: false, error: 'CANNOT_MODIFY_SELF' });
+  }
 
-  const updated = await prisma.user.update({ where: { id: user.id }, data });
-  return reply.send({ ok: true, user: updated });
+  const disabling = data.status === 'DISABLED' && user.status !== 'DISABLED';
+  const handoverPlan = disabling ? await planOpenCasesHandover(session.tenantId, user, payload) : { openCases: 0 };
+  if (handoverPlan.error) {
+    return reply.code(handoverPlan.status).send({ ok: false, error: handoverPlan.error, openCases: handoverPlan.openCases });
+  }
+
+  const result = await prisma.$transaction(async (tx) => {
+    const moved = disabling ? await handOverOpenCases(req, tx, session.tenantId, user, handoverPlan, 'USER_DISABLED') : null;
+    if (moved?.error) return moved;
+    return { updated: await tx.user.update({ where: { id: user.id }, data }), moved };
+  });
+  if (result.error) return reply.code(400).send({ ok: false, error: result.error });
+  const { updated } = result;
+  // Desactivar corta de inmediato todas sus sesiones (panel y ejecutivo)
+  if (disabling) await sessions.revokeAllForUser(user.id, 'USER_DISABLED');
+  const handover = await reportHandover(req, session.tenantId, user, result.moved);
+  await audit(req, {
+    tenantId: session.tenantId,
+    action: 'user.update',
+    entityType: 'USER',
+    entityId: user.id,
+    before: userAuditSnapshot(user),
+    after: userAuditSnapshot(updated)
+  });
+  return reply.send({ ok: true, user: updated, ...(handover ? { handover } : {}) });
 });
 
-fastify.delete('/api/tenant/users/:userId', async (req, reply) => {
-  const session = getTenantSession(req);
-  if (!session) return reply.code(401).send({ ok: false, error: 'UNAUTHORIZED' });
+fastify.delete('/api/tenant/users/:userId', {
+  preHandler: tenantCan('users:manage'),
+  schema: { params: schemas.paramsSchema('userId'), querystring: schemas.userRemovalQuery }
+}, async (req, reply) => {
+  const { session } = req.principal;
   const userId = String(req.params.userId || '');
   const user = await prisma.user.findUnique({ where: { id: userId } });
   if (!user || user.tenantId !== session.tenantId) {
     return reply.code(404).send({ ok: false, error: 'USER_NOT_FOUND' });
   }
-  await prisma.user.delete({ where: { id: user.id } });
-  return reply.send({ ok: true });
+  if (user.id === req.principal.user.id) {
+    return reply.code(409).send({ ok: false, error: 'CANNOT_DELETE_SELF' });
+  }
+  // Los casos se traspasan antes de borrar: de otro modo quedarían huérfanos (onDelete: SetNull)
+  const handoverPlan = await planOpenCasesHandover(session.tenantId, user, { ...(req.query || {}), ...(req.body || {}) });
+  if (handoverPlan.error) {
+    return reply.code(handoverPlan.status).send({ ok: false, error: handoverPlan.error, openCases: handoverPlan.openCases });
+  }
+  const result = await prisma.$transaction(async (tx) => {
+    const moved = await handOverOpenCases(req, tx, session.tenantId, user, handoverPlan, 'USER_DELETED');
+    if (moved?.error) return moved;
+    await tx.user.delete({ where: { id: user.id } });
+    return { moved };
+  });
+  if (result.error) return reply.code(400).send({ ok: false, error: result.error });
+  const handover = await reportHandover(req, session.tenantId, user, result.moved);
+  await audit(req, {
+    tenantId: session.tenantId,
+    action: 'user.delete',
+    entityType: 'USER',
+    entityId: user.id,
+    before: userAuditSnapshot(user)
+  });
+  return reply.send({ ok: true, ...(handover ? { handover } : {}) });
 });
 
-fastify.post('/api/tenant/inspections', async (req, reply) => {
-  const session = getTenantSession(req);
-  if (!session) return reply.code(401).send({ ok: false, error: 'UNAUTHORIZED' });
+fastify.get('/api/tenant/api-keys', { preHandler: tenantCan('integrations:manage') }, async (req, reply) => {
+  const { session } = req.principal;
+  const keys = await apiKeys.list(session.tenantId);
+  return reply.send({ ok: true, apiKeys: keys, scopes: API_KEY_SCOPES });
+});
 
+fastify.post('/api/tenant/api-keys', {
+  preHandler: tenantCan('integrations:manage'),
+  schema: { body: schemas.apiKeyCreateBody }
+}, async (req, reply) => {
+  const { session } = req.principal;
   const payload = req.body || {};
-  const tenantId = session.tenantId;
-  const bathroomsCount = Number(payload.bathroomsCount || payload.bathrooms || 1);
-  const bedroomsCount = Number(payload.bedroomsCount || payload.bedrooms || 1);
-  const bedrooms = Number(payload.bedrooms || bedroomsCount || 0);
-  const bathrooms = Number(payload.bathrooms || bathroomsCount || 1);
-  const assignedUserId = payload.assignedUserId ? String(payload.assignedUserId) : null;
-
-  if (assignedUserId) {
-    const user = await prisma.user.findUnique({ where: { id: assignedUserId } });
-    if (!user || user.tenantId !== tenantId) {
-      return reply.code(400).send({ ok: false, error: 'ASSIGNED_USER_INVALID' });
+  const name = String(payload.name || '').trim();
+  if (!name) return reply.code(400).send({ ok: false, error: 'NAME_REQUIRED' });
+  const { scopes, invalid } = normalizeScopes(payload.scopes);
+  if (invalid.length) return reply.code(400).send({ ok: false, error: 'SCOPE_INVALID', invalid });
+  if (!scopes.length) return reply.code(400).send({ ok: false, error: 'SCOPES_REQUIRED' });
+  let expiresAt = null;
+  if (payload.expiresAt) {
+    expiresAt = new Date(payload.expiresAt);
+    if (Number.isNaN(expiresAt.getTime()) || expiresAt.getTime() <= Date.now()) {
+      return reply.code(400).send({ ok: false, error: 'EXPIRES_AT_INVALID' });
     }
   }
+  const issued = await apiKeys.issue({ tenantId: session.tenantId, name, scopes, expiresAt });
+  await audit(req, { tenantId: session.tenantId, action: 'api_key.create', entityType: 'API_KEY', entityId: issued.apiKey.id, after: { name, scopes, expiresAt } });
+  return reply.send({ ok: true, ...issued });
+});
 
-  const planSlots = buildPhotoPlanV1({
-    ...payload,
-    bathroomsCount,
-    bedroomsCount
+fastify.post('/api/tenant/api-keys/:apiKeyId/rotate', {
+  preHandler: tenantCan('integrations:manage'),
+  schema: { params: schemas.paramsSchema('apiKeyId') }
+}, async (req, reply) => {
+  const { session } = req.principal;
+  const apiKeyId = String(req.params.apiKeyId || '');
+  const rotated = await apiKeys.rotate({ tenantId: session.tenantId, apiKeyId });
+  if (!rotated) return reply.code(404).send({ ok: false, error: 'API_KEY_NOT_FOUND' });
+  if (rotated.error) return reply.code(409).send({ ok: false, error: rotated.error });
+  await audit(req, {
+    tenantId: session.tenantId,
+    action: 'api_key.rotate',
+    entityType: 'API_KEY',
+    entityId: apiKeyId,
+    meta: { replacedBy: rotated.apiKey.id }
   });
+  return reply.send({ ok: true, ...rotated });
+});
 
-  const token = crypto.randomUUID();
-  const captureExpires = new Date(Date.now() + 1000 * 60 * 60 * 24 * 7);
+fastify.delete('/api/tenant/api-keys/:apiKeyId', {
+  preHandler: tenantCan('integrations:manage'),
+  schema: { params: schemas.paramsSchema('apiKeyId') }
+}, async (req, reply) => {
+  const { session } = req.principal;
+  const apiKeyId = String(req.params.apiKeyId || '');
+  const revoked = await apiKeys.revoke({ tenantId: session.tenantId, apiKeyId });
+  if (!revoked) return reply.code(404).send({ ok: false, error: 'API_KEY_NOT_FOUND' });
+  await audit(req, { tenantId: session.tenantId, action: 'api_key.revoke', entityType: 'API_KEY', entityId: apiKeyId });
+  return reply.send({ ok: true, apiKey: revoked });
+});
+
+// Auditoría de la corredora: siempre acotada al tenant de la sesión
+fastify.get('/api/tenant/audit', {
+  preHandler: tenantCan('audit:read'),
+  schema: { querystring: schemas.auditQuery }
+}, async (req, reply) => {
+  const { session } = req.principal;
+  const result = await auditLog.list({ ...(req.query || {}), tenantId: session.tenantId });
+  return reply.send({ ok: true, ...result });
+});
+
+function auditCaseCreate(req, created, meta) {
+  return audit(req, {
+    tenantId: created.tenantId,
+    action: 'case.create',
+    entityType: 'CASE',
+    entityId: created.caseId,
+    after: {
+      propertyType: created.propertyType,
+      bathroomsCount: created.bathroomsCount,
+      bedroomsCount: created.bedroomsCount,
+      assignedUserId: created.assignedUserId,
+      slotsCreated: created.slotsCreated
+    },
+    meta
+  });
+}
+
+// Alta de casos (panel de corredora y API): valida lo que el schema no cubre, crea y audita
+async function sendCreatedCase(req, reply, tenantId) {
+  const created = await caseCreation.create({ tenantId, input: req.body || {}, actor: auditActor(req) });
+  if (created.error) return reply.code(400).send({ ok: false, ...created });
+  await auditCaseCreate(req, created);
+
+  return reply.send({
+    ok: true,
+    caseId: created.caseId,
+    tenantId,
+    propertyId: created.propertyId,
+    propertyReused: created.propertyReused,
+    captureUrl: created.captureUrl,
+    captureExpiresAt: created.captureExpiresAt,
+    ...(created.capturePin ? { capturePin: created.capturePin } : {}),
+    reportUrl: created.reportUrl,
+    slots: created.slots
+  });
+}
+
+fastify.post('/api/tenant/inspections', {
+  preHandler: tenantCan('inspections:create'),
+  schema: { body: schemas.caseCreateBody }
+}, async (req, reply) => {
+  const { session } = req.principal;
+  return sendCreatedCase(req, reply, session.tenantId);
+});
+
+// Edición de inspecciones: campos del caso y de la propiedad. Cambiar lo que define el plan
+// (baños, dormitorios, habitaciones con nombre, tipo, loggia, patio, entretecho, piso,
+// antigüedad) lo regenera sin perder lo ya capturado.
+const CASE_PLAN_FIELDS = [
+  'rooms',
+  'bathroomsCount',
+  'bedroomsCount',
+  'propertyType',
+  'hasLaundry',
+  'hasPatio',
+  'hasAttic',
+  'floorType',
+  'propertyAgeRange'
+];
+
+function caseEditSnapshot(c) {
+  return {
+    propertyType: c.propertyType,
+    bathroomsCount: c.bathroomsCount,
+    bedroomsCount: c.bedroomsCount,
+    rooms: c.rooms ?? null,
+    hasLaundry: c.hasLaundry,
+    hasPatio: c.hasPatio,
+    hasAttic: c.hasAttic,
+    propertyAgeRange: c.propertyAgeRange,
+    yearBuilt: c.yearBuilt,
+    floorType: c.floorType,
+    property: {
+      rol: c.property?.rol ?? null,
+      address: c.property?.address ?? null,
+      operationType: c.property?.operationType ?? null,
+      surface: c.property?.surface ?? null
+    }
+  };
+}
+
+// Body ya validado por caseUpdateBody: solo se traducen los alias y se separan caso y propiedad
+function parseCaseEdit(payload) {
+  const caseData = {};
+  const propertyData = {};
+
+  const bathrooms = payload.bathroomsCount ?? payload.bathrooms;
+  if (bathrooms !== undefined) {
+    caseData.bathroomsCount = bathrooms;
+    caseData.bathrooms = bathrooms;
+  }
+  const bedrooms = payload.bedroomsCount ?? payload.bedrooms;
+  if (bedrooms !== undefined) {
+    caseData.bedroomsCount = bedrooms;
+    caseData.bedrooms = bedrooms;
+  }
+  for (const key of ['propertyType', 'floorType', 'propertyAgeRange', 'yearBuilt', 'hasLaundry', 'hasPatio', 'hasAttic']) {
+    if (payload[key] !== undefined) caseData[key] = payload[key];
+  }
+  // rooms: [] quita la lista y el plan vuelve a salir de los conteos
+  if (payload.rooms !== undefined) caseData.rooms = normalizeRoomList(payload.rooms);
+
+  const propertyFields = { propertyRol: 'rol', propertyAddress: 'address', propertyOperationType: 'operationType', propertySurface: 'surface' };
+  for (const [key, column] of Object.entries(propertyFields)) {
+    if (payload[key] !== undefined) propertyData[column] = payload[key] ? String(payload[key]).trim() : null;
+  }
+
+  return { caseData, propertyData };
+}
+
+async function findTenantCase(req, include = { property: true }) {
+  const caseId = String(req.params.caseId || '');
+  return prisma.case.findFirst({ where: { id: caseId, tenantId: req.principal.session.tenantId }, include });
+}
+
+fastify.patch('/api/tenant/inspections/:caseId', {
+  preHandler: tenantCan('inspections:update'),
+  schema: { params: schemas.paramsSchema('caseId'), body: schemas.caseUpdateBody }
+}, async (req, reply) => {
+  const { session } = req.principal;
+  const current = await findTenantCase(req);
+  if (!current) return reply.code(404).send({ ok: false, error: 'CASE_NOT_FOUND' });
+
+  const { caseData, propertyData } = parseCaseEdit(req.body || {});
+  if (!Object.keys(caseData).length && !Object.keys(propertyData).length) {
+    return reply.code(400).send({ ok: false, error: 'NOTHING_TO_UPDATE' });
+  }
+
+  const rooms = caseData.rooms !== undefined ? caseData.rooms : current.rooms;
+  if (rooms) {
+    // Con lista de habitaciones (nueva o la del caso), los conteos de los tipos listados salen de la lista
+    const listed = roomListCounts(await planTemplates.forCase(current), rooms);
+    if (listed.error) return reply.code(400).send({ ok: false, ...listed });
+    Object.assign(caseData, roomCountColumns(listed.counts));
+  }
+
+  // JSON.stringify compara también la lista de habitaciones
+  const planChanged = CASE_PLAN_FIELDS.some((k) => caseData[k] !== undefined && JSON.stringify(caseData[k]) !== JSON.stringify(current[k] ?? null));
+  if (planChanged && current.status === 'DONE') return reply.code(409).send({ ok: false, error: 'CASE_CLOSED' });
 
   const result = await prisma.$transaction(async (tx) => {
-    let ownerId = null;
-    if (payload.ownerRut) {
-      const existing = await tx.owner.findUnique({ where: { rut: payload.ownerRut } });
-      if (existing) ownerId = existing.id;
-      if (!ownerId && payload.ownerName) {
-        const created = await tx.owner.create({ data: { fullName: payload.ownerName, rut: payload.ownerRut, tenantId } });
-        ownerId = created.id;
+    let plan = null;
+    // La propiedad va primero: si su ROL o dirección chocan con otra no se escribe nada
+    if (Object.keys(propertyData).length) {
+      // La propiedad es compartida por todas sus inspecciones: el cambio se ve en el historial completo
+      if (current.propertyId) {
+        const edited = await propertyRegistry.update(session.tenantId, current.propertyId, { data: propertyData }, { client: tx });
+        if (edited?.error) return edited;
+      } else {
+        const { property } = await propertyRegistry.resolve(tx, { tenantId: session.tenantId, data: propertyData });
+        await tx.case.update({ where: { id: current.id }, data: { propertyId: property.id } });
       }
-    } else if (payload.ownerName) {
-      const created = await tx.owner.create({ data: { fullName: payload.ownerName, tenantId } });
-      ownerId = created.id;
     }
+    if (Object.keys(caseData).length) {
+      // Una columna Json se vacía con DbNull, no con null
+      const data = caseData.rooms === null ? { ...caseData, rooms: Prisma.DbNull } : caseData;
+      await tx.case.update({ where: { id: current.id }, data });
+    }
+    if (planChanged) {
+      // Misma versión de plantilla con la que se creó el caso
+      const template = await planTemplates.forCase(current, tx);
+      const planSlots = buildPlanFromTemplate(template, { ...current, ...caseData });
+      plan = await reconcilePlanSlots(tx, { caseId: current.id, tenantId: current.tenantId, planSlots });
+      await caseLifecycle.syncAfterSlotChange(current.id, tx);
+    }
+    const updated = await tx.case.findUnique({ where: { id: current.id }, include: { property: true } });
+    return { updated, plan };
+  });
+  if (result.error === 'PROPERTY_KEY_REQUIRED') {
+    return reply.code(400).send({ ok: false, ...fieldError(result.error, 'propertyAddress', 'required', 'Indica dirección o ROL') });
+  }
+  if (result.error) return reply.code(409).send({ ok: false, ...result });
+
+  await audit(req, {
+    tenantId: session.tenantId,
+    action: 'case.update',
+    entityType: 'CASE',
+    entityId: current.id,
+    before: caseEditSnapshot(current),
+    after: caseEditSnapshot(result.updated),
+    meta: result.plan ? { plan: result.plan } : undefined
+  });
 
-    const property = await tx.property.create({
-      data: {
-        tenantId,
-        ownerId,
-        rol: payload.propertyRol || null,
-        address: payload.propertyAddress || null,
-        operationType: payload.propertyOperationType || null,
-        surface: payload.propertySurface || null
-      }
-    });
+  return reply.send({
+    ok: true,
+    case: { id: result.updated.id, status: result.updated.status, ...caseEditSnapshot(result.updated) },
+    plan: result.plan
+  });
+});
 
-    const c = await tx.case.create({
-      data: {
-        tenant: tenantId ? { connect: { id: tenantId } } : undefined,
-        assignedUser: assignedUserId ? { connect: { id: assignedUserId } } : undefined,
-        property: { connect: { id: property.id } },
-        propertyType: payload.propertyType || 'DEPARTMENT',
-        bathroomsCount,
-        bedroomsCount,
-        propertyAgeRange: payload.propertyAgeRange || null,
-        bedrooms,
-        bathrooms,
-        yearBuilt: payload.yearBuilt || null,
-        floorType: payload.floorType || 'CONCRETE',
-        hasPatio: !!payload.hasPatio,
-        hasAttic: !!payload.hasAttic,
-        hasLaundry: !!payload.hasLaundry,
-        planVersion: 'v1',
-        status: 'DRAFT'
-      }
-    });
+// Archivar saca el caso de los listados y detiene la captura; la evidencia se conserva
+fastify.post('/api/tenant/inspections/:caseId/archive', {
+  preHandler: tenantCan('inspections:update'),
+  schema: { params: schemas.paramsSchema('caseId') }
+}, async (req, reply) => {
+  const current = await findTenantCase(req);
+  if (!current) return reply.code(404).send({ ok: false, error: 'CASE_NOT_FOUND' });
+  if (current.archivedAt) return reply.code(409).send({ ok: false, error: 'CASE_ALREADY_ARCHIVED' });
+  const updated = await prisma.case.update({ where: { id: current.id }, data: { archivedAt: new Date() } });
+  await audit(req, {
+    tenantId: current.tenantId,
+    action: 'case.archive',
+    entityType: 'CASE',
+    entityId: current.id,
+    before: { archivedAt: null },
+    after: { archivedAt: updated.archivedAt }
+  });
+  return reply.send({ ok: true, case: { id: updated.id, archivedAt: updated.archivedAt } });
+});
 
-    const slots = await tx.slot.createMany({
-      data: planSlots.map((s, idx) => ({
-        tenantId,
-        caseId: c.id,
-        slotCode: s.slotCode,
-        title: s.title,
-        instructions: s.instructions,
-        required: s.required ?? true,
-        orderIndex: idx + 1,
-        status: 'PENDING'
-      }))
-    });
+fastify.post('/api/tenant/inspections/:caseId/unarchive', {
+  preHandler: tenantCan('inspections:update'),
+  schema: { params: schemas.paramsSchema('caseId') }
+}, async (req, reply) => {
+  const current = await findTenantCase(req);
+  if (!current) return reply.code(404).send({ ok: false, error: 'CASE_NOT_FOUND' });
+  if (!current.archivedAt) return reply.code(409).send({ ok: false, error: 'CASE_NOT_ARCHIVED' });
+  const updated = await prisma.case.update({ where: { id: current.id }, data: { archivedAt: null } });
+  await audit(req, {
+    tenantId: current.tenantId,
+    action: 'case.unarchive',
+    entityType: 'CASE',
+    entityId: current.id,
+    before: { archivedAt: current.archivedAt },
+    after: { archivedAt: null }
+  });
+  return reply.send({ ok: true, case: { id: updated.id, archivedAt: null } });
+});
 
-    await tx.captureToken.create({
-      data: {
-        tenantId,
-        caseId: c.id,
-        token,
-        expiresAt: captureExpires
-      }
-    });
+// Solo se borran casos sin fotos; con evidencia capturada hay que archivar
+fastify.delete('/api/tenant/inspections/:caseId', {
+  preHandler: tenantCan('inspections:delete'),
+  schema: { params: schemas.paramsSchema('caseId') }
+}, async (req, reply) => {
+  const current = await findTenantCase(req, { property: true, _count: { select: { photos: true } } });
+  if (!current) return reply.code(404).send({ ok: false, error: 'CASE_NOT_FOUND' });
+  if (current._count.photos > 0) {
+    return reply.code(409).send({ ok: false, error: 'CASE_HAS_PHOTOS', photos: current._count.photos });
+  }
+  // Slots, links y sesiones de captura caen en cascada
+  await prisma.case.delete({ where: { id: current.id } });
+  await audit(req, {
+    tenantId: current.tenantId,
+    action: 'case.delete',
+    entityType: 'CASE',
+    entityId: current.id,
+    before: { status: current.status, ...caseEditSnapshot(current) }
+  });
+  return reply.send({ ok: true });
+});
 
-    return { caseId: c.id, slotsCreated: slots.count };
+// Reasignación de casos entre ejecutivos: { caseIds: [...] } o { fromUserId } (todos sus casos abiertos)
+fastify.post('/api/tenant/inspections/reassign', {
+  preHandler: tenantCan('inspections:assign'),
+  schema: { body: schemas.reassignBody }
+}, async (req, reply) => {
+  const { session } = req.principal;
+  const payload = req.body || {};
+  const note = payload.note ? String(payload.note).trim() : null;
+  const result = await caseAssignments.reassign({
+    tenantId: session.tenantId,
+    caseIds: Array.isArray(payload.caseIds) ? payload.caseIds : null,
+    fromUserId: payload.fromUserId ? String(payload.fromUserId) : null,
+    toUserId: payload.toUserId ? String(payload.toUserId) : null,
+    note,
+    actor: auditActor(req)
   });
+  if (result.error) return reply.code(400).send({ ok: false, ...result });
+  await auditReassignments(req, session.tenantId, result.moved, { reason: 'REASSIGN', note });
+  return reply.send({ ok: true, moved: result.moved.length, cases: result.moved, skipped: result.skipped });
+});
 
-  const captureUrl = `/capture/${token}`;
-  const reportUrl = `/cases/${encodeURIComponent(result.caseId)}/report`;
+fastify.get('/api/tenant/inspections/:caseId/assignments', {
+  preHandler: tenantCan('inspections:read'),
+  schema: { params: schemas.paramsSchema('caseId') }
+}, async (req, reply) => {
+  const current = await findTenantCase(req);
+  if (!current) return reply.code(404).send({ ok: false, error: 'CASE_NOT_FOUND' });
+  const assignments = await caseAssignments.history(current.id);
+  return reply.send({ ok: true, caseId: current.id, assignedUserId: current.assignedUserId, assignments });
+});
 
-  return reply.send({
-    ok: true,
-    caseId: result.caseId,
-    tenantId,
-    captureUrl,
-    reportUrl,
-    slots: planSlots
+// Inspección de entrada contra la que se compara esta (salida): misma corredora, misma
+// propiedad si ambas tienen una, y anterior a la de salida (evita ciclos)
+fastify.put('/api/tenant/inspections/:caseId/baseline', {
+  preHandler: tenantCan('inspections:update'),
+  schema: { params: schemas.paramsSchema('caseId'), body: schemas.caseBaselineBody }
+}, async (req, reply) => {
+  const { session } = req.principal;
+  const current = await findTenantCase(req);
+  if (!current) return reply.code(404).send({ ok: false, error: 'CASE_NOT_FOUND' });
+
+  const baselineCaseId = String(req.body.baselineCaseId);
+  if (baselineCaseId === current.id) {
+    return reply.code(400).send({ ok: false, ...fieldError('BASELINE_SAME_CASE', 'baselineCaseId', 'invalid', 'Elige otra inspección') });
+  }
+  const baseline = await prisma.case.findFirst({ where: { id: baselineCaseId, tenantId: session.tenantId } });
+  if (!baseline) {
+    return reply.code(400).send({ ok: false, ...fieldError('BASELINE_NOT_FOUND', 'baselineCaseId', 'exists', 'La inspección de entrada no existe') });
+  }
+  if (baseline.createdAt > current.createdAt) {
+    return reply.code(400).send({ ok: false, ...fieldError('BASELINE_AFTER_CASE', 'baselineCaseId', 'range', 'La inspección de entrada debe ser anterior') });
+  }
+  if (baseline.propertyId && current.propertyId && baseline.propertyId !== current.propertyId) {
+    return reply.code(409).send({ ok: false, error: 'BASELINE_PROPERTY_MISMATCH' });
+  }
+
+  await prisma.case.update({ where: { id: current.id }, data: { baselineCaseId: baseline.id } });
+  await audit(req, {
+    tenantId: session.tenantId,
+    action: 'case.baseline.link',
+    entityType: 'CASE',
+    entityId: current.id,
+    before: { baselineCaseId: current.baselineCaseId },
+    after: { baselineCaseId: baseline.id }
+  });
+  return reply.send({ ok: true, caseId: current.id, baselineCaseId: baseline.id });
+});
+
+fastify.delete('/api/tenant/inspections/:caseId/baseline', {
+  preHandler: tenantCan('inspections:update'),
+  schema: { params: schemas.paramsSchema('caseId') }
+}, async (req, reply) => {
+  const current = await findTenantCase(req);
+  if (!current) return reply.code(404).send({ ok: false, error: 'CASE_NOT_FOUND' });
+  if (!current.baselineCaseId) return reply.code(409).send({ ok: false, error: 'CASE_BASELINE_NOT_SET' });
+  await prisma.case.update({ where: { id: current.id }, data: { baselineCaseId: null } });
+  await audit(req, {
+    tenantId: current.tenantId,
+    action: 'case.baseline.unlink',
+    entityType: 'CASE',
+    entityId: current.id,
+    before: { baselineCaseId: current.baselineCaseId },
+    after: { baselineCaseId: null }
   });
+  return reply.send({ ok: true, caseId: current.id, baselineCaseId: null });
 });
 
-fastify.post('/api/executive/login', async (req, reply) => {
+fastify.post('/api/executive/login', { schema: { body: schemas.emailLoginBody } }, async (req, reply) => {
   const payload = req.body || {};
   const email = String(payload.email || '').trim().toLowerCase();
   const password = String(payload.password || '');
   if (!email || !password) return reply.code(400).send({ ok: false, error: 'EMAIL_AND_PASSWORD_REQUIRED' });
+  if (await rejectIfThrottled(req, reply, 'EXECUTIVE', email)) return reply;
+  const attempt = loginAttemptFromReq(req, 'EXECUTIVE', email);
 
   const user = await prisma.user.findUnique({ where: { email } });
   if (!user || user.status !== 'ACTIVE') {
+    await loginGuard.recordFailure({ ...attempt, reason: user ? `USER_${user.status}` : 'UNKNOWN_ACCOUNT' });
     return reply.code(401).send({ ok: false, error: 'INVALID_CREDENTIALS' });
   }
-  if (!verifyPassword(password, user.passwordHash)) {
+  if (!(await verifyPassword(password, user.passwordHash))) {
+    await loginGuard.recordFailure({ ...attempt, reason: 'INVALID_CREDENTIALS' });
     return reply.code(401).send({ ok: false, error: 'INVALID_CREDENTIALS' });
   }
+  await loginGuard.recordSuccess(attempt);
 
-  const token = createExecSession(user.id, user.tenantId || null);
-  reply.setCookie(EXEC_SESSION_COOKIE, token, {
-    path: '/',
-    httpOnly: true,
-    sameSite: 'lax'
-  });
+  const token = await createExecSession(req, user.id, user.tenantId || null);
+  reply.setCookie(EXEC_SESSION_COOKIE, token, sessionCookieOptions());
   return reply.send({ ok: true, user: { id: user.id, fullName: user.fullName, role: user.role } });
 });
 
 fastify.post('/api/executive/logout', async (req, reply) => {
   const token = req.cookies?.[EXEC_SESSION_COOKIE];
-  if (token) execSessions.delete(token);
+  if (token) await sessions.revoke(token);
   reply.clearCookie(EXEC_SESSION_COOKIE, { path: '/' });
   return reply.send({ ok: true });
 });
 
 fastify.get('/api/executive/me', async (req, reply) => {
-  const session = getExecSession(req);
+  const session = await getExecSession(req);
   if (!session) return reply.code(401).send({ ok: false, error: 'UNAUTHORIZED' });
   const user = await prisma.user.findUnique({ where: { id: session.userId } });
   if (!user) return reply.code(401).send({ ok: false, error: 'UNAUTHORIZED' });
@@ -1068,245 +1764,354 @@ fastify.get('/api/executive/me', async (req, reply) => {
   });
 });
 
-fastify.get('/api/executive/cases', async (req, reply) => {
-  const session = getExecSession(req);
+fastify.get('/api/executive/cases', { schema: { querystring: schemas.caseListQuery } }, async (req, reply) => {
+  const session = await getExecSession(req);
   if (!session) return reply.code(401).send({ ok: false, error: 'UNAUTHORIZED' });
-  const cases = await prisma.case.findMany({
-    where: { assignedUserId: session.userId },
-    orderBy: { createdAt: 'desc' },
-    include: {
-      property: true,
-      slots: { include: { photo: true } },
-      captureTokens: { orderBy: { createdAt: 'desc' } }
-    }
+  const query = { ...(req.query || {}) };
+  // El ejecutivo solo ve lo suyo y nunca archivadas: esos filtros no vienen del cliente
+  delete query.assignedUserId;
+  delete query.archived;
+  const slaOptions = await caseListSla(session.tenantId);
+  const result = await listCases(prisma, {
+    baseWhere: { assignedUserId: session.userId },
+    query,
+    include: CASE_LIST_INCLUDE,
+    sla: slaOptions
   });
+  if (result.error) return reply.code(400).send({ ok: false, error: result.error });
+  return reply.send({ ok: true, cases: result.cases.map((c) => caseListRow(c, slaOptions)), nextCursor: result.nextCursor });
+});
 
-  const rows = cases.map((c) => {
-    const slots = c.slots || [];
-    const progress = computeProgressFromSlots(slots);
-    const captureToken = c.captureTokens?.[0]?.token || null;
-    const captureUrl = captureToken ? `/capture/${captureToken}` : null;
-    return {
-      id: c.id,
-      createdAt: c.createdAt,
-      propertyType: c.propertyType,
-      bedrooms: c.bedrooms,
-      bathrooms: c.bathrooms,
-      address: c.property?.address || null,
-      progress,
-      captureUrl
-    };
+// Cierre y reapertura explícitos del caso por el ejecutivo asignado
+async function findExecutiveCase(req) {
+  const caseId = String(req.params.caseId || '');
+  return prisma.case.findFirst({
+    where: { id: caseId, assignedUserId: req.principal.user.id },
+    select: { id: true, tenantId: true }
   });
+}
 
-  return reply.send({ ok: true, cases: rows });
+function caseStatusSnapshot(c) {
+  return { status: c.status, closedAt: c.closedAt, closedByUserId: c.closedByUserId, reopenedAt: c.reopenedAt };
+}
+
+fastify.post('/api/executive/cases/:caseId/close', {
+  preHandler: requireExecutive,
+  schema: { params: schemas.paramsSchema('caseId') }
+}, async (req, reply) => {
+  const owned = await findExecutiveCase(req);
+  if (!owned) return reply.code(404).send({ ok: false, error: 'CASE_NOT_FOUND' });
+  const result = await caseLifecycle.close(owned.id, { userId: req.principal.user.id });
+  if (!result) return reply.code(404).send({ ok: false, error: 'CASE_NOT_FOUND' });
+  if (result.error) return reply.code(409).send({ ok: false, ...result });
+  await audit(req, {
+    tenantId: owned.tenantId,
+    action: 'case.close',
+    entityType: 'CASE',
+    entityId: owned.id,
+    before: caseStatusSnapshot(result.before),
+    after: caseStatusSnapshot(result.case)
+  });
+  return reply.send({ ok: true, case: { id: result.case.id, status: result.case.status, closedAt: result.case.closedAt } });
 });
 
-fastify.post('/api/onboarding/activate', async (req, reply) => {
+fastify.post('/api/executive/cases/:caseId/reopen', {
+  preHandler: requireExecutive,
+  schema: { params: schemas.paramsSchema('caseId') }
+}, async (req, reply) => {
+  const owned = await findExecutiveCase(req);
+  if (!owned) return reply.code(404).send({ ok: false, error: 'CASE_NOT_FOUND' });
+  const result = await caseLifecycle.reopen(owned.id);
+  if (!result) return reply.code(404).send({ ok: false, error: 'CASE_NOT_FOUND' });
+  if (result.error) return reply.code(409).send({ ok: false, ...result });
+  await audit(req, {
+    tenantId: owned.tenantId,
+    action: 'case.reopen',
+    entityType: 'CASE',
+    entityId: owned.id,
+    before: caseStatusSnapshot(result.before),
+    after: caseStatusSnapshot(result.case)
+  });
+  return reply.send({ ok: true, case: { id: result.case.id, status: result.case.status, reopenedAt: result.case.reopenedAt } });
+});
+
+fastify.post('/api/onboarding/activate', { schema: { body: schemas.tokenPasswordBody } }, async (req, reply) => {
   const payload = req.body || {};
   const token = String(payload.token || '').trim();
   const password = String(payload.password || '').trim();
   if (!token) return reply.code(400).send({ ok: false, error: 'TOKEN_REQUIRED' });
   if (!password) return reply.code(400).send({ ok: false, error: 'PASSWORD_REQUIRED' });
+  if (await rejectIfThrottled(req, reply, 'ACTIVATION', token)) return reply;
+  const attempt = loginAttemptFromReq(req, 'ACTIVATION', token);
 
-  const row = await prisma.activationToken.findUnique({ where: { token } });
-  if (!row || row.usedAt) return reply.code(400).send({ ok: false, error: 'INVALID_TOKEN' });
-  if (new Date(row.expiresAt).getTime() <= Date.now()) return reply.code(400).send({ ok: false, error: 'TOKEN_EXPIRED' });
+  const row = await prisma.activationToken.findUnique({ where: { token }, include: { user: true } });
+  if (!row || row.usedAt) {
+    await loginGuard.recordFailure({ ...attempt, reason: 'INVALID_TOKEN' });
+    return reply.code(400).send({ ok: false, error: 'INVALID_TOKEN' });
+  }
+  if (new Date(row.expiresAt).getTime() <= Date.now()) {
+    await loginGuard.recordFailure({ ...attempt, reason: 'TOKEN_EXPIRED' });
+    return reply.code(400).send({ ok: false, error: 'TOKEN_EXPIRED' });
+  }
+  const passwordError = checkPasswordPolicy(password, { identifiers: [row.user?.email, row.user?.fullName] });
+  if (passwordError) return reply.code(400).send(passwordPolicyError(passwordError));
 
+  const passwordHash = await hashPassword(password);
   await prisma.$transaction([
     prisma.user.update({
       where: { id: row.userId },
-      data: { status: 'ACTIVE', activatedAt: new Date(), passwordHash: hashPassword(password) }
+      data: { status: 'ACTIVE', activatedAt: new Date(), passwordHash }
     }),
     prisma.activationToken.update({
       where: { id: row.id },
       data: { usedAt: new Date() }
     })
   ]);
+  await sessions.revokeAllForUser(row.userId, 'PASSWORD_CHANGED');
+  await loginGuard.recordSuccess(attempt);
 
   return reply.send({ ok: true });
 });
 
-await registerCaptureRoutes(fastify, {
-  prisma,
-  storage,
-  safeExtFromMime,
-  analyzeImageBufferV1,
-  slotGroupFromSlotCode,
-  queueOpenAiSlotAnalysis
-});
+// Recuperación de clave. Las solicitudes responden siempre ok para no revelar qué cuentas existen.
+fastify.post('/api/executive/password/forgot', { schema: { body: schemas.forgotByEmailBody } }, async (req, reply) => {
+  const payload = req.body || {};
+  const email = String(payload.email || '').trim().toLowerCase();
+  if (!email) return reply.code(400).send({ ok: false, error: 'EMAIL_REQUIRED' });
 
-fastify.post('/api/cases', async (req, reply) => {
-  if (!prisma) return reply.code(500).send({ ok: false, error: 'DATABASE_NOT_CONFIGURED' });
+  const user = await prisma.user.findUnique({ where: { email } });
+  if (user && user.status === 'ACTIVE' && user.passwordHash) {
+    const { resetUrl, expiresAt } = await passwordResets.issue({ userId: user.id, ip: req.ip });
+    await notifier.sendPasswordReset({ to: user.email, name: user.fullName, resetUrl, expiresAt })
+      .catch((err) => req.log.error({ err }, 'password reset notification failed'));
+  }
+  return reply.send({ ok: true });
+});
 
+fastify.post('/api/tenant/password/forgot', { schema: { body: schemas.forgotByRutBody } }, async (req, reply) => {
   const payload = req.body || {};
-  const tenantId = payload.tenantId || getTenantIdFromReq(req);
-  const bathroomsCount = Number(payload.bathroomsCount || payload.bathrooms || 1);
-  const bedroomsCount = Number(payload.bedroomsCount || payload.bedrooms || 1);
-  const bedrooms = Number(payload.bedrooms || bedroomsCount || 0);
-  const bathrooms = Number(payload.bathrooms || bathroomsCount || 1);
-
-  if (tenantId) {
-    const tenantExists = await prisma.tenant.findUnique({ where: { id: tenantId } });
-    if (!tenantExists) {
-      return reply.code(400).send({ ok: false, error: 'TENANT_NOT_FOUND' });
-    }
-  }
-  const assignedUserId = payload.assignedUserId ? String(payload.assignedUserId) : null;
-  if (assignedUserId && tenantId) {
-    const user = await prisma.user.findUnique({ where: { id: assignedUserId } });
-    if (!user || user.tenantId !== tenantId) {
-      return reply.code(400).send({ ok: false, error: 'ASSIGNED_USER_INVALID' });
-    }
-  }
+  const rutRaw = String(payload.rut || '').trim();
+  const rut = normalizeRut(rutRaw);
+  if (!rut) return reply.code(400).send({ ok: false, error: 'RUT_REQUIRED' });
 
-  const planSlots = buildPhotoPlanV1({
-    ...payload,
-    bathroomsCount,
-    bedroomsCount
+  const tenant = await prisma.tenant.findFirst({
+    where: { status: 'ACTIVE', OR: [{ rut }, { rut: rutRaw }] }
   });
+  if (tenant?.email) {
+    const { resetUrl, expiresAt } = await passwordResets.issue({ tenantId: tenant.id, ip: req.ip });
+    await notifier.sendPasswordReset({ to: tenant.email, name: tenant.name, resetUrl, expiresAt })
+      .catch((err) => req.log.error({ err }, 'password reset notification failed'));
+  }
+  return reply.send({ ok: true });
+});
 
-  const token = crypto.randomUUID();
-  const captureExpires = new Date(Date.now() + 1000 * 60 * 60 * 24 * 7);
+fastify.post('/api/password/reset', { schema: { body: schemas.tokenPasswordBody } }, async (req, reply) => {
+  const payload = req.body || {};
+  const token = String(payload.token || '').trim();
+  const password = String(payload.password || '');
+  if (!token) return reply.code(400).send({ ok: false, error: 'TOKEN_REQUIRED' });
+  if (!password) return reply.code(400).send({ ok: false, error: 'PASSWORD_REQUIRED' });
 
-  const result = await prisma.$transaction(async (tx) => {
-    let ownerId = null;
-    if (payload.ownerRut) {
-      const existing = await tx.owner.findUnique({ where: { rut: payload.ownerRut } });
-      if (existing) ownerId = existing.id;
-      if (!ownerId && payload.ownerName) {
-        const created = await tx.owner.create({ data: { fullName: payload.ownerName, rut: payload.ownerRut } });
-        ownerId = created.id;
-      }
-    } else if (payload.ownerName) {
-      const created = await tx.owner.create({ data: { fullName: payload.ownerName } });
-      ownerId = created.id;
+  const found = await passwordResets.find(token);
+  if (found.error) return reply.code(400).send({ ok: false, error: found.error });
+  const { row } = found;
+
+  const identifiers = row.userId
+    ? [row.user?.email, row.user?.fullName]
+    : [row.tenant?.rut, row.tenant?.email, row.tenant?.name];
+  const passwordError = checkPasswordPolicy(password, { identifiers });
+  if (passwordError) return reply.code(400).send(passwordPolicyError(passwordError));
+
+  const passwordHash = await hashPassword(password);
+  const consumed = await prisma.$transaction(async (tx) => {
+    if (!(await passwordResets.consume(row, tx))) return false;
+    if (row.userId) {
+      await tx.user.update({ where: { id: row.userId }, data: { passwordHash } });
+    } else {
+      await tx.tenant.update({ where: { id: row.tenantId }, data: { passwordHash } });
     }
+    return true;
+  });
+  if (!consumed) return reply.code(400).send({ ok: false, error: 'INVALID_TOKEN' });
 
-      const property = await tx.property.create({
-      data: {
-          tenantId: tenantId || null,
-        ownerId,
-        rol: payload.propertyRol || null,
-        address: payload.propertyAddress || null,
-        operationType: payload.propertyOperationType || null,
-        surface: payload.propertySurface || null
-      }
-    });
+  if (row.userId) {
+    await sessions.revokeAllForUser(row.userId, 'PASSWORD_RESET');
+  } else {
+    await sessions.revokeAllForTenant(row.tenantId, 'PASSWORD_RESET');
+  }
 
-    const c = await tx.case.create({
-      data: {
-        tenant: tenantId ? { connect: { id: tenantId } } : undefined,
-        assignedUser: assignedUserId ? { connect: { id: assignedUserId } } : undefined,
-        property: { connect: { id: property.id } },
-        propertyType: payload.propertyType || 'DEPARTMENT',
-        bathroomsCount,
-        bedroomsCount,
-        propertyAgeRange: payload.propertyAgeRange || null,
-        bedrooms,
-        bathrooms,
-        yearBuilt: payload.yearBuilt || null,
-        floorType: payload.floorType || 'CONCRETE',
-        hasPatio: !!payload.hasPatio,
-        hasAttic: !!payload.hasAttic,
-        hasLaundry: !!payload.hasLaundry,
-        planVersion: 'v1',
-        status: 'DRAFT'
-      }
-    });
+  return reply.send({ ok: true, account: row.userId ? 'EXECUTIVE' : 'TENANT' });
+});
 
-      const slots = await tx.slot.createMany({
-      data: planSlots.map((s, idx) => ({
-          tenantId: tenantId || null,
-        caseId: c.id,
-        slotCode: s.slotCode,
-        title: s.title,
-        instructions: s.instructions,
-        required: s.required ?? true,
-        orderIndex: idx + 1,
-        status: 'PENDING'
-      }))
-    });
+await registerCaptureRoutes(fastify, {
+  prisma,
+  storage,
+  safeExtFromMime,
+  analyzeImageBufferV1,
+  slotGroupFromSlotCode,
+  queueOpenAiSlotAnalysis,
+  auditLog,
+  sessions,
+  loginGuard,
+  caseLifecycle
+});
 
-      await tx.captureToken.create({
-      data: {
-          tenantId: tenantId || null,
-        caseId: c.id,
-        token,
-        expiresAt: captureExpires
-      }
-    });
+// Sesiones propias: de un usuario individual (ejecutivo o panel) o de la cuenta compartida de la corredora
+function ownSessionsWhere(req) {
+  const { session, user } = req.principal;
+  if (user?.shared) return { tenantId: session.tenantId, userId: null, kind: 'TENANT' };
+  return { userId: user.id, kind: { in: ['TENANT', 'EXECUTIVE'] } };
+}
 
-    return { caseId: c.id, slotsCreated: slots.count };
-  });
+registerSessionRoutes(fastify, {
+  sessions,
+  audit,
+  scopes: [
+    { path: '/api/executive/sessions', preHandler: requireExecutive, cookieName: EXEC_SESSION_COOKIE, ownerWhere: ownSessionsWhere },
+    { path: '/api/tenant/sessions', preHandler: requireTenantUser, cookieName: TENANT_SESSION_COOKIE, ownerWhere: ownSessionsWhere }
+  ]
+});
 
-  const captureUrl = `/capture/${token}`;
-  const reportUrl = `/cases/${encodeURIComponent(result.caseId)}/report`;
+registerCaseImportRoutes(fastify, {
+  caseImports,
+  preHandler: tenantCan('inspections:create'),
+  audit,
+  auditActor,
+  auditCaseCreate,
+  absoluteUrl: notifier.absoluteUrl
+});
 
-  return reply.send({
-    ok: true,
-    caseId: result.caseId,
-    tenantId: tenantId || null,
-    captureUrl,
-    reportUrl,
-    slots: planSlots
-  });
+registerAppointmentRoutes(fastify, {
+  appointments,
+  audit,
+  auditActor,
+  absoluteUrl: notifier.absoluteUrl,
+  readHandler: tenantCan('inspections:read'),
+  manageHandler: tenantCan('appointments:manage'),
+  usersHandler: tenantCan('users:manage'),
+  executiveHandler: requireExecutive
 });
 
-fastify.get('/api/cases', async (req, reply) => {
-  const tenantId = getTenantIdFromReq(req);
-  const cases = await prisma.case.findMany({
-    where: tenantId ? { tenantId } : undefined,
-    orderBy: { createdAt: 'desc' },
-    include: {
-      property: true,
-      slots: { include: { photo: true } },
-      captureTokens: { orderBy: { createdAt: 'desc' } }
+registerSlaRoutes(fastify, {
+  sla,
+  audit,
+  readHandler: tenantCan('inspections:read'),
+  manageHandler: tenantCan('sla:manage')
+});
+
+registerPlanTemplateRoutes(fastify, {
+  prisma,
+  planTemplates,
+  audit,
+  auditActor,
+  readHandler: tenantCan('inspections:read'),
+  manageHandler: tenantCan('plans:manage')
+});
+
+registerPropertyRoutes(fastify, {
+  propertyRegistry,
+  prisma,
+  audit,
+  readHandler: tenantCan('inspections:read'),
+  writeHandler: tenantCan('inspections:update'),
+  deleteHandler: tenantCan('inspections:delete')
+});
+
+registerCaptureLinkRoutes(fastify, {
+  captureLinks,
+  audit,
+  scopes: [
+    {
+      prefix: '/api/tenant/inspections',
+      preHandler: tenantCan('captureLinks:manage'),
+      findCase: (req, caseId) => prisma.case.findFirst({
+        where: { id: caseId, tenantId: req.principal.tenantId },
+        select: { id: true, tenantId: true }
+      })
+    },
+    {
+      prefix: '/api/executive/cases',
+      preHandler: requireExecutive,
+      findCase: (req, caseId) => prisma.case.findFirst({
+        where: { id: caseId, assignedUserId: req.principal.user.id },
+        select: { id: true, tenantId: true }
+      })
     }
-  });
+  ]
+});
 
-  const rows = cases.map((c) => {
-    const slots = c.slots || [];
-    const uploaded = slots.filter(s => ['UPLOADED', 'ANALYZED', 'REJECTED'].includes(String(s.status || '').toUpperCase())).length;
-    const analyzed = slots.filter(s => String(s.status || '').toUpperCase() === 'ANALYZED').length;
-    const rejected = slots.filter(s => String(s.status || '').toUpperCase() === 'REJECTED').length;
-    const total = slots.length;
-    const pct = total ? Math.round((uploaded / total) * 100) : 0;
-    const captureToken = c.captureTokens?.[0]?.token || null;
-    const captureUrl = captureToken ? `/capture/${captureToken}` : null;
-    const firstPhoto = slots.find(s => s.photo?.filePath)?.photo?.filePath || null;
+fastify.post('/api/cases', {
+  preHandler: requireCaseAccess('cases:write'),
+  schema: { body: schemas.caseCreateBody }
+}, async (req, reply) => {
+  if (!prisma) return reply.code(500).send({ ok: false, error: 'DATABASE_NOT_CONFIGURED' });
+  const access = req.caseAccess;
+  const tenantId = access.via === 'ADMIN' ? (req.body?.tenantId || access.tenantId) : access.tenantId;
+  return sendCreatedCase(req, reply, tenantId || null);
+});
 
-    return {
-      id: c.id,
-      createdAt: c.createdAt,
-      propertyType: c.propertyType,
-      bedrooms: c.bedrooms,
-      bathrooms: c.bathrooms,
-      progress: { uploaded, analyzed, rejected, total, pct },
-      captureUrl,
-      firstPhotoUrl: firstPhoto ? storage.publicUrl(firstPhoto) : null
-    };
+fastify.get('/api/cases', {
+  preHandler: requireCaseAccess('cases:read'),
+  schema: { querystring: schemas.caseListQuery }
+}, async (req, reply) => {
+  const { tenantId } = req.caseAccess;
+  const slaOptions = await caseListSla(tenantId);
+  const result = await listCases(prisma, {
+    baseWhere: tenantId ? { tenantId } : {},
+    query: req.query || {},
+    include: {
+      ...CASE_LIST_INCLUDE,
+      photos: { orderBy: { createdAt: 'asc' }, take: 1, select: { filePath: true } }
+    },
+    sla: slaOptions
   });
+  if (result.error) return reply.code(400).send({ ok: false, error: result.error });
 
-  return reply.send({ ok: true, cases: rows });
+  const rows = result.cases.map((c) => {
+    const firstPhoto = c.photos?.[0]?.filePath || null;
+    return { ...caseListRow(c, slaOptions), firstPhotoUrl: firstPhoto ? storage.publicUrl(firstPhoto) : null };
+  });
+  return reply.send({ ok: true, cases: rows, nextCursor: result.nextCursor });
 });
 
-fastify.get('/api/cases/:caseId/summary', async (req, reply) => {
+fastify.get('/api/cases/:caseId/summary', {
+  preHandler: requireCaseAccess('reports:read'),
+  schema: { params: schemas.paramsSchema('caseId') }
+}, async (req, reply) => {
   const caseId = String(req.params.caseId || '');
-  const tenantId = getTenantIdFromReq(req);
+  const { tenantId } = req.caseAccess;
   const summary = await getCaseSummary({ prisma, storage, caseId, slotGroupTitleFromCode, scoreConfig, tenantId });
   if (!summary.ok) return reply.code(404).send(summary);
   return reply.send(summary);
 });
 
-fastify.post('/api/cases/:caseId/reanalyze', async (req, reply) => {
+// Entrada vs salida: slots emparejados por slotCode, hallazgos nuevos/agravados y deltas por KPI
+fastify.get('/api/cases/:caseId/comparison', {
+  preHandler: requireCaseAccess('reports:read'),
+  schema: { params: schemas.paramsSchema('caseId') }
+}, async (req, reply) => {
   const caseId = String(req.params.caseId || '');
+  const { tenantId } = req.caseAccess;
+  const comparison = await getCaseComparison({ prisma, storage, caseId, slotGroupTitleFromCode, scoreConfig, tenantId });
+  if (!comparison.ok) return reply.code(comparison.error === 'CASE_BASELINE_NOT_SET' ? 409 : 404).send(comparison);
+  return reply.send(comparison);
+});
+
+fastify.post('/api/cases/:caseId/reanalyze', {
+  preHandler: requireCaseAccess('cases:write'),
+  schema: { params: schemas.paramsSchema('caseId'), querystring: schemas.reanalyzeQuery }
+}, async (req, reply) => {
+  const caseId = String(req.params.caseId || '');
+  const { tenantId } = req.caseAccess;
   if (!process.env.OPENAI_API_KEY) {
     return reply.code(400).send({ ok: false, error: 'OPENAI_NOT_CONFIGURED' });
   }
+  const c = await prisma.case.findFirst({ where: { id: caseId, ...(tenantId ? { tenantId } : {}) }, select: { id: true } });
+  if (!c) return reply.code(404).send({ ok: false, error: 'CASE_NOT_FOUND' });
 
   const force = String(req.query?.force || '').toLowerCase() === 'true' || String(req.query?.force || '') === '1';
   const slots = await prisma.slot.findMany({
-    where: { caseId, photoId: { not: null } },
+    where: { caseId, photoId: { not: null }, status: { not: 'NOT_CAPTURABLE' } },
     select: { id: true, analysisDebug: true }
   });
 
@@ -1321,7 +2126,22 @@ fastify.post('/api/cases/:caseId/reanalyze', async (req, reply) => {
     });
   }, 0);
 
+  await audit(req, { tenantId: tenantId || null, action: 'case.reanalyze', entityType: 'CASE', entityId: caseId, meta: { queued, forced: force } });
   return reply.send({ ok: true, queued, forced: force });
 });
 
+// Limpieza periódica de sesiones vencidas/revocadas e intentos de login antiguos (cualquier instancia puede hacerlo)
+setInterval(() => {
+  sessions.purgeExpired().catch((err) => fastify.log.warn({ err }, 'session purge failed'));
+  loginGuard.purgeOlderThan(30).catch((err) => fastify.log.warn({ err }, 'login attempt purge failed'));
+}, 1000 * 60 * 60).unref();
+
+// Propiedades sin columnas de búsqueda (recién migradas) se completan al arrancar
+propertyRegistry.backfillKeys()
+  .catch((err) => fastify.log.warn({ err }, 'property keys backfill failed'));
+
+// Casos sin agregados (recién migrados) se completan al arrancar
+caseStats.refreshAll({ where: { statsUpdatedAt: null } })
+  .catch((err) => fastify.log.warn({ err }, 'case stats backfill failed'));
+
 fastify.listen({ port: PORT, host: '0.0.0.0' });
@@ -0,0 +1,329 @@
+import crypto from 'node:crypto';
+import { dateRange } from '../validation/dateRange.js';
+import { fieldError } from '../validation/errors.js';
+import { toICalendar } from './ical.js';
+
+export const APPOINTMENT_STATUSES = ['SCHEDULED', 'CONFIRMED', 'DONE', 'NO_SHOW', 'CANCELLED'];
+
+// Citas que ocupan la agenda del ejecutivo (y las que se pueden reagendar o cancelar)
+const ACTIVE_STATUSES = ['SCHEDULED', 'CONFIRMED'];
+// Cambios de estado permitidos; CANCELLED solo por cancel()
+const STATUS_TRANSITIONS = {
+  SCHEDULED: ['CONFIRMED', 'DONE', 'NO_SHOW'],
+  CONFIRMED: ['SCHEDULED', 'DONE', 'NO_SHOW']
+};
+const DEFAULT_DURATION_MINUTES = 60;
+const MAX_DURATION_MS = 1000 * 60 * 60 * 12;
+// El feed incluye lo pasado reciente para que la visita no desaparezca del teléfono apenas ocurre
+const FEED_PAST_DAYS = 30;
+const MAX_LIST = 500;
+
+const CONTACT_FIELDS = ['contactName', 'contactPhone', 'contactEmail', 'notes'];
+
+const APPOINTMENT_INCLUDE = {
+  user: { select: { id: true, fullName: true } },
+  case: { select: { id: true, status: true, property: { select: { address: true, rol: true } } } }
+};
+
+// STATUS de iCalendar: la visita sin confirmar con el contacto queda como tentativa
+const ICS_STATUS = { SCHEDULED: 'TENTATIVE', CONFIRMED: 'CONFIRMED', DONE: 'CONFIRMED', NO_SHOW: 'CONFIRMED', CANCELLED: 'CANCELLED' };
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function parseDate(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const d = new Date(value);
+  return Number.isNaN(d.getTime()) ? null : d;
+}
+
+/**
+ * Ventana de la visita: startsAt + (endsAt | durationMinutes | 60 min). Sin startsAt se
+ * mantiene la de `current` (reagendar solo el fin o solo el ejecutivo).
+ */
+function resolveWindow(input, current = null) {
+  const startsAt = input.startsAt !== undefined ? parseDate(input.startsAt) : current?.startsAt;
+  if (!startsAt) return fieldError('APPOINTMENT_WINDOW_INVALID', 'startsAt', 'format', 'Fecha u hora inválida');
+
+  let endsAt;
+  if (input.endsAt !== undefined && input.endsAt !== null) {
+    endsAt = parseDate(input.endsAt);
+    if (!endsAt) return fieldError('APPOINTMENT_WINDOW_INVALID', 'endsAt', 'format', 'Fecha u hora inválida');
+  } else if (input.durationMinutes) {
+    endsAt = new Date(startsAt.getTime() + Number(input.durationMinutes) * 60000);
+  } else if (current) {
+    endsAt = new Date(startsAt.getTime() + (current.endsAt - current.startsAt));
+  } else {
+    endsAt = new Date(startsAt.getTime() + DEFAULT_DURATION_MINUTES * 60000);
+  }
+  if (endsAt <= startsAt || endsAt - startsAt > MAX_DURATION_MS) {
+    return fieldError('APPOINTMENT_WINDOW_INVALID', 'endsAt', 'range', 'El término debe ser posterior al inicio (máximo 12 horas)');
+  }
+  return { startsAt, endsAt };
+}
+
+function contactData(input) {
+  const data = {};
+  for (const key of CONTACT_FIELDS) {
+    if (input[key] !== undefined) data[key] = input[key] ? String(input[key]).trim() || null : null;
+  }
+  return data;
+}
+
+export function publicAppointment(row) {
+  return {
+    id: row.id,
+    caseId: row.caseId,
+    userId: row.userId,
+    userName: row.user?.fullName || null,
+    address: row.case?.property?.address || null,
+    startsAt: row.startsAt,
+    endsAt: row.endsAt,
+    status: row.status,
+    contactName: row.contactName,
+    contactPhone: row.contactPhone,
+    contactEmail: row.contactEmail,
+    notes: row.notes,
+    cancelReason: row.cancelReason,
+    cancelledAt: row.cancelledAt,
+    createdAt: row.createdAt,
+    updatedAt: row.updatedAt
+  };
+}
+
+/**
+ * Agenda de visitas de inspección. Las operaciones devuelven { appointment } (y `before`
+ * cuando cambian algo), { error } o null si la cita no es de la corredora.
+ * Un ejecutivo no puede tener dos citas activas que se traslapen (409 APPOINTMENT_CONFLICT).
+ */
+export function createAppointmentService({ prisma, caseAssignments }) {
+  // Citas activas del ejecutivo que se traslapan con [startsAt, endsAt)
+  async function findConflicts(client, { userId, startsAt, endsAt, excludeId = null }) {
+    return client.appointment.findMany({
+      where: {
+        userId,
+        status: { in: ACTIVE_STATUSES },
+        startsAt: { lt: endsAt },
+        endsAt: { gt: startsAt },
+        ...(excludeId ? { id: { not: excludeId } } : {})
+      },
+      orderBy: { startsAt: 'asc' },
+      include: APPOINTMENT_INCLUDE
+    });
+  }
+
+  // Bloquea la fila del ejecutivo hasta el fin de la transacción: dos agendamientos
+  // simultáneos para la misma persona revisan traslapes uno después del otro
+  async function lockExecutive(tx, userId) {
+    await tx.$queryRaw`SELECT id FROM \`User\` WHERE id = ${userId} FOR UPDATE`;
+  }
+
+  async function conflictError(client, slot) {
+    const conflicts = await findConflicts(client, slot);
+    return conflicts.length ? { error: 'APPOINTMENT_CONFLICT', conflicts: conflicts.map(publicAppointment) } : null;
+  }
+
+  async function resolveExecutive(tenantId, userId) {
+    if (!userId) return fieldError('EXECUTIVE_REQUIRED', 'userId', 'required', 'Indica el ejecutivo que hará la visita');
+    const user = await caseAssignments.findAssignee(tenantId, userId);
+    if (!user) return fieldError('ASSIGNED_USER_INVALID', 'userId', 'exists', 'El ejecutivo no existe o no está activo');
+    return { user };
+  }
+
+  async function get(tenantId, appointmentId, { userId = null } = {}) {
+    const row = await prisma.appointment.findFirst({
+      where: { id: appointmentId, tenantId, ...(userId ? { userId } : {}) },
+      include: APPOINTMENT_INCLUDE
+    });
+    return row || null;
+  }
+
+  async function list(tenantId, { userId, caseId, status, from, to, limit = 200 } = {}) {
+    const where = { tenantId };
+    if (userId) where.userId = String(userId);
+    if (caseId) where.caseId = String(caseId);
+    if (status) where.status = { in: String(status).split(',').map((s) => s.trim().toUpperCase()).filter((s) => APPOINTMENT_STATUSES.includes(s)) };
+    const range = dateRange({ from, to });
+    if (range.where) where.startsAt = range.where;
+    const rows = await prisma.appointment.findMany({
+      where,
+      orderBy: [{ startsAt: 'asc' }, { id: 'asc' }],
+      take: Math.min(MAX_LIST, Math.max(1, Number(limit) || 200)),
+      include: APPOINTMENT_INCLUDE
+    });
+    return rows.map(publicAppointment);
+  }
+
+  // Agenda la visita de un caso; por defecto con el ejecutivo asignado al caso
+  async function book({ tenantId, caseId, input, actor }) {
+    const c = await prisma.case.findFirst({
+      where: { id: caseId, tenantId },
+      select: { id: true, status: true, archivedAt: true, assignedUserId: true }
+    });
+    if (!c) return { error: 'CASE_NOT_FOUND' };
+    if (c.status === 'DONE' || c.archivedAt) return { error: 'CASE_CLOSED' };
+
+    const window = resolveWindow(input);
+    if (window.error) return window;
+    const executive = await resolveExecutive(tenantId, input.userId || c.assignedUserId);
+    if (executive.error) return executive;
+
+    return prisma.$transaction(async (tx) => {
+      await lockExecutive(tx, executive.user.id);
+      const existing = await tx.appointment.findFirst({ where: { caseId: c.id, status: { in: ACTIVE_STATUSES } } });
+      if (existing) return { error: 'APPOINTMENT_EXISTS', appointmentId: existing.id };
+      const conflict = await conflictError(tx, { userId: executive.user.id, ...window });
+      if (conflict) return conflict;
+
+      const row = await tx.appointment.create({
+        data: {
+          tenantId,
+          caseId: c.id,
+          userId: executive.user.id,
+          ...window,
+          ...contactData(input),
+          createdByType: actor?.type || 'SYSTEM',
+          createdById: actor?.id || null
+        },
+        include: APPOINTMENT_INCLUDE
+      });
+      return { appointment: publicAppointment(row) };
+    });
+  }
+
+  /**
+   * Cambia ventana, ejecutivo o datos de contacto. Si cambia la ventana o el ejecutivo la
+   * cita vuelve a SCHEDULED (hay que confirmarla de nuevo) y sube su sequence.
+   */
+  async function reschedule(tenantId, appointmentId, input) {
+    const current = await get(tenantId, appointmentId);
+    if (!current) return null;
+    if (!ACTIVE_STATUSES.includes(current.status)) return { error: 'APPOINTMENT_NOT_ACTIVE', status: current.status };
+
+    const windowChanged = ['startsAt', 'endsAt', 'durationMinutes'].some((k) => input[k] !== undefined && input[k] !== null);
+    const window = windowChanged ? resolveWindow(input, current) : { startsAt: current.startsAt, endsAt: current.endsAt };
+    if (window.error) return window;
+
+    let userId = current.userId;
+    if (input.userId && input.userId !== current.userId) {
+      const executive = await resolveExecutive(tenantId, input.userId);
+      if (executive.error) return executive;
+      userId = executive.user.id;
+    }
+    const moved = userId !== current.userId
+      || window.startsAt.getTime() !== current.startsAt.getTime()
+      || window.endsAt.getTime() !== current.endsAt.getTime();
+    const contact = contactData(input);
+    if (!moved && !Object.keys(contact).length) return { error: 'NOTHING_TO_UPDATE' };
+
+    return prisma.$transaction(async (tx) => {
+      if (moved) {
+        await lockExecutive(tx, userId);
+        const conflict = await conflictError(tx, { userId, ...window, excludeId: current.id });
+        if (conflict) return conflict;
+      }
+      const row = await tx.appointment.update({
+        where: { id: current.id },
+        data: {
+          ...contact,
+          ...(moved ? { ...window, userId, status: 'SCHEDULED', sequence: { increment: 1 } } : {})
+        },
+        include: APPOINTMENT_INCLUDE
+      });
+      return { before: publicAppointment(current), appointment: publicAppointment(row) };
+    });
+  }
+
+  // Confirmada, realizada o no-show; `userId` limita a las citas de ese ejecutivo
+  async function setStatus(tenantId, appointmentId, status, { userId = null } = {}) {
+    const current = await get(tenantId, appointmentId, { userId });
+    if (!current) return null;
+    const next = String(status || '').toUpperCase();
+    if (!(STATUS_TRANSITIONS[current.status] || []).includes(next)) {
+      return { error: 'APPOINTMENT_STATUS_INVALID', from: current.status, to: next };
+    }
+    const row = await prisma.appointment.update({
+      where: { id: current.id },
+      data: { status: next },
+      include: APPOINTMENT_INCLUDE
+    });
+    return { before: publicAppointment(current), appointment: publicAppointment(row) };
+  }
+
+  async function cancel(tenantId, appointmentId, { reason }) {
+    const current = await get(tenantId, appointmentId);
+    if (!current) return null;
+    if (!ACTIVE_STATUSES.includes(current.status)) return { error: 'APPOINTMENT_NOT_ACTIVE', status: current.status };
+    const row = await prisma.appointment.update({
+      where: { id: current.id },
+      data: {
+        status: 'CANCELLED',
+        cancelReason: String(reason).trim().slice(0, 191),
+        cancelledAt: new Date(),
+        sequence: { increment: 1 }
+      },
+      include: APPOINTMENT_INCLUDE
+    });
+    return { before: publicAppointment(current), appointment: publicAppointment(row) };
+  }
+
+  /**
+   * Nuevo token del feed de un usuario de la corredora (invalida el anterior). Solo se
+   * guarda el hash: la URL se muestra una vez. null si el usuario no es de la corredora.
+   */
+  async function issueCalendarToken({ tenantId, userId }) {
+    const user = await prisma.user.findFirst({ where: { id: userId, tenantId } });
+    if (!user) return null;
+    const token = crypto.randomBytes(24).toString('base64url');
+    await prisma.user.update({ where: { id: user.id }, data: { calendarTokenHash: hashToken(token) } });
+    return token;
+  }
+
+  async function revokeCalendarToken({ tenantId, userId }) {
+    const { count } = await prisma.user.updateMany({ where: { id: userId, tenantId }, data: { calendarTokenHash: null } });
+    return count > 0;
+  }
+
+  /**
+   * Feed .ics del ejecutivo dueño del token: sus visitas desde hace FEED_PAST_DAYS días,
+   * canceladas incluidas (STATUS:CANCELLED) para que el calendario las retire.
+   * null si el token no existe o el usuario ya no está activo.
+   */
+  async function calendarFeed(token, { absoluteUrl = (path) => path } = {}) {
+    if (!token) return null;
+    const user = await prisma.user.findUnique({ where: { calendarTokenHash: hashToken(token) } });
+    if (!user || user.status !== 'ACTIVE') return null;
+    const since = new Date(Date.now() - FEED_PAST_DAYS * 24 * 60 * 60 * 1000);
+    const rows = await prisma.appointment.findMany({
+      where: { userId: user.id, startsAt: { gte: since } },
+      orderBy: { startsAt: 'asc' },
+      include: APPOINTMENT_INCLUDE
+    });
+    const events = rows.map((a) => {
+      const address = a.case?.property?.address || null;
+      const description = [
+        a.contactName ? `Contacto: ${a.contactName}` : null,
+        a.contactPhone ? `Teléfono: ${a.contactPhone}` : null,
+        a.contactEmail ? `Email: ${a.contactEmail}` : null,
+        a.notes || null,
+        a.status === 'CANCELLED' && a.cancelReason ? `Cancelada: ${a.cancelReason}` : null
+      ].filter(Boolean).join('\n');
+      return {
+        uid: `${a.id}@ainspecciona`,
+        start: a.startsAt,
+        end: a.endsAt,
+        summary: `Inspección${address ? ` · ${address}` : ''}`,
+        location: address,
+        description,
+        url: absoluteUrl(`/cases/${encodeURIComponent(a.caseId)}/report`),
+        status: ICS_STATUS[a.status],
+        sequence: a.sequence,
+        updatedAt: a.updatedAt
+      };
+    });
+    return toICalendar({ name: `Inspecciones · ${user.fullName}`, events });
+  }
+
+  return { findConflicts, get, list, book, reschedule, setStatus, cancel, issueCalendarToken, revokeCalendarToken, calendarFeed };
+}
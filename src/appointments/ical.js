@@ -0,0 +1,62 @@
+// iCalendar (RFC 5545) mínimo para feeds de suscripción: VCALENDAR con VEVENT en UTC.
+
+function icsDate(value) {
+  return new Date(value).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function icsText(value) {
+  return String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+// Líneas de más de 75 octetos se continúan en la siguiente con un espacio inicial
+function foldLine(line) {
+  if (Buffer.byteLength(line) <= 75) return line;
+  const parts = [];
+  let current = '';
+  for (const ch of line) {
+    const limit = parts.length ? 74 : 75;
+    if (Buffer.byteLength(current + ch) > limit) {
+      parts.push(current);
+      current = '';
+    }
+    current += ch;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+/**
+ * events: [{ uid, start, end, summary, location?, description?, url?, status?, sequence?, updatedAt? }]
+ * status es el STATUS de iCalendar (TENTATIVE, CONFIRMED, CANCELLED).
+ */
+export function toICalendar({ name, events = [], now = new Date() }) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Ainspecciona//Agenda de inspecciones//ES',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${icsText(name)}`
+  ];
+  for (const e of events) {
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${e.uid}`,
+      `DTSTAMP:${icsDate(e.updatedAt || now)}`,
+      `DTSTART:${icsDate(e.start)}`,
+      `DTEND:${icsDate(e.end)}`,
+      `SUMMARY:${icsText(e.summary)}`
+    );
+    if (e.location) lines.push(`LOCATION:${icsText(e.location)}`);
+    if (e.description) lines.push(`DESCRIPTION:${icsText(e.description)}`);
+    if (e.url) lines.push(`URL:${e.url}`);
+    if (e.status) lines.push(`STATUS:${e.status}`);
+    lines.push(`SEQUENCE:${e.sequence || 0}`, 'END:VEVENT');
+  }
+  lines.push('END:VCALENDAR');
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+}
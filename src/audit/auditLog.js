@@ -0,0 +1,96 @@
+import { dateRange } from '../validation/dateRange.js';
+
+// Campos que nunca deben quedar en la auditoría, aunque vengan en un snapshot
+const REDACTED_FIELDS = new Set(['passwordHash', 'secretHash', 'tokenHash', 'token']);
+const MAX_LIMIT = 200;
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date);
+}
+
+// Aplana objetos anidados a rutas "a.b.c" para que el diff muestre solo lo que cambió
+function flatten(value, prefix = '', out = {}) {
+  if (!isPlainObject(value)) {
+    if (prefix) out[prefix] = value instanceof Date ? value.toISOString() : value;
+    return out;
+  }
+  for (const [key, child] of Object.entries(value)) {
+    if (REDACTED_FIELDS.has(key)) continue;
+    flatten(child, prefix ? `${prefix}.${key}` : key, out);
+  }
+  return out;
+}
+
+/**
+ * Diff entre dos snapshots: { campo: { before, after } } solo con lo que cambió.
+ * before null = creación; after null = eliminación. Devuelve null si no hay cambios.
+ */
+export function diffSnapshots(before, after) {
+  const a = flatten(before || {});
+  const b = flatten(after || {});
+  const diff = {};
+  for (const key of new Set([...Object.keys(a), ...Object.keys(b)])) {
+    const from = a[key] === undefined ? null : a[key];
+    const to = b[key] === undefined ? null : b[key];
+    if (JSON.stringify(from) !== JSON.stringify(to)) diff[key] = { before: from, after: to };
+  }
+  return Object.keys(diff).length ? diff : null;
+}
+
+/**
+ * Registro de auditoría (tabla AuditEvent): quién (actor), sobre qué tenant,
+ * qué acción, qué entidad y el diff antes/después.
+ */
+export function createAuditLog({ prisma, logger }) {
+  async function record({ actor, tenantId = null, action, entityType, entityId = null, before = null, after = null, meta = null }) {
+    const diff = diffSnapshots(before, after);
+    // Una edición que no cambió nada no aporta a la auditoría
+    if (before && after && !diff) return null;
+    try {
+      return await prisma.auditEvent.create({
+        data: {
+          tenantId,
+          actorType: actor?.type || 'SYSTEM',
+          actorId: actor?.id || null,
+          actorLabel: actor?.label || null,
+          ip: actor?.ip || null,
+          action,
+          entityType,
+          entityId,
+          diff,
+          meta
+        }
+      });
+    } catch (err) {
+      logger?.error({ err, action, entityType, entityId }, 'audit event failed');
+      return null;
+    }
+  }
+
+  // Filtros: tenantId, actorId, actorType, action (prefijo, ej. "user."), entityType, entityId, from, to.
+  // Paginación por cursor (id del último evento recibido).
+  async function list(filters = {}) {
+    const where = {};
+    if (filters.tenantId) where.tenantId = String(filters.tenantId);
+    if (filters.actorId) where.actorId = String(filters.actorId);
+    if (filters.actorType) where.actorType = String(filters.actorType).toUpperCase();
+    if (filters.action) where.action = { startsWith: String(filters.action) };
+    if (filters.entityType) where.entityType = String(filters.entityType).toUpperCase();
+    if (filters.entityId) where.entityId = String(filters.entityId);
+    const range = dateRange(filters);
+    if (range.where) where.createdAt = range.where;
+
+    const limit = Math.min(MAX_LIMIT, Math.max(1, Number(filters.limit) || 50));
+    const rows = await prisma.auditEvent.findMany({
+      where,
+      orderBy: [{ createdAt: 'desc' }, { id: 'desc' }],
+      take: limit + 1,
+      ...(filters.cursor ? { cursor: { id: String(filters.cursor) }, skip: 1 } : {})
+    });
+    const hasMore = rows.length > limit;
+    const events = hasMore ? rows.slice(0, limit) : rows;
+    return { events, nextCursor: hasMore ? events[events.length - 1].id : null };
+  }
+
+  return { record, list };
+}
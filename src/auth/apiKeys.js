@@ -0,0 +1,128 @@
+import crypto from 'node:crypto';
+
+export const API_KEY_SCOPES = ['cases:read', 'cases:write', 'reports:read'];
+
+// Formato: ak_<prefijo público>.<secreto>. Solo el prefijo y el sha256 del secreto quedan en la base.
+const KEY_PATTERN = /^ak_([a-f0-9]{12})\.([A-Za-z0-9_-]{20,})$/;
+const TOUCH_EVERY_MS = 1000 * 60;
+
+function hashSecret(secret) {
+  return crypto.createHash('sha256').update(String(secret)).digest('hex');
+}
+
+function generateRawKey() {
+  const prefix = crypto.randomBytes(6).toString('hex');
+  const secret = crypto.randomBytes(32).toString('base64url');
+  return { prefix, secret, raw: `ak_${prefix}.${secret}` };
+}
+
+export function normalizeScopes(input) {
+  const list = Array.isArray(input) ? input : String(input || '').split(',');
+  const scopes = list.map((s) => String(s || '').trim().toLowerCase()).filter(Boolean);
+  const invalid = scopes.filter((s) => !API_KEY_SCOPES.includes(s));
+  return { scopes: Array.from(new Set(scopes)), invalid };
+}
+
+export function apiKeyFromReq(req) {
+  const auth = String(req.headers.authorization || '');
+  if (auth.toLowerCase().startsWith('bearer ')) return auth.slice(7).trim() || null;
+  const header = req.headers['x-api-key'];
+  return header ? String(header).trim() : null;
+}
+
+export function publicApiKey(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    prefix: row.prefix,
+    scopes: Array.isArray(row.scopes) ? row.scopes : [],
+    lastUsedAt: row.lastUsedAt,
+    lastUsedIp: row.lastUsedIp,
+    expiresAt: row.expiresAt,
+    revokedAt: row.revokedAt,
+    createdAt: row.createdAt,
+    status: row.revokedAt
+      ? 'REVOKED'
+      : (row.expiresAt && new Date(row.expiresAt).getTime() <= Date.now() ? 'EXPIRED' : 'ACTIVE')
+  };
+}
+
+export function createApiKeyService({ prisma }) {
+  async function issue({ tenantId, name, scopes, expiresAt = null }, client = prisma) {
+    const key = generateRawKey();
+    const row = await client.apiKey.create({
+      data: {
+        tenantId,
+        name,
+        prefix: key.prefix,
+        secretHash: hashSecret(key.secret),
+        scopes,
+        expiresAt
+      }
+    });
+    // La clave en claro se entrega una sola vez
+    return { apiKey: publicApiKey(row), key: key.raw };
+  }
+
+  async function authenticate(rawKey, { ip } = {}) {
+    const match = KEY_PATTERN.exec(String(rawKey || ''));
+    if (!match) return null;
+    const row = await prisma.apiKey.findUnique({ where: { prefix: match[1] } }).catch(() => null);
+    if (!row || row.revokedAt) return null;
+    if (row.expiresAt && new Date(row.expiresAt).getTime() <= Date.now()) return null;
+
+    const expected = Buffer.from(row.secretHash, 'hex');
+    const given = Buffer.from(hashSecret(match[2]), 'hex');
+    if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) return null;
+
+    const lastUsedMs = row.lastUsedAt ? new Date(row.lastUsedAt).getTime() : 0;
+    if (Date.now() - lastUsedMs >= TOUCH_EVERY_MS) {
+      await prisma.apiKey.update({
+        where: { id: row.id },
+        data: { lastUsedAt: new Date(), lastUsedIp: ip || null }
+      }).catch(() => null);
+    }
+
+    return {
+      id: row.id,
+      tenantId: row.tenantId,
+      scopes: Array.isArray(row.scopes) ? row.scopes : []
+    };
+  }
+
+  async function rotate({ tenantId, apiKeyId }) {
+    return prisma.$transaction(async (tx) => {
+      const current = await tx.apiKey.findUnique({ where: { id: apiKeyId } });
+      if (!current || current.tenantId !== tenantId) return null;
+      if (current.revokedAt) return { error: 'API_KEY_REVOKED' };
+      await tx.apiKey.update({ where: { id: current.id }, data: { revokedAt: new Date() } });
+      return issue({
+        tenantId,
+        name: current.name,
+        scopes: Array.isArray(current.scopes) ? current.scopes : [],
+        expiresAt: current.expiresAt
+      }, tx);
+    });
+  }
+
+  async function revoke({ tenantId, apiKeyId }) {
+    const current = await prisma.apiKey.findUnique({ where: { id: apiKeyId } });
+    if (!current || current.tenantId !== tenantId) return null;
+    if (current.revokedAt) return publicApiKey(current);
+    const updated = await prisma.apiKey.update({
+      where: { id: current.id },
+      data: { revokedAt: new Date() }
+    });
+    return publicApiKey(updated);
+  }
+
+  async function list(tenantId) {
+    const rows = await prisma.apiKey.findMany({
+      where: { tenantId },
+      orderBy: { createdAt: 'desc' }
+    });
+    return rows.map(publicApiKey);
+  }
+
+  return { issue, authenticate, rotate, revoke, list };
+}
@@ -0,0 +1,128 @@
+import crypto from 'node:crypto';
+
+const MINUTE = 1000 * 60;
+
+function numberFromEnv(name, fallback) {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+export function loginGuardLimits() {
+  return {
+    windowMs: numberFromEnv('LOGIN_WINDOW_MINUTES', 15) * MINUTE,
+    // Fallos por cuenta antes de empezar a exigir espera (1s, 2s, 4s... hasta maxDelay)
+    delayAfter: numberFromEnv('LOGIN_DELAY_AFTER', 3),
+    maxDelayMs: numberFromEnv('LOGIN_MAX_DELAY_SECONDS', 60) * 1000,
+    // Fallos por cuenta que bloquean la cuenta temporalmente
+    lockAfter: numberFromEnv('LOGIN_LOCK_AFTER', 10),
+    lockMs: numberFromEnv('LOGIN_LOCK_MINUTES', 15) * MINUTE,
+    // Fallos por IP (todas las cuentas) dentro de la ventana
+    ipMaxFailures: numberFromEnv('LOGIN_IP_MAX_FAILURES', 30)
+  };
+}
+
+export function normalizeAccountKey(scope, account) {
+  const value = String(account || '').trim().toLowerCase();
+  // Los tokens de activación y de captura no se guardan en claro
+  if (scope === 'ACTIVATION' || scope === 'CAPTURE_PIN') return crypto.createHash('sha256').update(value).digest('hex').slice(0, 32);
+  return value;
+}
+
+function secondsUntil(ms) {
+  return Math.max(1, Math.ceil(ms / 1000));
+}
+
+/**
+ * Límite de intentos para login y activación, persistido en LoginAttempt para que
+ * todas las instancias vean los mismos contadores. Los fallos quedan registrados
+ * para revisar intentos de credential stuffing desde /api/admin/login-attempts.
+ */
+export function createLoginGuard({ prisma }) {
+  const limits = loginGuardLimits();
+
+  async function check({ scope, account, ip }) {
+    const accountKey = normalizeAccountKey(scope, account);
+    const nowMs = Date.now();
+    const since = new Date(nowMs - Math.max(limits.windowMs, limits.lockMs));
+
+    if (ip) {
+      const ipFailures = await prisma.loginAttempt.count({
+        where: { ip, success: false, clearedAt: null, createdAt: { gte: new Date(nowMs - limits.windowMs) } }
+      });
+      if (ipFailures >= limits.ipMaxFailures) {
+        return { allowed: false, status: 429, error: 'TOO_MANY_ATTEMPTS', retryAfterSeconds: secondsUntil(limits.windowMs) };
+      }
+    }
+
+    if (!accountKey) return { allowed: true };
+
+    const failures = await prisma.loginAttempt.findMany({
+      where: { scope, accountKey, success: false, clearedAt: null, createdAt: { gte: since } },
+      orderBy: { createdAt: 'desc' },
+      select: { createdAt: true },
+      take: limits.lockAfter
+    });
+    if (!failures.length) return { allowed: true };
+
+    const lastFailureMs = new Date(failures[0].createdAt).getTime();
+    if (failures.length >= limits.lockAfter) {
+      const lockedUntil = lastFailureMs + limits.lockMs;
+      if (lockedUntil > nowMs) {
+        return { allowed: false, status: 423, error: 'ACCOUNT_LOCKED', retryAfterSeconds: secondsUntil(lockedUntil - nowMs) };
+      }
+    }
+
+    const recent = failures.filter((f) => nowMs - new Date(f.createdAt).getTime() <= limits.windowMs).length;
+    if (recent >= limits.delayAfter) {
+      const delayMs = Math.min(limits.maxDelayMs, 1000 * 2 ** (recent - limits.delayAfter));
+      const waitMs = lastFailureMs + delayMs - nowMs;
+      if (waitMs > 0) {
+        return { allowed: false, status: 429, error: 'LOGIN_THROTTLED', retryAfterSeconds: secondsUntil(waitMs) };
+      }
+    }
+
+    return { allowed: true };
+  }
+
+  async function record({ scope, account, ip, userAgent, success, reason = null }) {
+    const accountKey = normalizeAccountKey(scope, account);
+    await prisma.loginAttempt.create({
+      data: {
+        scope,
+        accountKey,
+        ip: ip || null,
+        userAgent: userAgent ? String(userAgent).slice(0, 190) : null,
+        success,
+        reason
+      }
+    }).catch(() => null);
+  }
+
+  async function recordFailure(attempt) {
+    await record({ ...attempt, success: false });
+  }
+
+  // Un login correcto limpia los fallos acumulados de esa cuenta
+  async function recordSuccess(attempt) {
+    await record({ ...attempt, success: true });
+    await unlock({ scope: attempt.scope, account: attempt.account });
+  }
+
+  async function unlock({ scope, account }) {
+    const accountKey = normalizeAccountKey(scope, account);
+    const res = await prisma.loginAttempt.updateMany({
+      where: { scope, accountKey, success: false, clearedAt: null },
+      data: { clearedAt: new Date() }
+    });
+    return res.count;
+  }
+
+  async function purgeOlderThan(days = 30) {
+    const res = await prisma.loginAttempt.deleteMany({
+      where: { createdAt: { lt: new Date(Date.now() - days * 24 * 60 * MINUTE) } }
+    });
+    return res.count;
+  }
+
+  return { limits, check, recordFailure, recordSuccess, unlock, purgeOlderThan };
+}
@@ -0,0 +1,54 @@
+export const PASSWORD_MIN_LENGTH = 10;
+export const PASSWORD_MAX_LENGTH = 128;
+
+// Claves triviales que cumplen largo y mezcla pero aparecen en toda lista de filtraciones
+const COMMON_PASSWORDS = new Set([
+  'password123',
+  'password1234',
+  'qwerty12345',
+  'qwerty123456',
+  '1234567890a',
+  'a1234567890',
+  'abc1234567',
+  'abcd123456',
+  'contrasena1',
+  'contraseña1',
+  'ainspecciona1',
+  'ainspecciona123',
+  'admin12345',
+  'admin123456',
+  'welcome123',
+  'bienvenido1',
+  'bienvenido123',
+  'chile12345',
+  'santiago123'
+]);
+
+export function passwordPolicyDescription() {
+  return `Mínimo ${PASSWORD_MIN_LENGTH} caracteres, con letras y números.`;
+}
+
+/**
+ * Devuelve null si la clave cumple la política, o el código de error.
+ * identifiers: datos del titular (email, RUT, nombre) que la clave no debe contener.
+ */
+export function checkPasswordPolicy(password, { identifiers = [] } = {}) {
+  const value = String(password || '');
+  if (value.length < PASSWORD_MIN_LENGTH) return 'PASSWORD_TOO_SHORT';
+  if (value.length > PASSWORD_MAX_LENGTH) return 'PASSWORD_TOO_LONG';
+  if (!/[A-Za-zÁÉÍÓÚáéíóúÑñ]/.test(value) || !/[0-9]/.test(value)) return 'PASSWORD_TOO_WEAK';
+
+  const lower = value.toLowerCase();
+  if (COMMON_PASSWORDS.has(lower)) return 'PASSWORD_TOO_COMMON';
+
+  const parts = identifiers
+    .flatMap((id) => String(id || '').toLowerCase().split(/[@\s.\-_]+/))
+    .filter((p) => p.length >= 4);
+  if (parts.some((p) => lower.includes(p))) return 'PASSWORD_CONTAINS_IDENTIFIER';
+
+  return null;
+}
+
+export function passwordPolicyError(code) {
+  return { ok: false, error: code, minLength: PASSWORD_MIN_LENGTH, policy: passwordPolicyDescription() };
+}
@@ -0,0 +1,54 @@
+import crypto from 'node:crypto';
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function ttlMs() {
+  const minutes = Number(process.env.PASSWORD_RESET_MINUTES);
+  return (Number.isFinite(minutes) && minutes > 0 ? minutes : 30) * 60 * 1000;
+}
+
+/**
+ * Tokens de recuperación de clave, de un solo uso y corta duración.
+ * Un token pertenece a un ejecutivo (userId) o a la cuenta RUT de una corredora (tenantId).
+ */
+export function createPasswordResetService({ prisma }) {
+  async function issue({ userId = null, tenantId = null, ip = null }) {
+    const token = crypto.randomBytes(32).toString('base64url');
+    const expiresAt = new Date(Date.now() + ttlMs());
+    const subject = userId ? { userId } : { tenantId };
+
+    // Solo el último token pedido sigue siendo válido
+    await prisma.$transaction([
+      prisma.passwordResetToken.deleteMany({ where: { ...subject, usedAt: null } }),
+      prisma.passwordResetToken.create({
+        data: { ...subject, tokenHash: hashToken(token), expiresAt, requestedIp: ip }
+      })
+    ]);
+
+    return { token, expiresAt, resetUrl: `/reset-password?token=${encodeURIComponent(token)}` };
+  }
+
+  async function find(token) {
+    if (!token) return { error: 'INVALID_TOKEN' };
+    const row = await prisma.passwordResetToken.findUnique({
+      where: { tokenHash: hashToken(token) },
+      include: { user: true, tenant: true }
+    });
+    if (!row || row.usedAt) return { error: 'INVALID_TOKEN' };
+    if (new Date(row.expiresAt).getTime() <= Date.now()) return { error: 'TOKEN_EXPIRED' };
+    return { row };
+  }
+
+  // Marca el token como usado de forma atómica: si dos requests llegan juntas, solo una gana.
+  async function consume(row, tx = prisma) {
+    const res = await tx.passwordResetToken.updateMany({
+      where: { id: row.id, usedAt: null },
+      data: { usedAt: new Date() }
+    });
+    return res.count === 1;
+  }
+
+  return { issue, find, consume };
+}
@@ -0,0 +1,21 @@
+import crypto from 'node:crypto';
+import { promisify } from 'node:util';
+
+// scrypt asíncrono: corre en el threadpool de libuv y no bloquea el event loop en cada login
+const scryptAsync = promisify(crypto.scrypt);
+
+export async function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const derived = (await scryptAsync(password, salt, 64)).toString('hex');
+  return `scrypt$${salt}$${derived}`;
+}
+
+export async function verifyPassword(password, stored) {
+  if (!stored || !password) return false;
+  const parts = String(stored).split('$');
+  if (parts.length !== 3 || parts[0] !== 'scrypt') return false;
+  const salt = parts[1];
+  const hash = parts[2];
+  const derived = await scryptAsync(password, salt, 64);
+  return crypto.timingSafeEqual(Buffer.from(hash, 'hex'), derived);
+}
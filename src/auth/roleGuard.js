@@ -0,0 +1,20 @@
+/**
+ * Guard reutilizable para rutas protegidas por rol.
+ *
+ * resolvePrincipal(req) debe devolver { session, user } o null.
+ * Sin principal -> 401 UNAUTHORIZED; con rol fuera de `roles` -> 403 FORBIDDEN.
+ * Si pasa, deja el principal en req.principal para el handler.
+ */
+export function requireRole(roles, resolvePrincipal) {
+  const allowed = new Set((roles || []).map((r) => String(r).toUpperCase()));
+  return async function roleGuard(req, reply) {
+    const principal = await resolvePrincipal(req);
+    if (!principal?.user) {
+      return reply.code(401).send({ ok: false, error: 'UNAUTHORIZED' });
+    }
+    if (!allowed.has(String(principal.user.role || '').toUpperCase())) {
+      return reply.code(403).send({ ok: false, error: 'FORBIDDEN' });
+    }
+    req.principal = principal;
+  };
+}
@@ -0,0 +1,147 @@
+import crypto from 'node:crypto';
+
+const MINUTE = 1000 * 60;
+
+function numberFromEnv(name, fallback) {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+export function sessionTimeouts() {
+  return {
+    idleMs: numberFromEnv('SESSION_IDLE_MINUTES', 60 * 12) * MINUTE,
+    absoluteMs: numberFromEnv('SESSION_ABSOLUTE_HOURS', 24 * 7) * 60 * MINUTE,
+    // No renovamos en cada request: basta con una escritura cada tanto
+    touchEveryMs: numberFromEnv('SESSION_TOUCH_SECONDS', 60) * 1000,
+    // Sesiones de captura (link con PIN): cortas, el inspector solo las usa durante la visita
+    captureMs: numberFromEnv('CAPTURE_SESSION_MINUTES', 120) * MINUTE
+  };
+}
+
+function isActive(row, nowMs) {
+  if (!row) return false;
+  if (row.revokedAt) return false;
+  if (new Date(row.expiresAt).getTime() <= nowMs) return false;
+  if (new Date(row.idleExpiresAt).getTime() <= nowMs) return false;
+  return true;
+}
+
+/**
+ * Sesiones persistidas en base de datos (tabla Session).
+ * El token en claro solo vive en la cookie; en la base se guarda su sha256,
+ * así varias instancias detrás del mismo balanceador comparten las sesiones.
+ */
+export function createSessionStore({ prisma }) {
+  const timeouts = sessionTimeouts();
+
+  // absoluteMs permite una duración distinta por tipo (ej. sesiones de captura)
+  async function create({ kind, tenantId = null, userId = null, captureTokenId = null, absoluteMs = timeouts.absoluteMs, ip = null, userAgent = null }) {
+    const token = crypto.randomUUID();
+    const nowMs = Date.now();
+    await prisma.session.create({
+      data: {
+        kind,
+        tokenHash: hashToken(token),
+        tenantId,
+        userId,
+        captureTokenId,
+        ip,
+        userAgent: userAgent ? String(userAgent).slice(0, 190) : null,
+        lastSeenAt: new Date(nowMs),
+        idleExpiresAt: new Date(Math.min(nowMs + timeouts.idleMs, nowMs + absoluteMs)),
+        expiresAt: new Date(nowMs + absoluteMs)
+      }
+    });
+    return token;
+  }
+
+  async function get(kind, token) {
+    if (!token) return null;
+    const row = await prisma.session.findUnique({ where: { tokenHash: hashToken(token) } }).catch(() => null);
+    if (!row || row.kind !== kind) return null;
+    const nowMs = Date.now();
+    if (!isActive(row, nowMs)) return null;
+
+    // Renovación deslizante: extiende el vencimiento por inactividad sin pasar el absoluto
+    if (nowMs - new Date(row.lastSeenAt).getTime() >= timeouts.touchEveryMs) {
+      const idleExpiresAt = new Date(Math.min(nowMs + timeouts.idleMs, new Date(row.expiresAt).getTime()));
+      await prisma.session.update({
+        where: { id: row.id },
+        data: { lastSeenAt: new Date(nowMs), idleExpiresAt }
+      }).catch(() => null);
+    }
+
+    return {
+      id: row.id,
+      tenantId: row.tenantId,
+      userId: row.userId,
+      captureTokenId: row.captureTokenId,
+      createdAt: new Date(row.createdAt).getTime()
+    };
+  }
+
+  async function revoke(token, reason = 'LOGOUT') {
+    if (!token) return 0;
+    const res = await prisma.session.updateMany({
+      where: { tokenHash: hashToken(token), revokedAt: null },
+      data: { revokedAt: new Date(), revokeReason: reason }
+    });
+    return res.count;
+  }
+
+  // Sesiones vigentes que cumplen `where` (ej. { userId } o { tenantId, kind }), más recientes primero
+  async function listActive(where) {
+    const nowDate = new Date();
+    return prisma.session.findMany({
+      where: { ...where, revokedAt: null, expiresAt: { gt: nowDate }, idleExpiresAt: { gt: nowDate } },
+      orderBy: { lastSeenAt: 'desc' }
+    });
+  }
+
+  async function revokeAll(where, reason) {
+    const res = await prisma.session.updateMany({
+      where: { ...where, revokedAt: null },
+      data: { revokedAt: new Date(), revokeReason: reason }
+    });
+    return res.count;
+  }
+
+  function revokeAllForUser(userId, reason = 'PASSWORD_CHANGED') {
+    return revokeAll({ userId }, reason);
+  }
+
+  // Solo la cuenta compartida de la corredora (RUT + clave): los usuarios individuales tienen sus propias credenciales
+  function revokeAllForTenant(tenantId, reason = 'PASSWORD_CHANGED', kind = 'TENANT') {
+    return revokeAll({ tenantId, kind, userId: null }, reason);
+  }
+
+  async function purgeExpired() {
+    const nowDate = new Date();
+    const res = await prisma.session.deleteMany({
+      where: {
+        OR: [
+          { expiresAt: { lte: nowDate } },
+          { idleExpiresAt: { lte: nowDate } },
+          { revokedAt: { not: null } }
+        ]
+      }
+    });
+    return res.count;
+  }
+
+  return {
+    timeouts,
+    create,
+    get,
+    revoke,
+    listActive,
+    revokeWhere: revokeAll,
+    revokeAllForUser,
+    revokeAllForTenant,
+    purgeExpired
+  };
+}
@@ -0,0 +1,33 @@
+import { requireRole } from './roleGuard.js';
+
+/**
+ * Matriz de permisos del panel de corredora (/api/tenant/*).
+ * Cada permiso lista los roles de User que lo tienen. El acceso compartido
+ * por RUT de la empresa se trata como TENANT_ADMIN.
+ */
+export const TENANT_PERMISSIONS = {
+  'users:read': ['TENANT_ADMIN', 'TENANT_USER'],
+  'users:manage': ['TENANT_ADMIN'],
+  'inspections:read': ['TENANT_ADMIN', 'TENANT_USER'],
+  'inspections:create': ['TENANT_ADMIN', 'TENANT_USER'],
+  'inspections:update': ['TENANT_ADMIN', 'TENANT_USER'],
+  'inspections:delete': ['TENANT_ADMIN'],
+  'inspections:assign': ['TENANT_ADMIN'],
+  'appointments:manage': ['TENANT_ADMIN', 'TENANT_USER'],
+  'sla:manage': ['TENANT_ADMIN'],
+  'plans:manage': ['TENANT_ADMIN'],
+  'captureLinks:manage': ['TENANT_ADMIN', 'TENANT_USER'],
+  'integrations:manage': ['TENANT_ADMIN'],
+  'audit:read': ['TENANT_ADMIN']
+};
+
+export function permissionsForRole(role) {
+  const value = String(role || '').toUpperCase();
+  return Object.keys(TENANT_PERMISSIONS).filter((p) => TENANT_PERMISSIONS[p].includes(value));
+}
+
+export function requireTenantPermission(permission, resolvePrincipal) {
+  const roles = TENANT_PERMISSIONS[permission];
+  if (!roles) throw new Error(`Unknown tenant permission: ${permission}`);
+  return requireRole(roles, resolvePrincipal);
+}
@@ -0,0 +1,174 @@
+import crypto from 'node:crypto';
+
+import { hashPassword } from '../auth/passwords.js';
+
+const DAY = 1000 * 60 * 60 * 24;
+
+function numberFromEnv(name, fallback) {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+export function captureLinkLimits() {
+  return {
+    defaultDays: numberFromEnv('CAPTURE_LINK_DAYS', 7),
+    maxDays: numberFromEnv('CAPTURE_LINK_MAX_DAYS', 60)
+  };
+}
+
+export function captureLinkStatus(row, nowMs = Date.now()) {
+  if (row.revokedAt) return 'REVOKED';
+  if (!row.expiresAt || new Date(row.expiresAt).getTime() <= nowMs) return 'EXPIRED';
+  return 'ACTIVE';
+}
+
+export function publicCaptureLink(row) {
+  const status = captureLinkStatus(row);
+  return {
+    id: row.id,
+    status,
+    // El link solo se expone mientras sirve; revocado o vencido no se reenvía por error
+    url: status === 'ACTIVE' ? `/capture/${row.token}` : null,
+    pinProtected: !!row.pinHash,
+    expiresAt: row.expiresAt,
+    revokedAt: row.revokedAt,
+    createdAt: row.createdAt
+  };
+}
+
+/**
+ * Resumen para listados de casos a partir de captureTokens (cualquier orden):
+ * el link activo más reciente o, si no hay, el último emitido con su estado.
+ */
+export function summarizeCaptureLinks(tokens = []) {
+  const sorted = [...tokens].sort((a, b) => new Date(b.createdAt).getTime() - new Date(a.createdAt).getTime());
+  const current = sorted.find((t) => captureLinkStatus(t) === 'ACTIVE') || sorted[0] || null;
+  if (!current) return { captureUrl: null, captureLink: null };
+  const link = publicCaptureLink(current);
+  return {
+    captureUrl: link.url,
+    captureLink: { id: link.id, status: link.status, expiresAt: link.expiresAt, pinProtected: link.pinProtected }
+  };
+}
+
+/**
+ * Vencimiento pedido por el cliente: { expiresInDays } o { expiresAt }.
+ * Sin ninguno usa el default (CAPTURE_LINK_DAYS). Devuelve { expiresAt } o { error }.
+ */
+export function resolveCaptureExpiry(input = {}, limits = captureLinkLimits()) {
+  const nowMs = Date.now();
+  const maxMs = nowMs + limits.maxDays * DAY;
+  let expiresMs;
+  if (input.expiresAt !== undefined && input.expiresAt !== null && input.expiresAt !== '') {
+    expiresMs = new Date(input.expiresAt).getTime();
+  } else if (input.expiresInDays !== undefined && input.expiresInDays !== null && input.expiresInDays !== '') {
+    const days = Number(input.expiresInDays);
+    if (!Number.isFinite(days) || days <= 0) return { error: 'EXPIRES_INVALID' };
+    expiresMs = nowMs + days * DAY;
+  } else {
+    expiresMs = nowMs + limits.defaultDays * DAY;
+  }
+  if (!Number.isFinite(expiresMs) || expiresMs <= nowMs) return { error: 'EXPIRES_INVALID' };
+  if (expiresMs > maxMs) return { error: 'EXPIRES_TOO_FAR', maxDays: limits.maxDays };
+  return { expiresAt: new Date(expiresMs) };
+}
+
+/**
+ * PIN opcional del link: { pin: '1234' } (4 a 8 dígitos) o { generatePin: true } para un
+ * código aleatorio de 6 dígitos. Devuelve { pin, generated } (pin null = sin PIN) o { error }.
+ */
+export function resolveCapturePin(input = {}) {
+  if (input.generatePin === true) {
+    return { pin: String(crypto.randomInt(0, 1000000)).padStart(6, '0'), generated: true };
+  }
+  if (input.pin === undefined || input.pin === null || input.pin === '') return { pin: null, generated: false };
+  const pin = String(input.pin).trim();
+  if (!/^\d{4,8}$/.test(pin)) return { error: 'PIN_INVALID' };
+  return { pin, generated: false };
+}
+
+export function createCaptureLinkService({ prisma }) {
+  const limits = captureLinkLimits();
+
+  // El hash se calcula fuera de transacciones: scrypt es lento a propósito
+  async function hashPin(pin) {
+    return pin ? hashPassword(pin) : null;
+  }
+
+  async function issue({ tenantId = null, caseId, expiresAt, pinHash = null }, client = prisma) {
+    const row = await client.captureToken.create({
+      data: {
+        tenantId,
+        caseId,
+        token: crypto.randomUUID(),
+        expiresAt: expiresAt || new Date(Date.now() + limits.defaultDays * DAY),
+        pinHash
+      }
+    });
+    return row;
+  }
+
+  async function list(caseId) {
+    const rows = await prisma.captureToken.findMany({
+      where: { caseId },
+      orderBy: { createdAt: 'desc' }
+    });
+    return rows.map(publicCaptureLink);
+  }
+
+  async function findForCase(caseId, linkId) {
+    const row = await prisma.captureToken.findUnique({ where: { id: linkId } });
+    if (!row || row.caseId !== caseId) return null;
+    return row;
+  }
+
+  async function revoke(caseId, linkId) {
+    const row = await findForCase(caseId, linkId);
+    if (!row) return null;
+    if (row.revokedAt) return { link: publicCaptureLink(row), before: row };
+    const updated = await prisma.captureToken.update({ where: { id: row.id }, data: { revokedAt: new Date() } });
+    return { link: publicCaptureLink(updated), before: row };
+  }
+
+  // Emite un link nuevo; por defecto revoca los activos para que el anterior deje de servir
+  async function regenerate({ tenantId = null, caseId, expiresAt, revokeActive = true, pin = null }) {
+    const pinHash = await hashPin(pin);
+    return prisma.$transaction(async (tx) => {
+      let revoked = 0;
+      if (revokeActive) {
+        const res = await tx.captureToken.updateMany({
+          where: { caseId, revokedAt: null, expiresAt: { gt: new Date() } },
+          data: { revokedAt: new Date() }
+        });
+        revoked = res.count;
+      }
+      const row = await issue({ tenantId, caseId, expiresAt, pinHash }, tx);
+      return { link: publicCaptureLink(row), revoked };
+    });
+  }
+
+  // Extiende (o reabre, si ya venció) un link no revocado
+  async function extend(caseId, linkId, expiresAt) {
+    const row = await findForCase(caseId, linkId);
+    if (!row) return null;
+    if (row.revokedAt) return { error: 'CAPTURE_LINK_REVOKED' };
+    const updated = await prisma.captureToken.update({ where: { id: row.id }, data: { expiresAt } });
+    return { link: publicCaptureLink(updated), before: row };
+  }
+
+  // Cambia o quita el PIN; las sesiones de captura abiertas con el PIN anterior se cierran
+  async function setPin(caseId, linkId, pin) {
+    const row = await findForCase(caseId, linkId);
+    if (!row) return null;
+    if (row.revokedAt) return { error: 'CAPTURE_LINK_REVOKED' };
+    const pinHash = await hashPin(pin);
+    const updated = await prisma.captureToken.update({ where: { id: row.id }, data: { pinHash } });
+    await prisma.session.updateMany({
+      where: { captureTokenId: row.id, revokedAt: null },
+      data: { revokedAt: new Date(), revokeReason: 'PIN_CHANGED' }
+    });
+    return { link: publicCaptureLink(updated), before: row };
+  }
+
+  return { limits, hashPin, issue, list, revoke, regenerate, extend, setPin };
+}
@@ -0,0 +1,118 @@
+const ASSIGNABLE_ROLES = ['TENANT_ADMIN', 'TENANT_USER'];
+const MAX_CASES_PER_REQUEST = 500;
+
+// Casos "abiertos" de un ejecutivo: los que alguien todavía tiene que terminar
+export const OPEN_CASE_WHERE = { status: { not: 'DONE' }, archivedAt: null };
+
+/**
+ * Asignación de casos a ejecutivos con historial (tabla CaseAssignment).
+ * reassign devuelve { error } si el destino no sirve o { moved, skipped } por caso.
+ */
+export function createCaseAssignmentService({ prisma }) {
+  // Destino válido: usuario activo de la misma corredora
+  async function findAssignee(tenantId, userId, client = prisma) {
+    if (!userId) return null;
+    const user = await client.user.findUnique({ where: { id: String(userId) } });
+    if (!user || user.tenantId !== tenantId) return null;
+    if (user.status !== 'ACTIVE' || !ASSIGNABLE_ROLES.includes(user.role)) return null;
+    return user;
+  }
+
+  // Primer registro del historial; se llama dentro de la transacción que crea el caso
+  async function recordInitial(client, { caseId, tenantId = null, user, actor }) {
+    if (!user) return null;
+    return client.caseAssignment.create({
+      data: {
+        caseId,
+        tenantId,
+        toUserId: user.id,
+        toUserName: user.fullName,
+        reason: 'CREATED',
+        actorType: actor?.type || 'SYSTEM',
+        actorId: actor?.id || null
+      }
+    });
+  }
+
+  async function countOpenCases(tenantId, userId) {
+    return prisma.case.count({ where: { tenantId, assignedUserId: userId, ...OPEN_CASE_WHERE } });
+  }
+
+  /**
+   * Mueve casos a toUserId (null = dejarlos sin asignar, solo para bajas de usuario).
+   * Se indica caseIds o fromUserId (todos sus casos abiertos). Los casos cerrados,
+   * ajenos a la corredora o ya asignados al destino se informan en skipped.
+   * Con `client` corre dentro de esa transacción (para traspasar y dar de baja al usuario juntos).
+   */
+  async function reassign({ tenantId, caseIds = null, fromUserId = null, toUserId, reason = 'REASSIGN', note = null, actor, allowUnassign = false, client = null }) {
+    let toUser = null;
+    if (toUserId || !allowUnassign) {
+      toUser = await findAssignee(tenantId, toUserId, client || prisma);
+      if (!toUser || toUser.id === fromUserId) return { error: 'ASSIGNED_USER_INVALID' };
+    }
+
+    let where;
+    if (Array.isArray(caseIds)) {
+      const ids = [...new Set(caseIds.map((id) => String(id)))];
+      if (!ids.length) return { error: 'CASE_IDS_REQUIRED' };
+      if (ids.length > MAX_CASES_PER_REQUEST) return { error: 'TOO_MANY_CASES', max: MAX_CASES_PER_REQUEST };
+      where = { tenantId, id: { in: ids } };
+    } else if (fromUserId) {
+      where = { tenantId, assignedUserId: fromUserId, ...OPEN_CASE_WHERE };
+    } else {
+      return { error: 'CASE_IDS_REQUIRED' };
+    }
+
+    const move = async (tx) => {
+      const cases = await tx.case.findMany({
+        where,
+        select: { id: true, status: true, assignedUserId: true, assignedUser: { select: { fullName: true } } }
+      });
+      const skipped = [];
+      if (Array.isArray(caseIds)) {
+        const found = new Set(cases.map((c) => c.id));
+        caseIds.filter((id) => !found.has(String(id))).forEach((id) => skipped.push({ caseId: String(id), error: 'CASE_NOT_FOUND' }));
+      }
+      const movable = [];
+      for (const c of cases) {
+        if (c.status === 'DONE') skipped.push({ caseId: c.id, error: 'CASE_CLOSED' });
+        else if (c.assignedUserId === (toUser?.id || null)) skipped.push({ caseId: c.id, error: 'ALREADY_ASSIGNED' });
+        else movable.push(c);
+      }
+      if (!movable.length) return { moved: [], skipped };
+
+      await tx.case.updateMany({
+        where: { id: { in: movable.map((c) => c.id) } },
+        data: { assignedUserId: toUser?.id || null }
+      });
+      await tx.caseAssignment.createMany({
+        data: movable.map((c) => ({
+          caseId: c.id,
+          tenantId,
+          fromUserId: c.assignedUserId,
+          fromUserName: c.assignedUser?.fullName || null,
+          toUserId: toUser?.id || null,
+          toUserName: toUser?.fullName || null,
+          reason,
+          note: note ? String(note).slice(0, 1000) : null,
+          actorType: actor?.type || 'SYSTEM',
+          actorId: actor?.id || null
+        }))
+      });
+      return {
+        moved: movable.map((c) => ({ caseId: c.id, fromUserId: c.assignedUserId, toUserId: toUser?.id || null })),
+        skipped
+      };
+    };
+    return client ? move(client) : prisma.$transaction(move);
+  }
+
+  async function history(caseId) {
+    return prisma.caseAssignment.findMany({
+      where: { caseId },
+      orderBy: { createdAt: 'desc' }
+    });
+  }
+
+  return { findAssignee, recordInitial, countOpenCases, reassign, history };
+}
@@ -0,0 +1,195 @@
+import { resolveCaptureExpiry, resolveCapturePin } from '../capture/captureLinks.js';
+import { buildPlanFromTemplate, normalizeRoomList, roomListCounts } from '../plans/planTemplates.js';
+import { findOrCreateOwner } from '../properties/propertyRegistry.js';
+import { fieldError } from '../validation/errors.js';
+
+class PropertyResolveError extends Error {
+  constructor(code) {
+    super(code);
+    this.code = code;
+  }
+}
+
+// Valores por defecto de un caso nuevo; el body ya viene validado por caseCreateBody
+function normalizeCaseInput(input = {}) {
+  const bathroomsCount = input.bathroomsCount ?? input.bathrooms ?? 1;
+  const bedroomsCount = input.bedroomsCount ?? input.bedrooms ?? 1;
+  const textOrNull = (value) => (value ? String(value).trim() || null : null);
+  return {
+    propertyType: input.propertyType || 'DEPARTMENT',
+    floorType: input.floorType || 'CONCRETE',
+    propertyAgeRange: input.propertyAgeRange || null,
+    bathroomsCount,
+    bedroomsCount,
+    bathrooms: input.bathrooms ?? bathroomsCount,
+    bedrooms: input.bedrooms ?? bedroomsCount,
+    yearBuilt: input.yearBuilt ?? null,
+    hasPatio: !!input.hasPatio,
+    hasAttic: !!input.hasAttic,
+    hasLaundry: !!input.hasLaundry,
+    rooms: normalizeRoomList(input.rooms),
+    ownerName: textOrNull(input.ownerName),
+    ownerRut: textOrNull(input.ownerRut),
+    property: {
+      rol: textOrNull(input.propertyRol),
+      address: textOrNull(input.propertyAddress),
+      operationType: textOrNull(input.propertyOperationType),
+      surface: textOrNull(input.propertySurface)
+    },
+    assignedUserId: input.assignedUserId ? String(input.assignedUserId) : null,
+    propertyId: input.propertyId ? String(input.propertyId) : null
+  };
+}
+
+// Conteos de la lista de habitaciones -> columnas del caso (bathrooms/bedrooms son los alias antiguos)
+export function roomCountColumns(counts) {
+  const columns = {};
+  if (counts.bathroomsCount !== undefined) columns.bathroomsCount = columns.bathrooms = counts.bathroomsCount;
+  if (counts.bedroomsCount !== undefined) columns.bedroomsCount = columns.bedrooms = counts.bedroomsCount;
+  return columns;
+}
+
+/**
+ * Alta de casos compartida por /api/cases y /api/tenant/inspections:
+ * propietario, propiedad, caso, slots del plan y primer link de captura en una transacción.
+ * La propiedad se reutiliza si la corredora ya tiene una con el mismo ROL o dirección
+ * (ver src/properties/propertyRegistry.js) o si viene propertyId.
+ * Los slots salen de la plantilla vigente de la corredora (src/plans/planTemplates.js); con
+ * `rooms` (habitaciones con nombre) la cantidad de baños y dormitorios sale de la lista.
+ * Los plazos de captura e informe salen de la política SLA de la corredora (src/cases/caseSla.js).
+ * create devuelve { error, fields } si algo del input no sirve, o el caso creado.
+ */
+export function createCaseCreationService({ prisma, captureLinks, caseAssignments, propertyRegistry, sla, planTemplates }) {
+  async function create({ tenantId = null, input = {}, actor = null }) {
+    const data = normalizeCaseInput(input);
+
+    if (tenantId) {
+      const tenant = await prisma.tenant.findUnique({ where: { id: tenantId }, select: { id: true } });
+      if (!tenant) return fieldError('TENANT_NOT_FOUND', 'tenantId', 'exists', 'La corredora no existe');
+    }
+
+    if (data.propertyId) {
+      const property = tenantId ? await prisma.property.findFirst({ where: { id: data.propertyId, tenantId }, select: { id: true } }) : null;
+      if (!property) return fieldError('PROPERTY_NOT_FOUND', 'propertyId', 'exists', 'La propiedad no existe');
+    }
+
+    let assignee = null;
+    if (data.assignedUserId) {
+      assignee = tenantId ? await caseAssignments.findAssignee(tenantId, data.assignedUserId) : null;
+      if (!assignee) return fieldError('ASSIGNED_USER_INVALID', 'assignedUserId', 'exists', 'El ejecutivo no existe o no está activo');
+    }
+
+    const captureExpiry = resolveCaptureExpiry(
+      { expiresInDays: input.captureExpiresInDays, expiresAt: input.captureExpiresAt },
+      captureLinks.limits
+    );
+    if (captureExpiry.error) {
+      const field = input.captureExpiresAt ? 'captureExpiresAt' : 'captureExpiresInDays';
+      return { ...captureExpiry, ...fieldError(captureExpiry.error, field, 'range', 'Vencimiento fuera de rango') };
+    }
+    const capturePin = resolveCapturePin({ pin: input.capturePin, generatePin: input.captureGeneratePin === true });
+    if (capturePin.error) return fieldError(capturePin.error, 'capturePin', 'pattern', 'Código de acceso inválido');
+    const capturePinHash = await captureLinks.hashPin(capturePin.pin);
+
+    const template = await planTemplates.active(tenantId);
+    if (data.rooms) {
+      // Con lista de habitaciones, los conteos del caso salen de la lista
+      const listed = roomListCounts(template, data.rooms);
+      if (listed.error) return listed;
+      Object.assign(data, roomCountColumns(listed.counts));
+    }
+    const planSlots = buildPlanFromTemplate(template, data);
+    const createdAt = new Date();
+
+    // Un error de la propiedad deshace la transacción (propietario incluido) y vuelve como 400, no como 500
+    const result = await prisma.$transaction(async (tx) => {
+      const dueDates = await sla.dueDatesFor(tenantId, createdAt, tx);
+
+      const ownerId = await findOrCreateOwner(tx, { tenantId, ownerName: data.ownerName, ownerRut: data.ownerRut });
+
+      const resolved = await propertyRegistry.resolve(tx, { tenantId, propertyId: data.propertyId, ownerId, data: data.property });
+      if (resolved.error) throw new PropertyResolveError(resolved.error);
+      const { property } = resolved;
+
+      const c = await tx.case.create({
+        data: {
+          tenant: tenantId ? { connect: { id: tenantId } } : undefined,
+          assignedUser: assignee ? { connect: { id: assignee.id } } : undefined,
+          property: { connect: { id: property.id } },
+          propertyType: data.propertyType,
+          bathroomsCount: data.bathroomsCount,
+          bedroomsCount: data.bedroomsCount,
+          propertyAgeRange: data.propertyAgeRange,
+          bedrooms: data.bedrooms,
+          bathrooms: data.bathrooms,
+          yearBuilt: data.yearBuilt,
+          floorType: data.floorType,
+          hasPatio: data.hasPatio,
+          hasAttic: data.hasAttic,
+          hasLaundry: data.hasLaundry,
+          rooms: data.rooms ?? undefined,
+          planVersion: template.planVersion,
+          status: 'DRAFT',
+          createdAt,
+          ...dueDates,
+          // Plan recién creado: todo PENDING, el resto de los agregados parte en 0
+          slotsTotal: planSlots.length,
+          statsUpdatedAt: createdAt
+        }
+      });
+      await caseAssignments.recordInitial(tx, { caseId: c.id, tenantId, user: assignee, actor });
+
+      const slots = await tx.slot.createMany({
+        data: planSlots.map((s, idx) => ({
+          tenantId,
+          caseId: c.id,
+          slotCode: s.slotCode,
+          title: s.title,
+          instructions: s.instructions,
+          required: s.required ?? true,
+          kpiKey: s.kpiKey,
+          roomKey: s.roomKey,
+          roomLabel: s.roomLabel,
+          orderIndex: idx + 1,
+          status: 'PENDING'
+        }))
+      });
+
+      const link = await captureLinks.issue({ tenantId, caseId: c.id, expiresAt: captureExpiry.expiresAt, pinHash: capturePinHash }, tx);
+
+      return {
+        caseId: c.id,
+        propertyId: property.id,
+        propertyReused: resolved.reused,
+        slotsCreated: slots.count,
+        captureToken: link.token,
+        captureExpiresAt: link.expiresAt
+      };
+    }).catch((err) => {
+      if (err instanceof PropertyResolveError) return { error: err.code };
+      throw err;
+    });
+    if (result.error) return fieldError('PROPERTY_NOT_FOUND', 'propertyId', 'exists', 'La propiedad no existe');
+
+    return {
+      caseId: result.caseId,
+      tenantId,
+      propertyId: result.propertyId,
+      propertyReused: result.propertyReused,
+      propertyType: data.propertyType,
+      bathroomsCount: data.bathroomsCount,
+      bedroomsCount: data.bedroomsCount,
+      rooms: data.rooms,
+      assignedUserId: assignee?.id || null,
+      slotsCreated: result.slotsCreated,
+      captureUrl: `/capture/${result.captureToken}`,
+      captureExpiresAt: result.captureExpiresAt,
+      ...(capturePin.generated ? { capturePin: capturePin.pin } : {}),
+      reportUrl: `/cases/${encodeURIComponent(result.caseId)}/report`,
+      planVersion: template.planVersion,
+      slots: planSlots
+    };
+  }
+
+  return { create };
+}
@@ -0,0 +1,350 @@
+import { summarizeCaptureLinks } from '../capture/captureLinks.js';
+import { readSpreadsheet, toCsv } from '../import/spreadsheet.js';
+import { ruleMessage } from '../validation/errors.js';
+
+const MAX_ROWS = 500;
+// Un commit PROCESSING sin avance por este tiempo se considera abandonado y se puede retomar
+const STALE_PROCESSING_MS = 10 * 60 * 1000;
+const ASSIGNABLE_ROLES = ['TENANT_ADMIN', 'TENANT_USER'];
+
+/**
+ * Columnas reconocidas: campo del alta de casos -> encabezados aceptados
+ * (se comparan sin tildes, mayúsculas, espacios ni signos).
+ */
+const COLUMNS = {
+  propertyAddress: ['direccion', 'address', 'propertyaddress'],
+  propertyRol: ['rol', 'propertyrol'],
+  ownerRut: ['rutpropietario', 'ownerrut', 'rut'],
+  ownerName: ['nombrepropietario', 'propietario', 'ownername'],
+  bedroomsCount: ['dormitorios', 'bedrooms', 'bedroomscount'],
+  bathroomsCount: ['banos', 'bathrooms', 'bathroomscount'],
+  propertyType: ['tipo', 'tipopropiedad', 'propertytype'],
+  executiveEmail: ['emailejecutivo', 'ejecutivo', 'executiveemail', 'assignedemail'],
+  hasLaundry: ['lavanderia', 'haslaundry'],
+  hasPatio: ['patio', 'haspatio'],
+  hasAttic: ['atico', 'entretecho', 'hasattic']
+};
+
+const PROPERTY_TYPE_VALUES = {
+  casa: 'HOUSE',
+  house: 'HOUSE',
+  departamento: 'DEPARTMENT',
+  depto: 'DEPARTMENT',
+  department: 'DEPARTMENT',
+  apartment: 'DEPARTMENT'
+};
+const TRUE_VALUES = ['si', 'yes', 'true', '1', 'x'];
+const FALSE_VALUES = ['', 'no', 'false', '0'];
+
+function normalizeKey(value) {
+  return String(value ?? '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, '');
+}
+
+// Índice de columna por campo; las columnas no reconocidas se informan para que el usuario las revise
+function mapHeader(header) {
+  const columns = {};
+  const ignored = [];
+  header.forEach((name, index) => {
+    const key = normalizeKey(name);
+    if (!key) return;
+    const field = Object.keys(COLUMNS).find((f) => COLUMNS[f].includes(key));
+    if (field && columns[field] === undefined) columns[field] = index;
+    else ignored.push(String(name).trim());
+  });
+  return { columns, ignored };
+}
+
+function issue(field, rule, message = ruleMessage(rule)) {
+  return { field, rule, message };
+}
+
+function parseCount(value, field, minimum, errors) {
+  const text = String(value ?? '').trim();
+  if (!text) return undefined;
+  const n = Number(text.replace(',', '.'));
+  if (!Number.isInteger(n)) errors.push(issue(field, 'type', 'Debe ser un número entero'));
+  else if (n < minimum) errors.push(issue(field, 'minimum'));
+  else if (n > 20) errors.push(issue(field, 'maximum'));
+  else return n;
+  return undefined;
+}
+
+function parseFlag(value, field, errors) {
+  const key = normalizeKey(value);
+  if (TRUE_VALUES.includes(key)) return true;
+  if (FALSE_VALUES.includes(key)) return false;
+  errors.push(issue(field, 'enum', 'Usa "sí" o "no"'));
+  return false;
+}
+
+/**
+ * Valida las filas de datos contra el alta de casos (mismos rangos que caseCreateBody).
+ * executives: Map email -> { id, fullName } de los ejecutivos activos de la corredora.
+ * Devuelve [{ row, input, executiveEmail, errors }] con row = número de fila en la planilla.
+ */
+function validateRows(dataRows, columns, executives) {
+  const seenRol = new Map();
+  const seenAddress = new Map();
+
+  return dataRows.map(({ cells, row }) => {
+    const cell = (field) => (columns[field] === undefined ? '' : String(cells[columns[field]] ?? '').trim());
+    const errors = [];
+    const input = {};
+
+    const address = cell('propertyAddress');
+    const rol = cell('propertyRol');
+    if (!address && !rol) errors.push(issue('propertyAddress', 'required', 'Indica dirección o ROL'));
+    if (address.length > 191) errors.push(issue('propertyAddress', 'maxLength'));
+    if (rol.length > 60) errors.push(issue('propertyRol', 'maxLength'));
+    input.propertyAddress = address || null;
+    input.propertyRol = rol || null;
+
+    // Misma propiedad dos veces en el archivo: casi siempre es un error de copia
+    const rolKey = normalizeKey(rol);
+    const addressKey = normalizeKey(address);
+    if (rolKey && seenRol.has(rolKey)) errors.push(issue('propertyRol', 'duplicate', `Repetido en la fila ${seenRol.get(rolKey)}`));
+    else if (addressKey && seenAddress.has(addressKey)) {
+      errors.push(issue('propertyAddress', 'duplicate', `Repetida en la fila ${seenAddress.get(addressKey)}`));
+    }
+    if (rolKey && !seenRol.has(rolKey)) seenRol.set(rolKey, row);
+    if (addressKey && !seenAddress.has(addressKey)) seenAddress.set(addressKey, row);
+
+    input.ownerRut = cell('ownerRut') || null;
+    input.ownerName = cell('ownerName') || null;
+    if (input.ownerRut && input.ownerRut.length > 20) errors.push(issue('ownerRut', 'maxLength'));
+    if (input.ownerName && input.ownerName.length > 200) errors.push(issue('ownerName', 'maxLength'));
+
+    const bedrooms = parseCount(cell('bedroomsCount'), 'bedroomsCount', 0, errors);
+    const bathrooms = parseCount(cell('bathroomsCount'), 'bathroomsCount', 1, errors);
+    if (bedrooms !== undefined) input.bedroomsCount = bedrooms;
+    if (bathrooms !== undefined) input.bathroomsCount = bathrooms;
+
+    const type = cell('propertyType');
+    if (type) {
+      const value = PROPERTY_TYPE_VALUES[normalizeKey(type)];
+      if (!value) errors.push({ ...issue('propertyType', 'enum'), allowed: ['casa', 'departamento'] });
+      else input.propertyType = value;
+    }
+
+    for (const flag of ['hasLaundry', 'hasPatio', 'hasAttic']) {
+      if (columns[flag] !== undefined) input[flag] = parseFlag(cell(flag), flag, errors);
+    }
+
+    const executiveEmail = cell('executiveEmail').toLowerCase();
+    if (executiveEmail) {
+      const executive = executives.get(executiveEmail);
+      if (!executive) errors.push(issue('executiveEmail', 'exists', 'El ejecutivo no existe o no está activo'));
+      else input.assignedUserId = executive.id;
+    }
+
+    return { row, input, executiveEmail: executiveEmail || null, errors };
+  });
+}
+
+function previewRow(r) {
+  return {
+    row: r.row,
+    status: r.errors.length ? 'INVALID' : 'VALID',
+    address: r.input.propertyAddress,
+    rol: r.input.propertyRol,
+    executiveEmail: r.executiveEmail,
+    errors: r.errors
+  };
+}
+
+function importSummary(imp) {
+  return {
+    id: imp.id,
+    fileName: imp.fileName,
+    status: imp.status,
+    rowsTotal: imp.rowsTotal,
+    rowsValid: imp.rowsValid,
+    rowsCreated: imp.rowsCreated,
+    createdAt: imp.createdAt,
+    completedAt: imp.completedAt
+  };
+}
+
+/**
+ * Importación masiva de inspecciones desde CSV/XLSX en dos pasos:
+ *   preview  lee y valida el archivo sin crear nada; queda guardado como CaseImport VALIDATED
+ *   commit   crea los casos de las filas válidas (uno por uno vía caseCreation) y guarda el resultado
+ * resultsCsv arma la planilla descargable con el estado de cada fila y su link de captura vigente.
+ */
+export function createCaseImportService({ prisma, caseCreation }) {
+  async function preview({ tenantId, fileName, buffer, actor }) {
+    // En un .xlsx las filas con datos deben caber en las primeras MAX_ROWS + 1 (con el encabezado)
+    const sheet = readSpreadsheet({ filename: fileName, buffer, maxRows: MAX_ROWS + 1 });
+    if (sheet.error === 'TOO_MANY_ROWS') return { error: sheet.error, max: MAX_ROWS };
+    if (sheet.error) return sheet;
+
+    const [header = [], ...rest] = sheet.rows;
+    const { columns, ignored } = mapHeader(header);
+    if (columns.propertyAddress === undefined && columns.propertyRol === undefined) {
+      return { error: 'COLUMNS_MISSING', required: ['direccion', 'rol'], found: header.map((h) => String(h).trim()).filter(Boolean) };
+    }
+
+    // Número de fila de la planilla (1 = encabezado); las filas vacías se saltan
+    const dataRows = rest
+      .map((cells, i) => ({ cells, row: i + 2 }))
+      .filter(({ cells }) => cells.some((v) => String(v ?? '').trim()));
+    if (!dataRows.length) return { error: 'FILE_EMPTY' };
+    if (dataRows.length > MAX_ROWS) return { error: 'TOO_MANY_ROWS', max: MAX_ROWS };
+
+    const emails = [...new Set(dataRows
+      .map(({ cells }) => String(cells[columns.executiveEmail] ?? '').trim().toLowerCase())
+      .filter(Boolean))];
+    const users = emails.length && columns.executiveEmail !== undefined
+      ? await prisma.user.findMany({
+        where: { tenantId, email: { in: emails }, status: 'ACTIVE', role: { in: ASSIGNABLE_ROLES } },
+        select: { id: true, email: true, fullName: true }
+      })
+      : [];
+    const executives = new Map(users.map((u) => [u.email.toLowerCase(), u]));
+
+    const rows = validateRows(dataRows, columns, executives);
+    const rowsValid = rows.filter((r) => !r.errors.length).length;
+
+    const imp = await prisma.caseImport.create({
+      data: {
+        tenantId,
+        fileName: String(fileName || '').slice(0, 191) || null,
+        status: 'VALIDATED',
+        rowsTotal: rows.length,
+        rowsValid,
+        rows,
+        createdByType: actor?.type || 'SYSTEM',
+        createdById: actor?.id || null
+      }
+    });
+
+    return { import: importSummary(imp), ignoredColumns: ignored, rows: rows.map(previewRow) };
+  }
+
+  async function get(tenantId, importId) {
+    return prisma.caseImport.findFirst({ where: { id: importId, tenantId } });
+  }
+
+  /**
+   * Crea los casos de un import validado. Se toma con un cambio de estado atómico
+   * para que un doble click no cree los casos dos veces. onCreated(created, row) se
+   * llama por cada caso creado (auditoría).
+   *
+   * Corre dentro de la request: con MAX_ROWS filas puede tardar minutos, así que el
+   * proxy y el cliente deben tolerar respuestas lentas. El avance se guarda fila a fila;
+   * si algo falla el import queda FAILED con los resultados parciales, y si el proceso
+   * muere queda PROCESSING sin avance. En ambos casos un nuevo commit (para PROCESSING,
+   * pasado STALE_PROCESSING_MS) retoma saltándose las filas ya creadas.
+   */
+  async function commit({ tenantId, importId, actor, onCreated }) {
+    const found = await get(tenantId, importId);
+    if (!found) return null;
+    const claimed = await prisma.caseImport.updateMany({
+      where: {
+        id: found.id,
+        OR: [
+          { status: { in: ['VALIDATED', 'FAILED'] } },
+          { status: 'PROCESSING', processingAt: null },
+          { status: 'PROCESSING', processingAt: { lt: new Date(Date.now() - STALE_PROCESSING_MS) } }
+        ]
+      },
+      data: { status: 'PROCESSING', processingAt: new Date() }
+    });
+    if (!claimed.count) {
+      const error = found.status === 'COMPLETED' ? 'IMPORT_ALREADY_COMMITTED' : 'IMPORT_IN_PROGRESS';
+      return { error, status: found.status };
+    }
+
+    // Releer después de tomarlo: un intento anterior pudo haber guardado avance
+    const imp = await get(tenantId, importId);
+    const previous = new Map((Array.isArray(imp.results) ? imp.results : [])
+      .filter((r) => r.status === 'CREATED')
+      .map((r) => [r.row, r]));
+    const results = [];
+    const save = (data) => prisma.caseImport.update({
+      where: { id: imp.id },
+      data: { results, rowsCreated: results.filter((r) => r.status === 'CREATED').length, ...data }
+    });
+
+    let status = 'FAILED';
+    let done;
+    try {
+      for (const r of imp.rows) {
+        if (previous.has(r.row)) {
+          results.push(previous.get(r.row));
+          continue;
+        }
+        if (r.errors.length) {
+          results.push({ row: r.row, status: 'SKIPPED', errors: r.errors });
+          continue;
+        }
+        let created;
+        try {
+          created = await caseCreation.create({ tenantId, input: r.input, actor });
+        } catch {
+          created = { error: 'internal', fields: [issue(null, 'internal', 'No se pudo crear el caso')] };
+        }
+        if (created.error) {
+          results.push({ row: r.row, status: 'FAILED', errors: created.fields || [issue(null, created.error, created.error)] });
+          continue;
+        }
+        results.push({
+          row: r.row,
+          status: 'CREATED',
+          caseId: created.caseId,
+          captureUrl: created.captureUrl,
+          captureExpiresAt: created.captureExpiresAt
+        });
+        // Fuera del try de la creación: el caso ya existe, así que si guardar el avance o
+        // auditar falla se corta el import (queda FAILED y se retoma) en vez de marcar la fila FAILED
+        await save({ processingAt: new Date() });
+        await onCreated?.(created, r);
+      }
+      status = 'COMPLETED';
+    } finally {
+      // Aunque se corte a mitad, el import no queda PROCESSING con los casos ya creados sin registrar
+      done = await save({ status, processingAt: null, completedAt: status === 'COMPLETED' ? new Date() : null });
+    }
+    return { import: importSummary(done), results };
+  }
+
+  /**
+   * Planilla de resultados: una fila por fila del archivo original. Antes del commit
+   * sirve como reporte de validación (VALID/INVALID); después trae caseId y el link de
+   * captura vigente del caso (no el emitido al importar, que pudo revocarse o vencer).
+   */
+  async function resultsCsv(imp, absoluteUrl = (path) => path) {
+    const outcomes = new Map((imp.results || []).map((r) => [r.row, r]));
+    const caseIds = [...outcomes.values()].map((o) => o.caseId).filter(Boolean);
+    const tokens = caseIds.length
+      ? await prisma.captureToken.findMany({ where: { caseId: { in: caseIds } } })
+      : [];
+    const links = new Map(caseIds.map((id) => [id, summarizeCaptureLinks(tokens.filter((t) => t.caseId === id))]));
+
+    const lines = [['fila', 'direccion', 'rol', 'email_ejecutivo', 'estado', 'caso', 'link_captura', 'vence', 'errores']];
+    for (const r of imp.rows) {
+      const outcome = outcomes.get(r.row);
+      const errors = outcome?.errors || r.errors;
+      // Solo un link ACTIVE trae URL; revocado o vencido queda en blanco
+      const { captureUrl, captureLink } = (outcome?.caseId && links.get(outcome.caseId)) || {};
+      lines.push([
+        r.row,
+        r.input.propertyAddress,
+        r.input.propertyRol,
+        r.executiveEmail,
+        outcome?.status || (r.errors.length ? 'INVALID' : 'VALID'),
+        outcome?.caseId || '',
+        captureUrl ? absoluteUrl(captureUrl) : '',
+        captureUrl && captureLink.expiresAt ? new Date(captureLink.expiresAt).toISOString() : '',
+        errors.map((e) => (e.field ? `${e.field}: ${e.message}` : e.message)).join(' | ')
+      ]);
+    }
+    return toCsv(lines);
+  }
+
+  return { preview, get, commit, resultsCsv, summary: importSummary };
+}
@@ -0,0 +1,89 @@
+// Estados en que un slot requerido ya no bloquea el cierre del caso
+const SLOT_DONE_STATUSES = new Set(['ANALYZED', 'NOT_CAPTURABLE']);
+
+/**
+ * Un caso está listo para cerrar cuando todos sus slots requeridos quedaron
+ * ANALYZED o NOT_CAPTURABLE. Devuelve también los que faltan.
+ */
+export function evaluateCaseReadiness(slots = []) {
+  const pending = slots
+    .filter((s) => s.required !== false)
+    .filter((s) => !SLOT_DONE_STATUSES.has(String(s.status || '').toUpperCase()));
+  return {
+    ready: slots.length > 0 && pending.length === 0,
+    pendingRequired: pending.map((s) => ({ id: s.id, slotCode: s.slotCode, status: s.status }))
+  };
+}
+
+export function isCaseClosed(c) {
+  return String(c?.status || '').toUpperCase() === 'DONE';
+}
+
+/**
+ * Máquina de estados del caso:
+ *   DRAFT -> IN_PROGRESS   automático con la primera captura
+ *   IN_PROGRESS -> DONE    cierre explícito del ejecutivo, solo si está listo
+ *   DONE -> IN_PROGRESS    reapertura explícita
+ * readyToCloseAt se mantiene al día con cada captura.
+ * close/reopen devuelven null si el caso no existe o { error } si la transición no aplica.
+ * Con caseStats, cada cambio de slots también actualiza los agregados del listado.
+ */
+export function createCaseLifecycle({ prisma, caseStats = null }) {
+  async function loadSlots(client, caseId) {
+    return client.slot.findMany({
+      where: { caseId },
+      select: { id: true, slotCode: true, status: true, required: true }
+    });
+  }
+
+  // Llamar después de cada cambio de slots (captura, no capturable, regeneración del plan)
+  async function syncAfterSlotChange(caseId, client = prisma) {
+    if (caseStats) await caseStats.refresh(caseId, client);
+    const c = await client.case.findUnique({
+      where: { id: caseId },
+      select: { id: true, status: true, startedAt: true, readyToCloseAt: true }
+    });
+    if (!c || isCaseClosed(c)) return c;
+
+    const slots = await loadSlots(client, caseId);
+    const { ready } = evaluateCaseReadiness(slots);
+    const started = slots.some((s) => String(s.status || '').toUpperCase() !== 'PENDING');
+    const data = {};
+    if (c.status === 'DRAFT' && started) {
+      data.status = 'IN_PROGRESS';
+      data.startedAt = c.startedAt || new Date();
+    }
+    if (ready && !c.readyToCloseAt) data.readyToCloseAt = new Date();
+    if (!ready && c.readyToCloseAt) data.readyToCloseAt = null;
+    if (!Object.keys(data).length) return c;
+    return client.case.update({ where: { id: caseId }, data });
+  }
+
+  async function close(caseId, { userId = null } = {}) {
+    return prisma.$transaction(async (tx) => {
+      const c = await tx.case.findUnique({ where: { id: caseId } });
+      if (!c) return null;
+      if (isCaseClosed(c)) return { error: 'CASE_ALREADY_CLOSED' };
+      const readiness = evaluateCaseReadiness(await loadSlots(tx, caseId));
+      if (!readiness.ready) return { error: 'CASE_NOT_READY', pendingRequired: readiness.pendingRequired };
+      const updated = await tx.case.update({
+        where: { id: caseId },
+        data: { status: 'DONE', closedAt: new Date(), closedByUserId: userId }
+      });
+      return { before: c, case: updated };
+    });
+  }
+
+  async function reopen(caseId) {
+    const c = await prisma.case.findUnique({ where: { id: caseId } });
+    if (!c) return null;
+    if (!isCaseClosed(c)) return { error: 'CASE_NOT_CLOSED' };
+    const updated = await prisma.case.update({
+      where: { id: caseId },
+      data: { status: 'IN_PROGRESS', closedAt: null, closedByUserId: null, reopenedAt: new Date() }
+    });
+    return { before: c, case: updated };
+  }
+
+  return { syncAfterSlotChange, close, reopen };
+}
@@ -0,0 +1,115 @@
+import { dateRange } from '../validation/dateRange.js';
+import { slaWhere } from './caseSla.js';
+
+const MAX_LIMIT = 200;
+const DEFAULT_LIMIT = 50;
+
+const CASE_STATUSES = ['DRAFT', 'IN_PROGRESS', 'DONE'];
+const PROPERTY_TYPES = ['HOUSE', 'DEPARTMENT'];
+const BADGES = ['GREEN', 'YELLOW', 'RED'];
+
+// Orden público -> columna de Case (progreso y score son columnas agregadas, ver caseStats.js)
+const SORT_FIELDS = {
+  createdAt: 'createdAt',
+  closedAt: 'closedAt',
+  progress: 'progressPct',
+  score: 'score'
+};
+
+function listParam(value) {
+  if (value === undefined || value === null || value === '') return [];
+  return [].concat(value)
+    .flatMap((v) => String(v).split(','))
+    .map((v) => v.trim().toUpperCase())
+    .filter(Boolean);
+}
+
+/**
+ * Filtros, orden y paginación de los listados de casos a partir de la query string:
+ *   status, propertyType, badge     lista separada por comas
+ *   from, to                        rango de fecha de creación
+ *   assignedUserId                  ejecutivo ('none' = sin asignar)
+ *   q                               texto libre sobre dirección, ROL, propietario o su RUT
+ *   archived=true                   solo archivadas (por defecto se excluyen)
+ *   sla=overdue|at_risk             plazos vencidos o por vencer (sla: { now, atRiskHours })
+ *   sort=createdAt|closedAt|progress|score, order=asc|desc, limit, cursor
+ * Devuelve { where, orderBy, limit, cursor } o { error }.
+ */
+export function parseCaseListQuery(query = {}, { sla } = {}) {
+  const and = [];
+
+  const statuses = listParam(query.status);
+  if (statuses.some((s) => !CASE_STATUSES.includes(s))) return { error: 'STATUS_INVALID' };
+  if (statuses.length) and.push({ status: { in: statuses } });
+
+  const types = listParam(query.propertyType);
+  if (types.some((t) => !PROPERTY_TYPES.includes(t))) return { error: 'PROPERTY_TYPE_INVALID' };
+  if (types.length) and.push({ propertyType: { in: types } });
+
+  const badges = listParam(query.badge);
+  if (badges.some((b) => !BADGES.includes(b))) return { error: 'BADGE_INVALID' };
+  if (badges.length) and.push({ badge: { in: badges } });
+
+  const range = dateRange(query);
+  if (range.error) return range;
+  if (range.where) and.push({ createdAt: range.where });
+
+  if (query.assignedUserId) {
+    const assigned = String(query.assignedUserId);
+    and.push({ assignedUserId: assigned === 'none' ? null : assigned });
+  }
+
+  const q = String(query.q || '').trim();
+  if (q) {
+    and.push({
+      OR: [
+        { property: { address: { contains: q } } },
+        { property: { rol: { contains: q } } },
+        { property: { owner: { fullName: { contains: q } } } },
+        { property: { owner: { rut: { contains: q } } } }
+      ]
+    });
+  }
+
+  if (query.sla) {
+    const filter = slaWhere(String(query.sla), sla);
+    if (!filter) return { error: 'SLA_FILTER_INVALID' };
+    and.push(filter);
+  }
+
+  and.push({ archivedAt: String(query.archived || '') === 'true' ? { not: null } : null });
+
+  const sortKey = query.sort ? String(query.sort) : 'createdAt';
+  const column = SORT_FIELDS[sortKey];
+  if (!column) return { error: 'SORT_INVALID' };
+  const order = String(query.order || 'desc').toLowerCase();
+  if (order !== 'asc' && order !== 'desc') return { error: 'ORDER_INVALID' };
+
+  return {
+    where: { AND: and },
+    // id desempata para que el cursor sea estable con valores repetidos
+    orderBy: [{ [column]: order }, { id: order }],
+    limit: Math.min(MAX_LIMIT, Math.max(1, Number(query.limit) || DEFAULT_LIMIT)),
+    cursor: query.cursor ? String(query.cursor) : null
+  };
+}
+
+/**
+ * Página de casos: baseWhere acota lo que el llamador puede ver (tenant, ejecutivo);
+ * la query del cliente solo agrega filtros encima. Devuelve { cases, nextCursor } o { error }.
+ */
+export async function listCases(prisma, { baseWhere = {}, query = {}, include, sla }) {
+  const parsed = parseCaseListQuery(query, { sla });
+  if (parsed.error) return parsed;
+
+  const rows = await prisma.case.findMany({
+    where: { AND: [baseWhere, parsed.where] },
+    orderBy: parsed.orderBy,
+    take: parsed.limit + 1,
+    ...(parsed.cursor ? { cursor: { id: parsed.cursor }, skip: 1 } : {}),
+    include
+  });
+  const hasMore = rows.length > parsed.limit;
+  const cases = hasMore ? rows.slice(0, parsed.limit) : rows;
+  return { cases, nextCursor: hasMore ? cases[cases.length - 1].id : null };
+}
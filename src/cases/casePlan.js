@@ -0,0 +1,78 @@
+// Un slot "intacto" puede eliminarse al regenerar el plan: sigue PENDING y nunca tuvo foto
+function isUntouched(slot) {
+  return String(slot.status || '').toUpperCase() === 'PENDING' && !slot.photoId;
+}
+
+/**
+ * Ajusta los slots de un caso a un plan nuevo (ej. cambió la cantidad de baños):
+ * - agrega los slots del plan que faltan (PENDING),
+ * - elimina los que ya no están en el plan solo si siguen intactos,
+ * - conserva los capturados aunque salgan del plan (quedan no requeridos, al final),
+ * - reordena orderIndex según el plan nuevo.
+ * Debe llamarse dentro de una transacción.
+ */
+export async function reconcilePlanSlots(tx, { caseId, tenantId = null, planSlots }) {
+  const existing = await tx.slot.findMany({
+    where: { caseId },
+    select: { id: true, slotCode: true, status: true, photoId: true, required: true, orderIndex: true }
+  });
+  const byCode = new Map(existing.map((s) => [s.slotCode, s]));
+  const planCodes = new Set(planSlots.map((s) => s.slotCode));
+
+  const toAdd = planSlots.filter((s) => !byCode.has(s.slotCode));
+  const outOfPlan = existing.filter((s) => !planCodes.has(s.slotCode));
+  const toRemove = outOfPlan.filter(isUntouched);
+  const keptOutOfPlan = outOfPlan.filter((s) => !isUntouched(s));
+
+  if (toRemove.length) {
+    await tx.slot.deleteMany({ where: { id: { in: toRemove.map((s) => s.id) } } });
+  }
+
+  if (toAdd.length) {
+    await tx.slot.createMany({
+      data: toAdd.map((s) => ({
+        tenantId,
+        caseId,
+        slotCode: s.slotCode,
+        title: s.title,
+        instructions: s.instructions,
+        required: s.required ?? true,
+        kpiKey: s.kpiKey || null,
+        roomKey: s.roomKey || null,
+        roomLabel: s.roomLabel || null,
+        orderIndex: 0,
+        status: 'PENDING'
+      }))
+    });
+  }
+
+  const current = await tx.slot.findMany({ where: { caseId }, select: { id: true, slotCode: true } });
+  const idByCode = new Map(current.map((s) => [s.slotCode, s.id]));
+  let orderIndex = 0;
+  for (const s of planSlots) {
+    orderIndex += 1;
+    await tx.slot.update({
+      where: { id: idByCode.get(s.slotCode) },
+      // El título sigue al nombre de la habitación si se renombró
+      data: {
+        orderIndex,
+        title: s.title,
+        required: s.required ?? true,
+        kpiKey: s.kpiKey || null,
+        roomKey: s.roomKey || null,
+        roomLabel: s.roomLabel || null
+      }
+    });
+  }
+  for (const s of keptOutOfPlan) {
+    orderIndex += 1;
+    // Fuera del plan: se conserva la evidencia pero ya no bloquea el cierre
+    await tx.slot.update({ where: { id: s.id }, data: { orderIndex, required: false } });
+  }
+
+  return {
+    added: toAdd.map((s) => s.slotCode),
+    removed: toRemove.map((s) => s.slotCode),
+    keptOutOfPlan: keptOutOfPlan.map((s) => s.slotCode)
+  };
+}
@@ -0,0 +1,237 @@
+import { dateRange } from '../validation/dateRange.js';
+import { OPEN_CASE_WHERE } from './caseAssignments.js';
+
+export const DEFAULT_AT_RISK_HOURS = 24;
+const HOUR_MS = 1000 * 60 * 60;
+const RECOMPUTE_BATCH = 200;
+const SUMMARY_DEFAULT_MONTHS = 6;
+
+// Fecha local YYYY-MM-DD (los feriados se comparan por día calendario del servidor)
+function localDateKey(d) {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+
+/**
+ * start + N días hábiles, a la misma hora: se saltan sábados, domingos y `holidays`
+ * (lista de YYYY-MM-DD). Con 0 días devuelve start.
+ */
+export function addBusinessDays(start, days, holidays = []) {
+  const skip = new Set(holidays);
+  const d = new Date(start);
+  let left = Number(days) || 0;
+  while (left > 0) {
+    d.setDate(d.getDate() + 1);
+    const dow = d.getDay();
+    if (dow === 0 || dow === 6 || skip.has(localDateKey(d))) continue;
+    left -= 1;
+  }
+  return d;
+}
+
+// Plazos de un caso creado en `createdAt` según la política (null = sin compromiso)
+export function computeDueDates(createdAt, policy) {
+  const holidays = Array.isArray(policy?.holidays) ? policy.holidays : [];
+  const due = (days) => (days === null || days === undefined ? null : addBusinessDays(createdAt, days, holidays));
+  return { captureDueAt: due(policy?.captureDays), reportDueAt: due(policy?.reportDays) };
+}
+
+function stageStatus(dueAt, doneAt, now, atRiskMs) {
+  if (!dueAt) return null;
+  const due = new Date(dueAt).getTime();
+  if (doneAt) return new Date(doneAt).getTime() <= due ? 'MET' : 'MISSED';
+  if (now.getTime() > due) return 'OVERDUE';
+  if (due - now.getTime() <= atRiskMs) return 'AT_RISK';
+  return 'ON_TRACK';
+}
+
+/**
+ * Estado SLA de un caso: captura cumplida cuando quedó lista para cerrar (readyToCloseAt),
+ * informe cumplido al cerrarse. Cada etapa: MET, MISSED, OVERDUE, AT_RISK, ON_TRACK o null.
+ */
+export function caseSlaStatus(c, { now = new Date(), atRiskHours = DEFAULT_AT_RISK_HOURS } = {}) {
+  const atRiskMs = atRiskHours * HOUR_MS;
+  const closedAt = c.status === 'DONE' ? c.closedAt : null;
+  const capture = stageStatus(c.captureDueAt, c.readyToCloseAt || closedAt, now, atRiskMs);
+  const report = stageStatus(c.reportDueAt, closedAt, now, atRiskMs);
+  return {
+    captureDueAt: c.captureDueAt || null,
+    reportDueAt: c.reportDueAt || null,
+    capture,
+    report,
+    overdue: capture === 'OVERDUE' || report === 'OVERDUE',
+    atRisk: capture === 'AT_RISK' || report === 'AT_RISK'
+  };
+}
+
+/**
+ * Filtro Prisma para ?sla=overdue|at_risk de los listados (mismas reglas que caseSlaStatus).
+ */
+export function slaWhere(value, { now = new Date(), atRiskHours = DEFAULT_AT_RISK_HOURS } = {}) {
+  const captureOpen = { readyToCloseAt: null, status: { not: 'DONE' } };
+  const reportOpen = { status: { not: 'DONE' } };
+  if (value === 'overdue') {
+    return {
+      OR: [
+        { captureDueAt: { lt: now }, ...captureOpen },
+        { reportDueAt: { lt: now }, ...reportOpen }
+      ]
+    };
+  }
+  if (value === 'at_risk') {
+    const window = { gte: now, lte: new Date(now.getTime() + atRiskHours * HOUR_MS) };
+    return {
+      OR: [
+        { captureDueAt: window, ...captureOpen },
+        { reportDueAt: window, ...reportOpen }
+      ]
+    };
+  }
+  return null;
+}
+
+function publicPolicy(row) {
+  return {
+    captureDays: row?.captureDays ?? null,
+    reportDays: row?.reportDays ?? null,
+    atRiskHours: row?.atRiskHours ?? DEFAULT_AT_RISK_HOURS,
+    holidays: Array.isArray(row?.holidays) ? row.holidays : [],
+    updatedAt: row?.updatedAt || null
+  };
+}
+
+function emptyStage() {
+  return { met: 0, missed: 0, overdue: 0, pending: 0 };
+}
+
+function compliancePct(stage) {
+  const judged = stage.met + stage.missed + stage.overdue;
+  return judged ? Math.round((stage.met / judged) * 100) : null;
+}
+
+/**
+ * Política SLA por corredora y plazos de sus casos. Los plazos se guardan en el caso al
+ * crearlo; al cambiar la política se recalculan solo los casos abiertos (los cerrados
+ * conservan el compromiso con el que se midieron).
+ */
+export function createSlaService({ prisma }) {
+  async function getPolicy(tenantId) {
+    if (!tenantId) return publicPolicy(null);
+    return publicPolicy(await prisma.slaPolicy.findUnique({ where: { tenantId } }));
+  }
+
+  // Plazos para un caso nuevo de la corredora (objeto vacío si no tiene política)
+  async function dueDatesFor(tenantId, createdAt = new Date(), client = prisma) {
+    if (!tenantId) return {};
+    const policy = await client.slaPolicy.findUnique({ where: { tenantId } });
+    return policy ? computeDueDates(createdAt, policy) : {};
+  }
+
+  async function recomputeOpenCases(tenantId, policy) {
+    let cursor = null;
+    let updated = 0;
+    for (;;) {
+      const rows = await prisma.case.findMany({
+        where: { tenantId, ...OPEN_CASE_WHERE },
+        orderBy: { id: 'asc' },
+        take: RECOMPUTE_BATCH,
+        ...(cursor ? { cursor: { id: cursor }, skip: 1 } : {}),
+        select: { id: true, createdAt: true }
+      });
+      for (const row of rows) {
+        await prisma.case.update({ where: { id: row.id }, data: computeDueDates(row.createdAt, policy) });
+      }
+      updated += rows.length;
+      if (rows.length < RECOMPUTE_BATCH) return updated;
+      cursor = rows[rows.length - 1].id;
+    }
+  }
+
+  /**
+   * Guarda la política (campos no enviados se mantienen) y recalcula los plazos de los
+   * casos abiertos. Devuelve { before, policy, casesUpdated }.
+   */
+  async function updatePolicy(tenantId, input) {
+    const before = await getPolicy(tenantId);
+    const data = {};
+    for (const key of ['captureDays', 'reportDays', 'atRiskHours']) {
+      if (input[key] !== undefined) data[key] = input[key];
+    }
+    if (input.holidays !== undefined) data.holidays = [...new Set(input.holidays || [])].sort();
+    const row = await prisma.slaPolicy.upsert({
+      where: { tenantId },
+      create: { tenantId, ...data },
+      update: data
+    });
+    const casesUpdated = await recomputeOpenCases(tenantId, row);
+    return { before, policy: publicPolicy(row), casesUpdated };
+  }
+
+  /**
+   * Cumplimiento por ejecutivo y mes de creación del caso, de cada etapa:
+   * met/missed (terminadas a tiempo o tarde), overdue (vencidas sin terminar) y pending.
+   * compliancePct = met / (met + missed + overdue). Rango como en dateRange; { error } si es inválido.
+   */
+  async function summary(tenantId, { from, to, now = new Date() } = {}) {
+    const range = dateRange({ from, to });
+    if (range.error) return range;
+    const fromDate = range.from || new Date(now.getFullYear(), now.getMonth() - (SUMMARY_DEFAULT_MONTHS - 1), 1);
+    const toDate = range.to || now;
+    const policy = await getPolicy(tenantId);
+    const cases = await prisma.case.findMany({
+      where: {
+        tenantId,
+        createdAt: { gte: fromDate, lt: toDate },
+        OR: [{ captureDueAt: { not: null } }, { reportDueAt: { not: null } }]
+      },
+      select: {
+        id: true,
+        createdAt: true,
+        status: true,
+        closedAt: true,
+        readyToCloseAt: true,
+        captureDueAt: true,
+        reportDueAt: true,
+        assignedUserId: true,
+        assignedUser: { select: { fullName: true } }
+      }
+    });
+
+    const rows = new Map();
+    for (const c of cases) {
+      const month = localDateKey(c.createdAt).slice(0, 7);
+      const key = `${month}|${c.assignedUserId || ''}`;
+      if (!rows.has(key)) {
+        rows.set(key, {
+          month,
+          userId: c.assignedUserId,
+          userName: c.assignedUser?.fullName || null,
+          cases: 0,
+          capture: emptyStage(),
+          report: emptyStage()
+        });
+      }
+      const row = rows.get(key);
+      const status = caseSlaStatus(c, { now, atRiskHours: policy.atRiskHours });
+      row.cases += 1;
+      for (const stage of ['capture', 'report']) {
+        const value = status[stage];
+        if (value === 'MET') row[stage].met += 1;
+        else if (value === 'MISSED') row[stage].missed += 1;
+        else if (value === 'OVERDUE') row[stage].overdue += 1;
+        else if (value) row[stage].pending += 1;
+      }
+    }
+
+    const summaryRows = [...rows.values()]
+      .map((r) => ({
+        ...r,
+        capture: { ...r.capture, compliancePct: compliancePct(r.capture) },
+        report: { ...r.report, compliancePct: compliancePct(r.report) }
+      }))
+      .sort((a, b) => a.month.localeCompare(b.month) || String(a.userName || '').localeCompare(String(b.userName || '')));
+    return { from: fromDate, to: toDate, policy, rows: summaryRows };
+  }
+
+  return { getPolicy, dueDatesFor, updatePolicy, summary };
+}
@@ -0,0 +1,132 @@
+import { computeScoringV2_2 } from '../scoring/scoringV2_2.js';
+import { mapFindingToProblemType } from '../scoring/problemMapV2_2.js';
+
+const UPLOADED_STATUSES = new Set(['UPLOADED', 'ANALYZED', 'REJECTED']);
+const REFRESH_BATCH = 100;
+
+const STATS_SLOT_SELECT = {
+  id: true,
+  slotCode: true,
+  title: true,
+  status: true,
+  kpiKey: true,
+  analysisCode: true,
+  analysisSeverity: true,
+  analysisConfidence: true,
+  analysisMessage: true
+};
+
+// Los NOT_CAPTURABLE van aparte (no son fotos subidas) pero cuentan en el avance: ya no queda nada por hacer
+export function computeProgressFromSlots(slots = []) {
+  const statusOf = (s) => String(s.status || '').toUpperCase();
+  const total = slots.length;
+  const uploaded = slots.filter((s) => UPLOADED_STATUSES.has(statusOf(s))).length;
+  const analyzed = slots.filter((s) => statusOf(s) === 'ANALYZED').length;
+  const rejected = slots.filter((s) => statusOf(s) === 'REJECTED').length;
+  const notCapturable = slots.filter((s) => statusOf(s) === 'NOT_CAPTURABLE').length;
+  const pct = total ? Math.round(((uploaded + notCapturable) / total) * 100) : 0;
+  return { uploaded, analyzed, rejected, notCapturable, total, pct };
+}
+
+/**
+ * Avance y score de un caso a partir de sus slots, en las columnas que guarda Case.
+ * Sin slots analizados no hay score ni badge (un caso sin fotos no es "verde").
+ */
+export function computeCaseStats(slots = [], scoreConfig) {
+  const progress = computeProgressFromSlots(slots);
+
+  let score = null;
+  let badge = null;
+  if (progress.analyzed > 0) {
+    // Mismo insumo que getCaseSummary, para que listado e informe muestren el mismo score
+    const scored = slots.map((s) => ({
+      id: s.id,
+      slotCode: s.slotCode,
+      title: s.title,
+      status: s.status,
+      kpiKey: s.kpiKey,
+      findingCode: s.analysisCode,
+      severity: s.analysisSeverity,
+      confidence: s.analysisConfidence ?? 0,
+      message: s.analysisMessage
+    }));
+    const findings = scored
+      .filter((s) => s.findingCode && s.severity)
+      .map((s) => ({
+        slotId: s.id,
+        severity: s.severity,
+        confidence: s.confidence,
+        findingCode: s.findingCode,
+        message: s.message,
+        problemType: mapFindingToProblemType(s.findingCode)
+      }))
+      .filter((f) => !!f.problemType);
+    const scoring = computeScoringV2_2(findings, scored, scoreConfig);
+    score = Math.round(scoring.score ?? 0);
+    badge = scoring.badge || null;
+  }
+
+  return {
+    slotsTotal: progress.total,
+    slotsUploaded: progress.uploaded,
+    slotsAnalyzed: progress.analyzed,
+    slotsRejected: progress.rejected,
+    slotsNotCapturable: progress.notCapturable,
+    progressPct: progress.pct,
+    score,
+    badge
+  };
+}
+
+// Formato de `progress` que ya usan los listados, desde las columnas de Case
+export function progressFromCaseStats(c) {
+  return {
+    uploaded: c.slotsUploaded ?? 0,
+    analyzed: c.slotsAnalyzed ?? 0,
+    rejected: c.slotsRejected ?? 0,
+    notCapturable: c.slotsNotCapturable ?? 0,
+    total: c.slotsTotal ?? 0,
+    pct: c.progressPct ?? 0
+  };
+}
+
+/**
+ * Mantiene al día las columnas agregadas de Case (avance, score, badge) para que los
+ * listados puedan filtrar y ordenar sin cargar los slots.
+ * getScoreConfig se lee en cada refresh: la configuración de score se edita en caliente.
+ */
+export function createCaseStats({ prisma, getScoreConfig, logger }) {
+  async function refresh(caseId, client = prisma) {
+    const slots = await client.slot.findMany({ where: { caseId }, select: STATS_SLOT_SELECT });
+    const stats = computeCaseStats(slots, getScoreConfig());
+    return client.case.update({ where: { id: caseId }, data: { ...stats, statsUpdatedAt: new Date() } });
+  }
+
+  // Recalcula por lotes (ej. al cambiar la configuración de score). No falla por un caso puntual.
+  async function refreshAll({ where = {} } = {}) {
+    let cursor = null;
+    let refreshed = 0;
+    for (;;) {
+      const rows = await prisma.case.findMany({
+        where,
+        select: { id: true },
+        orderBy: { id: 'asc' },
+        take: REFRESH_BATCH,
+        ...(cursor ? { cursor: { id: cursor }, skip: 1 } : {})
+      });
+      if (!rows.length) break;
+      for (const row of rows) {
+        try {
+          await refresh(row.id);
+          refreshed += 1;
+        } catch (err) {
+          logger?.warn({ err, caseId: row.id }, 'case stats refresh failed');
+        }
+      }
+      cursor = rows[rows.length - 1].id;
+    }
+    return refreshed;
+  }
+
+  return { refresh, refreshAll };
+}
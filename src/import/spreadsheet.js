@@ -0,0 +1,228 @@
+import zlib from 'node:zlib';
+
+// Tope de lo que se descomprime de un .xlsx (evita zip bombs)
+const MAX_XLSX_ENTRY_BYTES = 20 * 1024 * 1024;
+// Límites de una hoja de Excel: un r="..." mayor viene de un archivo armado a mano
+const XLSX_MAX_ROWS = 1048576;
+const XLSX_MAX_COLUMNS = 16384;
+
+class TooManyRowsError extends Error {
+  constructor(max) {
+    super('TOO_MANY_ROWS');
+    this.max = max;
+  }
+}
+
+// ---------- CSV ----------
+
+// Excel en español exporta con ';': se usa el separador que más aparece en la primera línea
+function detectDelimiter(text) {
+  const firstLine = text.slice(0, text.search(/\r?\n|$/));
+  const counts = [',', ';', '\t'].map((d) => [d, firstLine.split(d).length]);
+  counts.sort((a, b) => b[1] - a[1]);
+  return counts[0][0];
+}
+
+/**
+ * CSV (RFC 4180: comillas dobles, "" escapado, saltos de línea dentro de comillas) -> filas de texto.
+ */
+export function parseCsv(text) {
+  const src = String(text || '').replace(/^\uFEFF/, '');
+  const delimiter = detectDelimiter(src);
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (quoted) {
+      if (ch === '"' && src[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        cell += ch;
+      }
+    } else if (ch === '"' && cell === '') {
+      quoted = true;
+    } else if (ch === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && src[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += ch;
+    }
+  }
+  if (cell !== '' || row.length) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows;
+}
+
+function csvCell(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",;\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Filas -> CSV con ';' (abre directo en Excel con configuración regional de Chile)
+export function toCsv(rows) {
+  return `\uFEFF${rows.map((r) => r.map(csvCell).join(';')).join('\r\n')}\r\n`;
+}
+
+// ---------- XLSX ----------
+
+// Lee las entradas de un zip desde el directorio central: { nombre -> () => Buffer }
+function readZipEntries(buffer) {
+  let eocd = -1;
+  for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 22 - 0xffff); i--) {
+    if (buffer.readUInt32LE(i) === 0x06054b50) {
+      eocd = i;
+      break;
+    }
+  }
+  if (eocd < 0) return null;
+
+  const count = buffer.readUInt16LE(eocd + 10);
+  let offset = buffer.readUInt32LE(eocd + 16);
+  const entries = new Map();
+  for (let n = 0; n < count; n++) {
+    if (offset + 46 > buffer.length || buffer.readUInt32LE(offset) !== 0x02014b50) return null;
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+
+    entries.set(name, () => {
+      const localNameLength = buffer.readUInt16LE(localOffset + 26);
+      const localExtraLength = buffer.readUInt16LE(localOffset + 28);
+      const start = localOffset + 30 + localNameLength + localExtraLength;
+      const data = buffer.subarray(start, start + compressedSize);
+      if (method === 0) return data;
+      if (method === 8) return zlib.inflateRawSync(data, { maxOutputLength: MAX_XLSX_ENTRY_BYTES });
+      throw new Error(`Unsupported zip compression method ${method}`);
+    });
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+  return entries;
+}
+
+function decodeXml(text) {
+  return text
+    .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (_, dec) => String.fromCodePoint(Number(dec)))
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+// Texto de un <si> o <is>: concatena todos los <t>, incluidos los de texto enriquecido
+function xmlText(fragment) {
+  let out = '';
+  for (const m of fragment.matchAll(/<t(?:\s[^>]*)?>([\s\S]*?)<\/t>/g)) out += m[1];
+  return decodeXml(out);
+}
+
+function columnIndex(ref) {
+  const letters = String(ref || '').match(/^[A-Z]+/)?.[0] || '';
+  let index = 0;
+  for (const ch of letters) index = index * 26 + (ch.charCodeAt(0) - 64);
+  return index - 1;
+}
+
+// Primera hoja del libro según xl/workbook.xml (o la primera que aparezca en el zip)
+function firstSheetPath(entries) {
+  const workbook = entries.get('xl/workbook.xml');
+  const rels = entries.get('xl/_rels/workbook.xml.rels');
+  if (workbook && rels) {
+    const sheet = workbook().toString('utf8').match(/<sheet\b[^>]*\br:id="([^"]+)"/);
+    const target = sheet && rels().toString('utf8').match(new RegExp(`<Relationship\\b[^>]*\\bId="${sheet[1]}"[^>]*\\bTarget="([^"]+)"`));
+    if (target) {
+      const path = target[1].replace(/^\/?(xl\/)?/, 'xl/');
+      if (entries.has(path)) return path;
+    }
+  }
+  return [...entries.keys()].filter((name) => /^xl\/worksheets\/sheet\d+\.xml$/.test(name)).sort()[0] || null;
+}
+
+/**
+ * Primera hoja de un .xlsx -> filas de texto. Los números quedan como se guardan
+ * (sin formato de celda) y las fechas como número de serie de Excel.
+ * Las filas se ubican por su número en la hoja, así que se acotan antes de armar el arreglo:
+ * después de `maxRows` se ignoran las vacías (Excel guarda filas con formato) y una con datos
+ * lanza TooManyRowsError. Números de fila o columna fuera de los límites de Excel -> null.
+ */
+export function parseXlsx(buffer, { maxRows = XLSX_MAX_ROWS } = {}) {
+  const entries = readZipEntries(buffer);
+  if (!entries) return null;
+  const sheetPath = firstSheetPath(entries);
+  if (!sheetPath) return null;
+
+  const shared = [];
+  const sharedEntry = entries.get('xl/sharedStrings.xml');
+  if (sharedEntry) {
+    for (const m of sharedEntry().toString('utf8').matchAll(/<si>([\s\S]*?)<\/si>/g)) shared.push(xmlText(m[1]));
+  }
+
+  const rows = [];
+  const xml = entries.get(sheetPath)().toString('utf8');
+  for (const rowMatch of xml.matchAll(/<row\b([^>]*?)(?:\/>|>([\s\S]*?)<\/row>)/g)) {
+    const rowNumber = Number(rowMatch[1].match(/\br="(\d+)"/)?.[1] || rows.length + 1);
+    if (rowNumber < 1 || rowNumber > XLSX_MAX_ROWS) return null;
+    const row = [];
+    for (const cellMatch of (rowMatch[2] || '').matchAll(/<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+      const attrs = cellMatch[1];
+      const body = cellMatch[2] || '';
+      const ref = attrs.match(/\br="([A-Z]+\d+)"/)?.[1];
+      const type = attrs.match(/\bt="(\w+)"/)?.[1];
+      const raw = body.match(/<v>([\s\S]*?)<\/v>/)?.[1];
+      const column = ref ? columnIndex(ref) : row.length;
+      if (column < 0 || column >= XLSX_MAX_COLUMNS) return null;
+      let value = '';
+      if (type === 's') value = shared[Number(raw)] ?? '';
+      else if (type === 'inlineStr') value = xmlText(body);
+      else if (type === 'b') value = raw === '1' ? 'TRUE' : 'FALSE';
+      else if (raw !== undefined) value = decodeXml(raw);
+      row[column] = value;
+    }
+    if (rowNumber > maxRows) {
+      if (row.some((v) => String(v ?? '').trim())) throw new TooManyRowsError(maxRows);
+      continue;
+    }
+    rows[rowNumber - 1] = Array.from(row, (v) => v ?? '');
+  }
+  return Array.from(rows, (r) => r || []);
+}
+
+/**
+ * Archivo subido -> { rows } con la primera hoja/tabla, o { error }.
+ * El formato se decide por la extensión y, si no hay, por la firma del zip.
+ * maxRows (encabezado incluido) acota las filas de un .xlsx (ver parseXlsx).
+ */
+export function readSpreadsheet({ filename = '', buffer, maxRows }) {
+  const ext = String(filename).toLowerCase().match(/\.([a-z0-9]+)$/)?.[1] || '';
+  const isZip = buffer.length > 4 && buffer.readUInt32LE(0) === 0x04034b50;
+  if (ext === 'xlsx' || (!ext && isZip)) {
+    try {
+      const rows = parseXlsx(buffer, { maxRows });
+      return rows ? { rows } : { error: 'FILE_FORMAT_INVALID' };
+    } catch (err) {
+      if (err instanceof TooManyRowsError) return { error: 'TOO_MANY_ROWS' };
+      return { error: 'FILE_FORMAT_INVALID' };
+    }
+  }
+  if (ext === 'csv' || ext === 'txt' || !ext) return { rows: parseCsv(buffer.toString('utf8')) };
+  return { error: 'FILE_TYPE_UNSUPPORTED' };
+}
@@ -0,0 +1,43 @@
+/**
+ * Envío de notificaciones transaccionales (p. ej. recuperación de clave).
+ * Si NOTIFY_WEBHOOK_URL está definido se hace POST con el mensaje en JSON
+ * (Zapier, Make, un servicio de correo propio...). Sin webhook, fuera de
+ * producción el mensaje solo se registra en el log para poder probar el flujo.
+ */
+export function createNotifier({ logger } = {}) {
+  const webhookUrl = process.env.NOTIFY_WEBHOOK_URL || null;
+  const baseUrl = String(process.env.PUBLIC_BASE_URL || '').replace(/\/+$/, '');
+
+  function absoluteUrl(path) {
+    return baseUrl ? `${baseUrl}${path}` : path;
+  }
+
+  async function send(message) {
+    if (webhookUrl) {
+      const res = await fetch(webhookUrl, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(message)
+      });
+      if (!res.ok) throw new Error(`NOTIFY_WEBHOOK_FAILED ${res.status}`);
+      return true;
+    }
+    if (process.env.NODE_ENV !== 'production') {
+      logger?.info?.({ notification: message }, 'notification not delivered (NOTIFY_WEBHOOK_URL not set)');
+    }
+    return false;
+  }
+
+  return {
+    absoluteUrl,
+    sendPasswordReset({ to, name, resetUrl, expiresAt }) {
+      return send({
+        type: 'PASSWORD_RESET',
+        to,
+        name: name || null,
+        resetUrl: absoluteUrl(resetUrl),
+        expiresAt
+      });
+    }
+  };
+}
@@ -0,0 +1,112 @@
+// Plan de fotos base (planVersion 'v1'): el que se usa si ni la corredora ni el administrador
+// guardaron una plantilla. Mismo formato que PlanTemplate.rooms (ver planTemplates.js).
+// Sin `kpi` en los slots: la clasificación sale del slotKpiMap de la configuración de score.
+// Las habitaciones de casa (exterior, estructura) dependen de propertyType; patio y entretecho de
+// hasPatio / hasAttic; algunos slots de estructura del tipo de piso y la antigüedad.
+export const DEFAULT_PLAN_TEMPLATE = {
+  name: 'Plan base',
+  rooms: [
+    {
+      key: 'BATHROOM',
+      title: 'Baño',
+      labels: ['Baño principal', 'Baño secundario'],
+      repeat: { field: 'bathroomsCount', min: 1 },
+      slots: [
+        { code: 'SHOWER', title: 'Interior tina / ducha', where: 'Zona de ducha/tina y muro cercano.', lookFor: 'Sellos, juntas, humedad o manchas alrededor de la tina/ducha.' },
+        { code: 'SINK', title: 'Lavamanos', where: 'Lavamanos y cubierta, vista frontal.', lookFor: 'Grifería, sellos, manchas en cubierta.' },
+        { code: 'SINK_PIPES', title: 'Cañerías lavamanos', where: 'Bajo lavamanos mostrando sifón y conexiones.', lookFor: 'Fugas, óxido, humedad en sifón y conexiones.' },
+        { code: 'WC', title: 'WC', where: 'WC y base, vista frontal.', lookFor: 'Base, sellos y manchas alrededor del WC.' },
+        { code: 'WC_PIPES', title: 'Cañerías WC', where: 'Conexión de agua y base del WC.', lookFor: 'Conexión de agua y posibles fugas.' },
+        { code: 'CEILING', title: 'Cielo', where: 'Cielo del baño con buena iluminación.', lookFor: 'Humedad, moho o manchas en cielo.' },
+        { code: 'OUTLETS', title: 'Enchufes', where: 'Enchufes y entorno cercano.', lookFor: 'Estado de enchufes/placas y fijación.' }
+      ]
+    },
+    {
+      key: 'KITCHEN',
+      title: 'Cocina',
+      slots: [
+        { code: 'UNDER_SINK', title: 'Bajo lavaplatos', where: 'Bajo lavaplatos mostrando conexiones y sifón.', lookFor: 'Fugas, humedad y estado de conexiones.' },
+        { code: 'SINK_WALL', title: 'Muro lavaplatos', where: 'Muro/encuentro lavaplatos.', lookFor: 'Manchas, sellos o humedad en muro.' },
+        { code: 'COUNTERTOP', title: 'Cubiertas', where: 'Cubierta de cocina y encuentros con muro.', lookFor: 'Golpes, sellos, fisuras o desprendimientos.' },
+        { code: 'CABINETS', title: 'Muebles', where: 'Muebles de cocina (puertas y bisagras).', lookFor: 'Hinchazón, desprendimientos o herrajes sueltos.' },
+        { code: 'OUTLETS', title: 'Enchufes', where: 'Enchufes y entorno.', lookFor: 'Estado de enchufes/placas.' },
+        { code: 'WINDOW', title: 'Ventana', where: 'Ventana completa, marcos y sello.', lookFor: 'Sellos, marcos y humedad en ventana.' }
+      ]
+    },
+    {
+      key: 'LIVING',
+      title: 'Living',
+      slots: [
+        { code: 'WALLS', title: 'Muros', where: 'Muros del living con pintura visible.', lookFor: 'Pintura, fisuras o manchas.' },
+        { code: 'CEILING', title: 'Cielo', where: 'Cielo del living y terminaciones.', lookFor: 'Terminaciones y humedad en cielo.' },
+        { code: 'FLOOR', title: 'Piso', where: 'Piso del living, terminaciones visibles.', lookFor: 'Estado de piso/terminación.' },
+        { code: 'WINDOWS', title: 'Ventanas', where: 'Ventanas completas, marcos y sello.', lookFor: 'Sellos, marcos o filtraciones.' },
+        { code: 'SWITCHES', title: 'Interruptores', where: 'Interruptores y placas.', lookFor: 'Estado de interruptores/placas.' }
+      ]
+    },
+    {
+      key: 'BEDROOM',
+      title: 'Dormitorio',
+      repeat: { field: 'bedroomsCount', min: 0 },
+      slots: [
+        { code: 'WALLS', title: 'Muros', where: 'Muros del dormitorio con pintura visible.', lookFor: 'Pintura, fisuras o manchas.' },
+        { code: 'FLOOR', title: 'Piso', where: 'Piso del dormitorio, terminaciones visibles.', lookFor: 'Estado de piso/terminación.' },
+        { code: 'CLOSET', title: 'Clóset', where: 'Puertas, repisas y herrajes del clóset.', lookFor: 'Hinchazón, desprendimientos o herrajes sueltos.' },
+        { code: 'WINDOWS', title: 'Ventanas', where: 'Ventanas completas, marcos y sello.', lookFor: 'Sellos, marcos o filtraciones.' }
+      ]
+    },
+    {
+      key: 'LAUNDRY',
+      title: 'Loggia',
+      when: 'hasLaundry',
+      slots: [
+        { code: 'WALLS_FLOOR', title: 'Muros y piso', where: 'Muros y piso de la loggia.', lookFor: 'Humedad, fisuras o daños.' }
+      ]
+    },
+    {
+      key: 'ELECTRICAL',
+      title: 'Tablero eléctrico',
+      slots: [
+        { code: 'PANEL', title: '', where: 'Tablero frontal, sin manipular.', lookFor: 'Estado visual del tablero.' }
+      ]
+    },
+    {
+      key: 'EXTERIOR',
+      title: 'Exterior',
+      propertyTypes: ['HOUSE'],
+      slots: [
+        { code: 'FACADE', title: 'Fachada', where: 'Fachada completa desde la calle o el antejardín.', lookFor: 'Fisuras, desprendimientos, manchas de humedad o pintura dañada.' },
+        { code: 'ROOF', title: 'Techumbre', where: 'Cubierta vista desde el exterior, sin subir al techo.', lookFor: 'Tejas o planchas sueltas, óxido, hundimientos o parches.' },
+        { code: 'GUTTERS', title: 'Canaletas y bajadas', where: 'Canaletas y bajadas de agua lluvia.', lookFor: 'Obstrucciones, óxido, uniones sueltas o filtraciones al muro.' }
+      ]
+    },
+    {
+      key: 'PATIO',
+      title: 'Patio',
+      when: 'hasPatio',
+      slots: [
+        { code: 'GROUND', title: 'Piso y drenaje', where: 'Piso del patio y sumideros.', lookFor: 'Pendientes, pozas, grietas o sumideros tapados.' },
+        { code: 'WALLS', title: 'Muros y cierres', where: 'Muros perimetrales y cierres del patio.', lookFor: 'Fisuras, inclinación o humedad en la base.' }
+      ]
+    },
+    {
+      key: 'ATTIC',
+      title: 'Entretecho',
+      when: 'hasAttic',
+      slots: [
+        { code: 'STRUCTURE', title: 'Estructura', where: 'Cerchas y costaneras desde la escotilla, con linterna.', lookFor: 'Maderas manchadas, podridas, con insectos o piezas cortadas.' },
+        { code: 'INSULATION', title: 'Aislación', where: 'Aislación sobre el cielo y cara inferior de la cubierta.', lookFor: 'Aislación mojada o faltante y goteras desde el techo.' }
+      ]
+    },
+    {
+      key: 'STRUCTURE',
+      title: 'Estructura',
+      propertyTypes: ['HOUSE'],
+      slots: [
+        { code: 'FOUNDATION', title: 'Fundaciones y sobrecimiento', where: 'Sobrecimiento por el exterior, a nivel de suelo.', lookFor: 'Grietas, asentamientos, humedad ascendente o eflorescencias.' },
+        { code: 'UNDERFLOOR', title: 'Bajo piso', where: 'Bajo piso ventilado desde la celosía o registro.', lookFor: 'Humedad, hongos, vigas dañadas o falta de ventilación.', floorTypes: ['WOOD', 'MIXED'] },
+        { code: 'CRACKS', title: 'Grietas en muros', where: 'Encuentros de muros y esquinas de vanos.', lookFor: 'Grietas diagonales, desaplomes o puertas que no cierran.', ageRanges: ['BETWEEN_10_AND_30_YEARS', 'MORE_THAN_30_YEARS'] }
+      ]
+    }
+  ]
+};
@@ -0,0 +1,289 @@
+import { fieldError } from '../validation/errors.js';
+import { DEFAULT_PLAN_TEMPLATE } from './defaultPlanTemplate.js';
+
+// planVersion de los casos creados con el plan base (antes de existir las plantillas)
+export const DEFAULT_PLAN_VERSION = 'v1';
+
+// Slot.title y Slot.instructions son VARCHAR(191)
+const MAX_SLOT_TEXT = 191;
+// Tope de slots de un caso con el máximo de habitaciones repetidas
+const MAX_PLAN_SLOTS = 500;
+// Habitaciones repetidas de un caso: la lista admite 40 y los conteos 20 + 20 (ver caseFields en schemas.js)
+const MAX_REPEATED_ROOMS = 40;
+const VERSIONS_LIMIT = 50;
+// PlanTemplate.scope de la plantilla global: MySQL no aplica el índice único con tenantId NULL
+const GLOBAL_SCOPE = 'GLOBAL';
+// Guardados simultáneos chocan en (scope, version); se reintenta con la versión siguiente
+const SAVE_ATTEMPTS = 3;
+
+const BUILTIN = {
+  id: null,
+  planVersion: DEFAULT_PLAN_VERSION,
+  version: 0,
+  source: 'DEFAULT',
+  name: DEFAULT_PLAN_TEMPLATE.name,
+  rooms: DEFAULT_PLAN_TEMPLATE.rooms,
+  createdAt: null
+};
+
+function buildInstruction({ where, lookFor }) {
+  return [
+    `Indicaciones:`,
+    `Dónde sacar la foto: ${where}`,
+    `Qué buscar: ${lookFor}`
+  ].join('\n');
+}
+
+// Condiciones de habitaciones y slots: todas las indicadas deben cumplirse
+const CONDITION_FIELDS = { propertyTypes: 'propertyType', floorTypes: 'floorType', ageRanges: 'propertyAgeRange' };
+
+function conditionsMet(item, input) {
+  if (item.when && !input[item.when]) return false;
+  return Object.entries(CONDITION_FIELDS).every(([list, field]) => !item[list]?.length || item[list].includes(input[field]));
+}
+
+function pickConditions(item) {
+  return {
+    ...(item.when ? { when: item.when } : {}),
+    ...Object.fromEntries(Object.keys(CONDITION_FIELDS).filter((k) => item[k]?.length).map((k) => [k, item[k]]))
+  };
+}
+
+function roomCount(room, input) {
+  const { field, min = 0, max } = room.repeat;
+  const n = Math.max(min, Number(input[field] || min));
+  return max ? Math.min(n, max) : n;
+}
+
+function roomLabel(room, i) {
+  if (!room.repeat) return room.labels?.[0] || room.title;
+  return room.labels?.[i - 1] || `${room.title} ${i}`;
+}
+
+/**
+ * Instancias de una habitación en un caso: { key, label } con key <KEY> o <KEY>_<n>.
+ * Si el caso trae lista de habitaciones (input.rooms) con ese tipo, manda la lista (cantidad
+ * y nombres); si no, la cantidad sale del campo de `repeat`.
+ */
+function roomInstances(room, input) {
+  if (!room.repeat) return [{ key: room.key, label: roomLabel(room) }];
+  const listed = (input.rooms || []).filter((r) => r.type === room.key);
+  const labels = listed.length
+    ? listed.map((r, idx) => r.label || roomLabel(room, idx + 1))
+    : Array.from({ length: roomCount(room, input) }, (_, idx) => roomLabel(room, idx + 1));
+  return labels.map((label, idx) => ({ key: `${room.key}_${idx + 1}`, label }));
+}
+
+// Lista de habitaciones del body de un caso (ya validada por caseFields): tipo en mayúsculas y
+// nombre opcional. Vacía = null (sin lista, mandan los conteos).
+export function normalizeRoomList(rooms) {
+  if (!rooms?.length) return null;
+  return rooms.map((r) => {
+    const label = String(r.label ?? '').trim();
+    return { type: String(r.type).trim().toUpperCase(), ...(label ? { label } : {}) };
+  });
+}
+
+/**
+ * Valida la lista de habitaciones de un caso ([{ type, label? }]) contra la plantilla: solo
+ * habitaciones repetibles. Devuelve { error, fields } o { counts } con el campo de `repeat`
+ * de cada tipo listado (ej. { bathroomsCount: 3 }) para mantener los conteos del caso.
+ */
+export function roomListCounts(template, rooms = []) {
+  const repeatable = new Map((template.rooms || []).filter((r) => r.repeat).map((r) => [r.key, r]));
+  const counts = {};
+  for (const [i, entry] of rooms.entries()) {
+    const room = repeatable.get(entry.type);
+    if (!room) return fieldError('ROOM_TYPE_INVALID', `rooms.${i}.type`, 'enum', `Tipos permitidos: ${[...repeatable.keys()].join(', ')}`);
+    counts[room.repeat.field] = (counts[room.repeat.field] || 0) + 1;
+  }
+  return { counts };
+}
+
+/**
+ * Slots de un caso según una plantilla y los datos del caso (tipo, baños, dormitorios, loggia,
+ * patio, entretecho, tipo de piso, antigüedad).
+ * Habitación repetida: <KEY>_<n>_<CODE>; única: <KEY>_<CODE>. El título es "<habitación> – <slot>"
+ * o solo la habitación si el slot no tiene título. roomKey/roomLabel agrupan los slots en el informe.
+ */
+export function buildPlanFromTemplate(template, input = {}) {
+  const plan = [];
+  for (const room of template.rooms || []) {
+    if (!conditionsMet(room, input)) continue;
+    for (const instance of roomInstances(room, input)) {
+      for (const slot of room.slots || []) {
+        if (!conditionsMet(slot, input)) continue;
+        plan.push({
+          slotCode: `${instance.key}_${slot.code}`,
+          title: slot.title ? `${instance.label} – ${slot.title}` : instance.label,
+          instructions: buildInstruction(slot),
+          required: slot.required ?? true,
+          kpiKey: slot.kpi || null,
+          roomKey: instance.key,
+          roomLabel: instance.label
+        });
+      }
+    }
+  }
+  return plan;
+}
+
+// Solo los campos conocidos (el schema de la ruta no descarta propiedades adicionales)
+function normalizeRooms(rooms = []) {
+  const trim = (value) => String(value ?? '').trim();
+  return rooms.map((room) => ({
+    key: trim(room.key).toUpperCase(),
+    title: trim(room.title),
+    ...(room.labels?.length ? { labels: room.labels.map(trim) } : {}),
+    ...(room.repeat
+      ? { repeat: { field: room.repeat.field, min: room.repeat.min ?? 0, ...(room.repeat.max ? { max: room.repeat.max } : {}) } }
+      : {}),
+    ...pickConditions(room),
+    slots: (room.slots || []).map((slot) => ({
+      code: trim(slot.code).toUpperCase(),
+      title: trim(slot.title),
+      where: trim(slot.where),
+      lookFor: trim(slot.lookFor),
+      ...(slot.required === false ? { required: false } : {}),
+      ...(slot.kpi ? { kpi: trim(slot.kpi).toUpperCase() } : {}),
+      ...pickConditions(slot)
+    }))
+  }));
+}
+
+/**
+ * Chequeos que el schema no puede hacer: claves repetidas, KPI inexistente, textos que no
+ * caben en el slot. Devuelve { error, fields } o null.
+ */
+export function validatePlanRooms(rooms, { kpiKeys = [] } = {}) {
+  const roomKeys = new Set();
+  let maxSlots = 0;
+  let largestRepeated = 0;
+  for (const [r, room] of rooms.entries()) {
+    if (roomKeys.has(room.key)) return fieldError('PLAN_ROOM_DUPLICATE', `rooms.${r}.key`, 'duplicate', 'Habitación repetida');
+    roomKeys.add(room.key);
+    if (room.repeat && room.repeat.max && room.repeat.max < room.repeat.min) {
+      return fieldError('PLAN_REPEAT_INVALID', `rooms.${r}.repeat.max`, 'range', 'El máximo es menor que el mínimo');
+    }
+
+    const codes = new Set();
+    const longestLabel = Math.max(room.title.length + 3, ...(room.labels || []).map((l) => l.length));
+    for (const [s, slot] of room.slots.entries()) {
+      const field = `rooms.${r}.slots.${s}`;
+      if (codes.has(slot.code)) return fieldError('PLAN_SLOT_DUPLICATE', `${field}.code`, 'duplicate', 'Slot repetido en la habitación');
+      codes.add(slot.code);
+      if (slot.kpi && !kpiKeys.includes(slot.kpi)) return fieldError('PLAN_KPI_INVALID', `${field}.kpi`, 'exists', 'El KPI no existe');
+      if (longestLabel + 3 + slot.title.length > MAX_SLOT_TEXT) {
+        return fieldError('PLAN_TEXT_TOO_LONG', `${field}.title`, 'maxLength', 'Título muy largo');
+      }
+      if (buildInstruction(slot).length > MAX_SLOT_TEXT) {
+        return fieldError('PLAN_TEXT_TOO_LONG', `${field}.lookFor`, 'maxLength', 'Indicaciones muy largas');
+      }
+    }
+    if (room.repeat) largestRepeated = Math.max(largestRepeated, room.slots.length);
+    else maxSlots += room.slots.length;
+  }
+  // Peor caso: todas las habitaciones repetidas son del tipo con más slots
+  maxSlots += largestRepeated * MAX_REPEATED_ROOMS;
+
+  // Un código de una habitación única no puede chocar con el de otra (ej. BATH + 1_WC y BATH_1 + WC)
+  const seen = new Set();
+  for (const [r, room] of rooms.entries()) {
+    const count = room.repeat ? (room.repeat.max || MAX_REPEATED_ROOMS) : 1;
+    for (let i = 1; i <= count; i++) {
+      for (const slot of room.slots) {
+        const code = `${room.repeat ? `${room.key}_${i}` : room.key}_${slot.code}`;
+        if (seen.has(code)) return fieldError('PLAN_SLOT_DUPLICATE', `rooms.${r}.key`, 'duplicate', `El código ${code} se repite`);
+        seen.add(code);
+      }
+    }
+  }
+
+  if (maxSlots > MAX_PLAN_SLOTS) return fieldError('PLAN_TOO_LARGE', 'rooms', 'maxItems', `Más de ${MAX_PLAN_SLOTS} slots por caso`);
+  return null;
+}
+
+function scopeOf(tenantId) {
+  return tenantId || GLOBAL_SCOPE;
+}
+
+function fromRow(row) {
+  return {
+    id: row.id,
+    planVersion: row.id,
+    version: row.version,
+    source: row.tenantId ? 'TENANT' : 'GLOBAL',
+    name: row.name,
+    rooms: row.rooms,
+    createdAt: row.createdAt
+  };
+}
+
+/**
+ * Plantillas del plan de fotos. Cada guardado crea una versión nueva e inmutable; la vigente
+ * es la última de la corredora, si no la última global (tenantId null, la edita el
+ * administrador) y si no el plan base. Case.planVersion guarda el id de la versión usada
+ * ('v1' = plan base) para regenerar los slots del caso con la misma plantilla.
+ */
+export function createPlanTemplateService({ prisma, getKpiKeys }) {
+  function latest(tenantId, client) {
+    return client.planTemplate.findFirst({ where: { scope: scopeOf(tenantId) }, orderBy: { version: 'desc' } });
+  }
+
+  async function active(tenantId = null, client = prisma) {
+    const row = (tenantId && await latest(tenantId, client)) || await latest(null, client);
+    return row ? fromRow(row) : BUILTIN;
+  }
+
+  // Plantilla con la que se generó el caso (el plan base si la versión ya no existe)
+  async function forCase(c, client = prisma) {
+    if (!c.planVersion || c.planVersion === DEFAULT_PLAN_VERSION) return BUILTIN;
+    const row = await client.planTemplate.findUnique({ where: { id: c.planVersion } });
+    return row ? fromRow(row) : BUILTIN;
+  }
+
+  function versions(tenantId = null) {
+    return prisma.planTemplate.findMany({
+      where: { scope: scopeOf(tenantId) },
+      orderBy: { version: 'desc' },
+      take: VERSIONS_LIMIT,
+      select: { id: true, version: true, name: true, createdAt: true, createdByType: true, createdById: true }
+    });
+  }
+
+  /**
+   * Guarda una versión nueva de la plantilla de la corredora (o la global con tenantId null).
+   * Devuelve { error, fields }, { error: 'PLAN_TEMPLATE_CONFLICT' } si otro guardado ganó
+   * todos los intentos, o { before, template }.
+   */
+  async function save({ tenantId = null, name, rooms, actor = null }) {
+    const normalized = normalizeRooms(rooms);
+    const invalid = validatePlanRooms(normalized, { kpiKeys: getKpiKeys() });
+    if (invalid) return invalid;
+
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await prisma.$transaction(async (tx) => {
+          const previous = await latest(tenantId, tx);
+          const row = await tx.planTemplate.create({
+            data: {
+              tenantId,
+              scope: scopeOf(tenantId),
+              version: (previous?.version || 0) + 1,
+              name: String(name).trim(),
+              rooms: normalized,
+              createdByType: actor?.type || null,
+              createdById: actor?.id || null
+            }
+          });
+          return { before: previous ? fromRow(previous) : null, template: fromRow(row) };
+        });
+      } catch (err) {
+        if (err?.code !== 'P2002') throw err;
+        if (attempt >= SAVE_ATTEMPTS) return { error: 'PLAN_TEMPLATE_CONFLICT' };
+      }
+    }
+  }
+
+  return { active, forCase, versions, save };
+}
@@ -0,0 +1,269 @@
+// Abreviaturas frecuentes en direcciones chilenas -> forma canónica ('' = se descarta)
+const ADDRESS_TOKENS = {
+  av: 'avenida',
+  avda: 'avenida',
+  pje: 'pasaje',
+  psje: 'pasaje',
+  depto: 'departamento',
+  dpto: 'departamento',
+  dto: 'departamento',
+  of: 'oficina',
+  n: '',
+  nro: '',
+  num: ''
+};
+
+const TIMELINE_SELECT = {
+  id: true,
+  createdAt: true,
+  status: true,
+  closedAt: true,
+  archivedAt: true,
+  progressPct: true,
+  score: true,
+  badge: true,
+  assignedUser: { select: { id: true, fullName: true } }
+};
+
+/**
+ * ROL para comparar: sin espacios ni puntos y en mayúsculas ("123 - 45" = "123-45").
+ * null si no hay ROL; '' si lo que venía no tenía nada comparable.
+ */
+export function normalizeRol(value) {
+  if (value === null || value === undefined || String(value).trim() === '') return null;
+  return String(value).replace(/[\s.]/g, '').toUpperCase();
+}
+
+/**
+ * Dirección para comparar: sin tildes, signos ni mayúsculas y con las abreviaturas
+ * expandidas ("Av. Los Aromos N° 12, Depto 3" = "avenida los aromos 12 departamento 3").
+ */
+export function normalizeAddress(value) {
+  if (value === null || value === undefined || String(value).trim() === '') return null;
+  return String(value)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean)
+    .map((token) => (token in ADDRESS_TOKENS ? ADDRESS_TOKENS[token] : token))
+    .filter(Boolean)
+    .join(' ')
+    .slice(0, 255);
+}
+
+// Columnas de búsqueda a guardar junto con rol/address
+export function propertyKeys({ rol, address }) {
+  return { rolKey: normalizeRol(rol), addressKey: normalizeAddress(address) };
+}
+
+/**
+ * Propietario por RUT (único global) o, sin RUT, uno nuevo con el nombre.
+ * Devuelve el id o null si no vino ni RUT ni nombre (o RUT nuevo sin nombre).
+ */
+export async function findOrCreateOwner(client, { tenantId = null, ownerName, ownerRut }) {
+  if (ownerRut) {
+    const existing = await client.owner.findUnique({ where: { rut: ownerRut } });
+    if (existing) return existing.id;
+    if (!ownerName) return null;
+    return (await client.owner.create({ data: { fullName: ownerName, rut: ownerRut, tenantId } })).id;
+  }
+  if (ownerName) return (await client.owner.create({ data: { fullName: ownerName, tenantId } })).id;
+  return null;
+}
+
+/**
+ * Registro de propiedades por corredora: una propiedad se reconoce por ROL o, si no
+ * tiene, por dirección normalizada. Así las inspecciones de entrada y salida de un
+ * mismo departamento quedan en la misma Property y forman su historial.
+ */
+export function createPropertyRegistry({ prisma }) {
+  // Propiedad existente de la corredora con el mismo ROL (primero) o la misma dirección
+  async function findMatch(tenantId, { rol, address }, { client = prisma, excludeId = null } = {}) {
+    if (!tenantId) return null;
+    const { rolKey, addressKey } = propertyKeys({ rol, address });
+    const notSelf = excludeId ? { id: { not: excludeId } } : {};
+    if (rolKey) {
+      const byRol = await client.property.findFirst({ where: { tenantId, rolKey, ...notSelf }, orderBy: { createdAt: 'asc' } });
+      if (byRol) return byRol;
+    }
+    if (addressKey) {
+      // Con ROL distinto no es la misma propiedad aunque la dirección coincida
+      return client.property.findFirst({
+        where: { tenantId, addressKey, ...notSelf, ...(rolKey ? { OR: [{ rolKey: null }, { rolKey }] } : {}) },
+        orderBy: { createdAt: 'asc' }
+      });
+    }
+    return null;
+  }
+
+  /**
+   * Propiedad para un caso nuevo (dentro de la transacción del alta): la indicada por
+   * propertyId, la que coincide por ROL/dirección o una nueva. En una existente solo se
+   * completan los datos que faltaban y se actualiza el propietario si viene uno.
+   * Devuelve { property, reused } o { error } si propertyId no es de la corredora.
+   */
+  async function resolve(tx, { tenantId, propertyId = null, ownerId = null, data }) {
+    let existing = null;
+    if (propertyId) {
+      existing = tenantId ? await tx.property.findFirst({ where: { id: propertyId, tenantId } }) : null;
+      if (!existing) return { error: 'PROPERTY_NOT_FOUND' };
+    } else {
+      existing = await findMatch(tenantId, data, { client: tx });
+    }
+
+    if (!existing) {
+      const property = await tx.property.create({ data: { tenantId, ownerId, ...data, ...propertyKeys(data) } });
+      return { property, reused: false };
+    }
+
+    const fill = {};
+    for (const [key, value] of Object.entries(data)) {
+      if (value && !existing[key]) fill[key] = value;
+    }
+    if (ownerId && ownerId !== existing.ownerId) fill.ownerId = ownerId;
+    if (!Object.keys(fill).length) return { property: existing, reused: true };
+    const merged = { ...existing, ...fill };
+    const property = await tx.property.update({
+      where: { id: existing.id },
+      data: { ...fill, ...propertyKeys(merged) }
+    });
+    return { property, reused: true };
+  }
+
+  /**
+   * Listado con búsqueda libre (ROL, dirección, propietario) y paginación por cursor.
+   * Cada fila trae cuántas inspecciones tiene y la fecha de la última.
+   */
+  async function list(tenantId, { q = '', limit = 50, cursor = null } = {}) {
+    const text = String(q || '').trim();
+    const take = Math.min(200, Math.max(1, Number(limit) || 50));
+    const where = { tenantId };
+    if (text) {
+      where.OR = [
+        { address: { contains: text } },
+        { rol: { contains: text } },
+        { addressKey: { contains: normalizeAddress(text) || text } },
+        { owner: { fullName: { contains: text } } },
+        { owner: { rut: { contains: text } } }
+      ];
+    }
+    const rows = await prisma.property.findMany({
+      where,
+      orderBy: [{ createdAt: 'desc' }, { id: 'desc' }],
+      take: take + 1,
+      ...(cursor ? { cursor: { id: String(cursor) }, skip: 1 } : {}),
+      include: {
+        owner: { select: { id: true, fullName: true, rut: true } },
+        _count: { select: { cases: true } },
+        cases: { orderBy: { createdAt: 'desc' }, take: 1, select: { createdAt: true } }
+      }
+    });
+    const hasMore = rows.length > take;
+    const page = hasMore ? rows.slice(0, take) : rows;
+    return { properties: page.map(publicProperty), nextCursor: hasMore ? page[page.length - 1].id : null };
+  }
+
+  async function get(tenantId, propertyId) {
+    const row = await prisma.property.findFirst({
+      where: { id: propertyId, tenantId },
+      include: {
+        owner: { select: { id: true, fullName: true, rut: true } },
+        _count: { select: { cases: true } },
+        cases: { orderBy: { createdAt: 'desc' }, take: 1, select: { createdAt: true } }
+      }
+    });
+    return row ? publicProperty(row) : null;
+  }
+
+  // Alta manual: si ya existe una con el mismo ROL o dirección se informa en vez de duplicar
+  async function create(tenantId, { data, ownerId = null }) {
+    const match = await findMatch(tenantId, data);
+    if (match) return { error: 'PROPERTY_EXISTS', propertyId: match.id };
+    const row = await prisma.property.create({ data: { tenantId, ownerId, ...data, ...propertyKeys(data) } });
+    return { property: row };
+  }
+
+  // `client` permite editarla dentro de otra transacción (ej. al editar una inspección)
+  async function update(tenantId, propertyId, { data, ownerId }, { client = prisma } = {}) {
+    const current = await client.property.findFirst({ where: { id: propertyId, tenantId } });
+    if (!current) return null;
+    const merged = { ...current, ...data };
+    // Sin ROL ni dirección la propiedad ya no se podría reconocer
+    if (!merged.rol && !merged.address) return { error: 'PROPERTY_KEY_REQUIRED' };
+    const match = await findMatch(tenantId, merged, { client, excludeId: current.id });
+    if (match) return { error: 'PROPERTY_EXISTS', propertyId: match.id };
+    const row = await client.property.update({
+      where: { id: current.id },
+      data: { ...data, ...(ownerId !== undefined ? { ownerId } : {}), ...propertyKeys(merged) }
+    });
+    return { before: current, property: row };
+  }
+
+  // Solo se borran propiedades sin inspecciones: el historial no se pierde
+  async function remove(tenantId, propertyId) {
+    const current = await prisma.property.findFirst({
+      where: { id: propertyId, tenantId },
+      include: { _count: { select: { cases: true } } }
+    });
+    if (!current) return null;
+    if (current._count.cases) return { error: 'PROPERTY_HAS_CASES', cases: current._count.cases };
+    await prisma.property.delete({ where: { id: current.id } });
+    return { property: current };
+  }
+
+  // Todas las inspecciones de la propiedad, de la más antigua a la más reciente
+  async function timeline(tenantId, propertyId) {
+    const property = await get(tenantId, propertyId);
+    if (!property) return null;
+    const cases = await prisma.case.findMany({
+      where: { propertyId, tenantId },
+      orderBy: [{ createdAt: 'asc' }, { id: 'asc' }],
+      select: TIMELINE_SELECT
+    });
+    return {
+      property,
+      inspections: cases.map((c) => ({
+        caseId: c.id,
+        createdAt: c.createdAt,
+        status: c.status,
+        closedAt: c.closedAt,
+        archived: !!c.archivedAt,
+        progressPct: c.progressPct,
+        score: c.score,
+        badge: c.badge,
+        assignedUserId: c.assignedUser?.id || null,
+        assignedUserName: c.assignedUser?.fullName || null,
+        reportUrl: `/cases/${encodeURIComponent(c.id)}/report`
+      }))
+    };
+  }
+
+  // Propiedades anteriores a las columnas de búsqueda: se completan al arrancar
+  async function backfillKeys() {
+    const rows = await prisma.property.findMany({
+      where: { OR: [{ rol: { not: null }, rolKey: null }, { address: { not: null }, addressKey: null }] },
+      select: { id: true, rol: true, address: true }
+    });
+    for (const row of rows) {
+      await prisma.property.update({ where: { id: row.id }, data: propertyKeys(row) });
+    }
+    return rows.length;
+  }
+
+  return { findMatch, resolve, list, get, create, update, remove, timeline, backfillKeys };
+}
+
+function publicProperty(row) {
+  return {
+    id: row.id,
+    rol: row.rol,
+    address: row.address,
+    operationType: row.operationType,
+    surface: row.surface,
+    owner: row.owner ? { id: row.owner.id, fullName: row.owner.fullName, rut: row.owner.rut } : null,
+    inspections: row._count?.cases ?? 0,
+    lastInspectionAt: row.cases?.[0]?.createdAt || null,
+    createdAt: row.createdAt
+  };
+}
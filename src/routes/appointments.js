@@ -0,0 +1,202 @@
+import { publicAppointment } from '../appointments/appointments.js';
+import {
+  appointmentBookBody,
+  appointmentCancelBody,
+  appointmentListQuery,
+  appointmentRescheduleBody,
+  appointmentStatusBody,
+  paramsSchema
+} from '../validation/schemas.js';
+
+const appointmentParams = paramsSchema('appointmentId');
+
+// Errores del servicio que no son de validación
+const ERROR_STATUS = {
+  CASE_NOT_FOUND: 404,
+  CASE_CLOSED: 409,
+  APPOINTMENT_EXISTS: 409,
+  APPOINTMENT_CONFLICT: 409,
+  APPOINTMENT_NOT_ACTIVE: 409,
+  APPOINTMENT_STATUS_INVALID: 409
+};
+
+function sendError(reply, result) {
+  return reply.code(ERROR_STATUS[result.error] || 400).send({ ok: false, ...result });
+}
+
+/**
+ * Agenda de visitas de inspección:
+ *   GET    /api/tenant/appointments                          listado (?userId, caseId, status, from, to)
+ *   POST   /api/tenant/inspections/:caseId/appointments      agendar (409 APPOINTMENT_CONFLICT con las citas que se traslapan)
+ *   GET    /api/tenant/appointments/:appointmentId           detalle
+ *   PATCH  /api/tenant/appointments/:appointmentId           reagendar (ventana, ejecutivo o contacto)
+ *   POST   /api/tenant/appointments/:appointmentId/status    CONFIRMED, DONE, NO_SHOW
+ *   POST   /api/tenant/appointments/:appointmentId/cancel    cancelar con motivo
+ *   POST   /api/tenant/users/:userId/calendar-feed           URL del feed .ics de un ejecutivo (rota la anterior); DELETE lo desactiva
+ *   GET    /api/executive/appointments                       agenda propia
+ *   POST   /api/executive/appointments/:appointmentId/status
+ *   POST   /api/executive/calendar-feed                      URL del feed propio; DELETE lo desactiva
+ *   GET    /api/calendar/:token.ics                          feed iCalendar (sin sesión: el token es la credencial)
+ */
+export function registerAppointmentRoutes(app, deps) {
+  const { appointments, audit, auditActor, absoluteUrl, readHandler, manageHandler, usersHandler, executiveHandler } = deps;
+
+  function feedUrl(token) {
+    return absoluteUrl(`/api/calendar/${encodeURIComponent(token)}.ics`);
+  }
+
+  async function auditChange(req, tenantId, action, result, meta) {
+    await audit(req, {
+      tenantId,
+      action,
+      entityType: 'APPOINTMENT',
+      entityId: result.appointment.id,
+      before: result.before,
+      after: result.appointment,
+      meta: { caseId: result.appointment.caseId, ...meta }
+    });
+  }
+
+  // ---------- Panel de corredora ----------
+
+  app.get('/api/tenant/appointments', { preHandler: readHandler, schema: { querystring: appointmentListQuery } }, async (req, reply) => {
+    const { session } = req.principal;
+    const items = await appointments.list(session.tenantId, req.query || {});
+    return reply.send({ ok: true, appointments: items });
+  });
+
+  app.post('/api/tenant/inspections/:caseId/appointments', {
+    preHandler: manageHandler,
+    schema: { params: paramsSchema('caseId'), body: appointmentBookBody }
+  }, async (req, reply) => {
+    const { session } = req.principal;
+    const result = await appointments.book({
+      tenantId: session.tenantId,
+      caseId: String(req.params.caseId),
+      input: req.body || {},
+      actor: auditActor(req)
+    });
+    if (result.error) return sendError(reply, result);
+    await auditChange(req, session.tenantId, 'appointment.book', result);
+    return reply.send({ ok: true, appointment: result.appointment });
+  });
+
+  app.get('/api/tenant/appointments/:appointmentId', {
+    preHandler: readHandler,
+    schema: { params: appointmentParams }
+  }, async (req, reply) => {
+    const { session } = req.principal;
+    const row = await appointments.get(session.tenantId, String(req.params.appointmentId));
+    if (!row) return reply.code(404).send({ ok: false, error: 'APPOINTMENT_NOT_FOUND' });
+    return reply.send({ ok: true, appointment: publicAppointment(row) });
+  });
+
+  app.patch('/api/tenant/appointments/:appointmentId', {
+    preHandler: manageHandler,
+    schema: { params: appointmentParams, body: appointmentRescheduleBody }
+  }, async (req, reply) => {
+    const { session } = req.principal;
+    const result = await appointments.reschedule(session.tenantId, String(req.params.appointmentId), req.body || {});
+    if (!result) return reply.code(404).send({ ok: false, error: 'APPOINTMENT_NOT_FOUND' });
+    if (result.error) return sendError(reply, result);
+    await auditChange(req, session.tenantId, 'appointment.reschedule', result);
+    return reply.send({ ok: true, appointment: result.appointment });
+  });
+
+  app.post('/api/tenant/appointments/:appointmentId/status', {
+    preHandler: manageHandler,
+    schema: { params: appointmentParams, body: appointmentStatusBody }
+  }, async (req, reply) => {
+    const { session } = req.principal;
+    const result = await appointments.setStatus(session.tenantId, String(req.params.appointmentId), req.body.status);
+    if (!result) return reply.code(404).send({ ok: false, error: 'APPOINTMENT_NOT_FOUND' });
+    if (result.error) return sendError(reply, result);
+    await auditChange(req, session.tenantId, 'appointment.status', result);
+    return reply.send({ ok: true, appointment: result.appointment });
+  });
+
+  app.post('/api/tenant/appointments/:appointmentId/cancel', {
+    preHandler: manageHandler,
+    schema: { params: appointmentParams, body: appointmentCancelBody }
+  }, async (req, reply) => {
+    const { session } = req.principal;
+    const result = await appointments.cancel(session.tenantId, String(req.params.appointmentId), { reason: req.body.reason });
+    if (!result) return reply.code(404).send({ ok: false, error: 'APPOINTMENT_NOT_FOUND' });
+    if (result.error) return sendError(reply, result);
+    await auditChange(req, session.tenantId, 'appointment.cancel', result);
+    return reply.send({ ok: true, appointment: result.appointment });
+  });
+
+  app.post('/api/tenant/users/:userId/calendar-feed', {
+    preHandler: usersHandler,
+    schema: { params: paramsSchema('userId') }
+  }, async (req, reply) => {
+    const { session } = req.principal;
+    const userId = String(req.params.userId);
+    const token = await appointments.issueCalendarToken({ tenantId: session.tenantId, userId });
+    if (!token) return reply.code(404).send({ ok: false, error: 'USER_NOT_FOUND' });
+    await audit(req, { tenantId: session.tenantId, action: 'user.calendar_feed.issue', entityType: 'USER', entityId: userId });
+    return reply.send({ ok: true, feedUrl: feedUrl(token) });
+  });
+
+  app.delete('/api/tenant/users/:userId/calendar-feed', {
+    preHandler: usersHandler,
+    schema: { params: paramsSchema('userId') }
+  }, async (req, reply) => {
+    const { session } = req.principal;
+    const userId = String(req.params.userId);
+    const revoked = await appointments.revokeCalendarToken({ tenantId: session.tenantId, userId });
+    if (!revoked) return reply.code(404).send({ ok: false, error: 'USER_NOT_FOUND' });
+    await audit(req, { tenantId: session.tenantId, action: 'user.calendar_feed.revoke', entityType: 'USER', entityId: userId });
+    return reply.send({ ok: true });
+  });
+
+  // ---------- Ejecutivo ----------
+
+  app.get('/api/executive/appointments', {
+    preHandler: executiveHandler,
+    schema: { querystring: appointmentListQuery }
+  }, async (req, reply) => {
+    const { user } = req.principal;
+    const items = await appointments.list(user.tenantId, { ...(req.query || {}), userId: user.id });
+    return reply.send({ ok: true, appointments: items });
+  });
+
+  app.post('/api/executive/appointments/:appointmentId/status', {
+    preHandler: executiveHandler,
+    schema: { params: appointmentParams, body: appointmentStatusBody }
+  }, async (req, reply) => {
+    const { user } = req.principal;
+    const result = await appointments.setStatus(user.tenantId, String(req.params.appointmentId), req.body.status, { userId: user.id });
+    if (!result) return reply.code(404).send({ ok: false, error: 'APPOINTMENT_NOT_FOUND' });
+    if (result.error) return sendError(reply, result);
+    await auditChange(req, user.tenantId, 'appointment.status', result);
+    return reply.send({ ok: true, appointment: result.appointment });
+  });
+
+  app.post('/api/executive/calendar-feed', { preHandler: executiveHandler }, async (req, reply) => {
+    const { user } = req.principal;
+    const token = await appointments.issueCalendarToken({ tenantId: user.tenantId, userId: user.id });
+    await audit(req, { tenantId: user.tenantId, action: 'user.calendar_feed.issue', entityType: 'USER', entityId: user.id });
+    return reply.send({ ok: true, feedUrl: feedUrl(token) });
+  });
+
+  app.delete('/api/executive/calendar-feed', { preHandler: executiveHandler }, async (req, reply) => {
+    const { user } = req.principal;
+    await appointments.revokeCalendarToken({ tenantId: user.tenantId, userId: user.id });
+    await audit(req, { tenantId: user.tenantId, action: 'user.calendar_feed.revoke', entityType: 'USER', entityId: user.id });
+    return reply.send({ ok: true });
+  });
+
+  // ---------- Feed iCalendar ----------
+
+  app.get('/api/calendar/:token', { schema: { params: paramsSchema('token') } }, async (req, reply) => {
+    const token = String(req.params.token).replace(/\.ics$/i, '');
+    const ics = await appointments.calendarFeed(token, { absoluteUrl });
+    if (!ics) return reply.code(404).send({ ok: false, error: 'CALENDAR_NOT_FOUND' });
+    return reply
+      .header('Content-Type', 'text/calendar; charset=utf-8')
+      .header('Cache-Control', 'private, max-age=300')
+      .send(ics);
+  });
+}
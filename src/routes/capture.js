@@ -1,5 +1,11 @@
 import sharp from 'sharp';
 
+import { verifyPassword } from '../auth/passwords.js';
+import { fieldError, ruleMessage } from '../validation/errors.js';
+import { captureModeQuery, capturePinBody, notCapturableBody, paramsSchema } from '../validation/schemas.js';
+
+const CAPTURE_SESSION_COOKIE = 'capture_session';
+
 function now() {
   return new Date();
 }
@@ -11,13 +17,37 @@ function isExpired(tokenRow) {
   return new Date(tokenRow.expiresAt).getTime() <= Date.now();
 }
 
-async function requireCaptureToken(prisma, token) {
+async function findCaptureToken(prisma, token) {
   const row = await prisma.captureToken.findUnique({
     where: { token },
-    select: { id: true, token: true, caseId: true, tenantId: true, expiresAt: true, revokedAt: true }
+    select: {
+      id: true,
+      token: true,
+      caseId: true,
+      tenantId: true,
+      expiresAt: true,
+      revokedAt: true,
+      pinHash: true,
+      case: { select: { status: true, archivedAt: true } }
+    }
   });
   if (isExpired(row)) return null;
-  return row;
+  const { case: c, ...rest } = row;
+  // Caso cerrado o archivado: el link sigue siendo válido pero no acepta capturas hasta que se reabra
+  return { ...rest, caseClosed: c?.status === 'DONE', caseArchived: !!c?.archivedAt };
+}
+
+/**
+ * Token vigente o null. Si el link tiene PIN y la request no trae una sesión de captura
+ * válida para ese mismo link, devuelve el token con pinRequired = true.
+ */
+async function requireCaptureToken(prisma, token, { req, sessions } = {}) {
+  const row = await findCaptureToken(prisma, token);
+  if (!row) return null;
+  const { pinHash, ...t } = row;
+  if (!pinHash) return { ...t, pinRequired: false };
+  const session = sessions && req ? await sessions.get('CAPTURE', req.cookies?.[CAPTURE_SESSION_COOKIE]) : null;
+  return { ...t, pinRequired: !session || session.captureTokenId !== t.id };
 }
 
 async function laplacianVarianceFromBuffer(buffer) {
@@ -61,20 +91,59 @@ async function laplacianVarianceFromBuffer(buffer) {
   return { variance, width: w, height: h };
 }
 
+// Solo PENDING y REJECTED piden foto: ANALYZED y NOT_CAPTURABLE ya están resueltos
 function pickNextSlot(slots) {
   const pending = slots.find((s) => String(s.status || '').toUpperCase() === 'PENDING');
   if (pending) return pending;
   return slots.find((s) => String(s.status || '').toUpperCase() === 'REJECTED') || null;
 }
 
+// Mismo criterio que computeProgressFromSlots (src/cases/caseStats.js): no capturables aparte, pero avanzan
 function computeProgress(slots) {
   const total = slots.length;
   const uploaded = slots.filter((s) =>
     ['UPLOADED', 'ANALYZED', 'REJECTED'].includes(String(s.status || '').toUpperCase())
   ).length;
   const analyzed = slots.filter((s) => String(s.status || '').toUpperCase() === 'ANALYZED').length;
-  const pct = total ? Math.round((uploaded / total) * 100) : 0;
-  return { uploaded, analyzed, total, pct };
+  const notCapturable = slots.filter((s) => String(s.status || '').toUpperCase() === 'NOT_CAPTURABLE').length;
+  const pct = total ? Math.round(((uploaded + notCapturable) / total) * 100) : 0;
+  return { uploaded, analyzed, notCapturable, total, pct };
+}
+
+// Fotos aceptadas por slot (galería); el análisis con IA las recibe todas
+export const MAX_SLOT_PHOTOS = 10;
+
+// Slot.notCapturableReason es VARCHAR(191)
+const MAX_REASON_LENGTH = 191;
+
+// Mismo formato que un schema fallido (VALIDATION_ERROR con fields), para el body multipart
+function reasonError(rule) {
+  return { ...fieldError('VALIDATION_ERROR', 'reason', rule, ruleMessage(rule)), in: 'body' };
+}
+
+/**
+ * Body de "no se puede fotografiar": JSON { reason } (validado por notCapturableBody) o multipart
+ * con el campo `reason` y, opcional, la foto de respaldo en `photo`. Devuelve { reason, file } o { error }.
+ */
+async function readNotCapturableBody(req, safeExtFromMime) {
+  let reason = req.body?.reason;
+  let file = null;
+  if (req.isMultipart()) {
+    for await (const part of req.parts({ limits: { fileSize: 8 * 1024 * 1024 } })) {
+      if (part.type === 'file') {
+        if (part.fieldname !== 'photo') return { error: 'INVALID_FIELD', expected: 'photo', got: part.fieldname };
+        const ext = safeExtFromMime(part.mimetype);
+        if (!ext) return { error: 'UNSUPPORTED_TYPE', mimeType: part.mimetype };
+        file = { buffer: await part.toBuffer(), mimeType: part.mimetype, ext, fileName: part.filename };
+      } else if (part.fieldname === 'reason') {
+        reason = part.value;
+      }
+    }
+  }
+  reason = String(reason ?? '').trim();
+  if (!reason) return reasonError('required');
+  if (reason.length > MAX_REASON_LENGTH) return reasonError('maxLength');
+  return { reason, file };
 }
 
 const REPEAT_CODES = new Set([
@@ -84,7 +153,7 @@ const REPEAT_CODES = new Set([
   'NOT_PROPERTY_IMAGE'
 ]);
 
-export async function registerCaptureRoutes(app, { prisma, storage, safeExtFromMime, analyzeImageBufferV1, slotGroupFromSlotCode, queueOpenAiSlotAnalysis }) {
+export async function registerCaptureRoutes(app, { prisma, storage, safeExtFromMime, analyzeImageBufferV1, slotGroupFromSlotCode, queueOpenAiSlotAnalysis, auditLog, sessions, loginGuard, caseLifecycle }) {
   // Página de captura (móvil)
   app.get('/capture/:token', async (req, reply) => {
     if (!prisma) return reply.code(500).send('DATABASE_NOT_CONFIGURED');
@@ -94,15 +163,57 @@ export async function registerCaptureRoutes(app, { prisma, storage, safeExtFromM
     return reply.sendFile('capture.html');
   });
 
+  // Validar PIN del link y abrir una sesión de captura corta (cookie acotada a este link)
+  app.post('/api/capture/:token/pin', { schema: { params: paramsSchema('token'), body: capturePinBody } }, async (req, reply) => {
+    const token = String(req.params.token || '');
+    const row = await findCaptureToken(prisma, token);
+    if (!row) return reply.code(401).send({ ok: false, error: 'INVALID_TOKEN' });
+    if (!row.pinHash) return reply.send({ ok: true, pinRequired: false });
+
+    const verdict = loginGuard ? await loginGuard.check({ scope: 'CAPTURE_PIN', account: row.id, ip: req.ip }) : { allowed: true };
+    if (!verdict.allowed) {
+      reply.header('Retry-After', String(verdict.retryAfterSeconds));
+      return reply.code(verdict.status).send({ ok: false, error: verdict.error, retryAfterSeconds: verdict.retryAfterSeconds });
+    }
+    const attempt = { scope: 'CAPTURE_PIN', account: row.id, ip: req.ip, userAgent: req.headers['user-agent'] };
+
+    const pin = String(req.body?.pin || '').trim();
+    if (!pin) return reply.code(400).send({ ok: false, error: 'PIN_REQUIRED' });
+    if (!(await verifyPassword(pin, row.pinHash))) {
+      await loginGuard?.recordFailure({ ...attempt, reason: 'PIN_INVALID' });
+      return reply.code(401).send({ ok: false, error: 'PIN_INVALID' });
+    }
+    await loginGuard?.recordSuccess(attempt);
+
+    const captureMs = sessions.timeouts.captureMs;
+    const sessionToken = await sessions.create({
+      kind: 'CAPTURE',
+      tenantId: row.tenantId || null,
+      captureTokenId: row.id,
+      absoluteMs: captureMs
+    });
+    reply.setCookie(CAPTURE_SESSION_COOKIE, sessionToken, {
+      path: `/api/capture/${token}`,
+      httpOnly: true,
+      sameSite: 'lax',
+      secure: process.env.NODE_ENV === 'production',
+      maxAge: Math.floor(captureMs / 1000)
+    });
+    return reply.send({ ok: true, expiresAt: new Date(Date.now() + captureMs) });
+  });
+
   // Siguiente slot por token
-  app.get('/api/capture/:token/next', async (req, reply) => {
+  app.get('/api/capture/:token/next', { schema: { params: paramsSchema('token') } }, async (req, reply) => {
     if (!prisma) {
       return reply.code(500).send({ ok: false, error: 'DATABASE_NOT_CONFIGURED' });
     }
 
     const token = String(req.params.token || '');
-    const t = await requireCaptureToken(prisma, token);
+    const t = await requireCaptureToken(prisma, token, { req, sessions });
     if (!t) return reply.code(401).send({ ok: false, error: 'INVALID_TOKEN' });
+    if (t.pinRequired) return reply.code(401).send({ ok: false, error: 'PIN_REQUIRED' });
+    if (t.caseClosed) return reply.code(409).send({ ok: false, error: 'CASE_CLOSED' });
+    if (t.caseArchived) return reply.code(409).send({ ok: false, error: 'CASE_ARCHIVED' });
 
     const slots = await prisma.slot.findMany({
       where: { caseId: t.caseId },
@@ -133,23 +244,36 @@ export async function registerCaptureRoutes(app, { prisma, storage, safeExtFromM
     });
   });
 
-  // Subir + validar captura (OK / REPEAT)
-  app.post('/api/capture/:token/slots/:slotId/capture', async (req, reply) => {
+  // Subir + validar captura (OK / REPEAT). ?mode=add suma la foto a la galería de un slot ya
+  // capturado (muros largos, cocinas grandes); por defecto (replace) reemplaza a las anteriores.
+  app.post('/api/capture/:token/slots/:slotId/capture', {
+    schema: { params: paramsSchema('token', 'slotId'), querystring: captureModeQuery }
+  }, async (req, reply) => {
     if (!prisma) {
       return reply.code(500).send({ ok: false, error: 'DATABASE_NOT_CONFIGURED' });
     }
 
     const token = String(req.params.token || '');
     const slotId = String(req.params.slotId || '');
+    const mode = req.query?.mode === 'add' ? 'add' : 'replace';
 
-    const t = await requireCaptureToken(prisma, token);
+    const t = await requireCaptureToken(prisma, token, { req, sessions });
     if (!t) return reply.code(401).send({ ok: false, error: 'INVALID_TOKEN' });
+    if (t.pinRequired) return reply.code(401).send({ ok: false, error: 'PIN_REQUIRED' });
+    if (t.caseClosed) return reply.code(409).send({ ok: false, error: 'CASE_CLOSED' });
+    if (t.caseArchived) return reply.code(409).send({ ok: false, error: 'CASE_ARCHIVED' });
 
     const slot = await prisma.slot.findUnique({
       where: { id: slotId },
       select: { id: true, caseId: true, slotCode: true, title: true, instructions: true, orderIndex: true, status: true }
     });
     if (!slot || slot.caseId !== t.caseId) return reply.code(404).send({ ok: false, error: 'SLOT_NOT_FOUND' });
+    if (mode === 'add') {
+      // La galería parte de una foto principal aceptada
+      if (String(slot.status || '').toUpperCase() !== 'ANALYZED') return reply.code(409).send({ ok: false, error: 'SLOT_NOT_CAPTURED' });
+      const accepted = await prisma.photo.count({ where: { slotId: slot.id, accepted: true } });
+      if (accepted >= MAX_SLOT_PHOTOS) return reply.code(409).send({ ok: false, error: 'SLOT_PHOTO_LIMIT', max: MAX_SLOT_PHOTOS });
+    }
 
     const part = await req.file({ limits: { fileSize: 8 * 1024 * 1024 } });
     if (!part) return reply.code(400).send({ ok: false, error: 'NO_FILE' });
@@ -219,6 +343,16 @@ export async function registerCaptureRoutes(app, { prisma, storage, safeExtFromM
     const nextStatus = passed ? 'ANALYZED' : 'REJECTED';
 
     const result = await prisma.$transaction(async (tx) => {
+      // replace: las fotos anteriores quedan guardadas pero salen de la galería
+      if (mode === 'replace') {
+        await tx.photo.updateMany({ where: { slotId: slot.id, accepted: true }, data: { accepted: false } });
+      } else {
+        // El conteo de arriba fue antes de subir y analizar: otra foto en paralelo pudo completar
+        // la galería. Se bloquea el slot para que dos subidas no pasen el tope a la vez.
+        await tx.$queryRaw`SELECT id FROM \`Slot\` WHERE id = ${slot.id} FOR UPDATE`;
+        const accepted = await tx.photo.count({ where: { slotId: slot.id, accepted: true } });
+        if (accepted >= MAX_SLOT_PHOTOS) return { error: 'SLOT_PHOTO_LIMIT' };
+      }
       const photo = await tx.photo.create({
         data: {
           id: saved.id,
@@ -230,9 +364,16 @@ export async function registerCaptureRoutes(app, { prisma, storage, safeExtFromM
           mimeType,
           fileSize: buffer.length,
           width,
-          height
+          height,
+          accepted: passed
         }
       });
+      const photoCount = await tx.photo.count({ where: { slotId: slot.id, accepted: true } });
+
+      if (mode === 'add') {
+        // Una foto extra no toca el slot (ni su foto principal): solo se suma a la galería si pasa el control
+        return { photo, slot: { id: slot.id, status: slot.status }, photoCount };
+      }
 
       const updatedSlot = await tx.slot.update({
         where: { id: slot.id },
@@ -244,12 +385,30 @@ export async function registerCaptureRoutes(app, { prisma, storage, safeExtFromM
           analysisConfidence: analysis.problem.confidence ?? null,
           analysisMessage: analysis.problem.message,
           analysisDebug: analysis.problem.debug ?? null,
-          analyzedAt: now()
+          analyzedAt: now(),
+          // Si se había marcado no capturable y al final se pudo fotografiar
+          notCapturableReason: null,
+          notCapturableAt: null
         },
         select: { id: true, status: true }
       });
 
-      return { photo, slot: updatedSlot };
+      // Primera captura -> IN_PROGRESS; recalcula si el caso quedó listo para cerrar
+      await caseLifecycle?.syncAfterSlotChange(slot.caseId, tx);
+
+      return { photo, slot: updatedSlot, photoCount };
+    });
+    if (result.error) return reply.code(409).send({ ok: false, error: result.error, max: MAX_SLOT_PHOTOS });
+
+    await auditLog?.record({
+      actor: { type: 'CAPTURE_LINK', id: t.id, ip: req.ip },
+      tenantId: t.tenantId || null,
+      action: 'slot.capture',
+      entityType: 'SLOT',
+      entityId: slot.id,
+      before: { status: slot.status },
+      after: { status: result.slot.status, photoId: result.photo.id, accepted: passed, analysisCode: analysis.problem.code },
+      meta: { caseId: slot.caseId, slotCode: slot.slotCode, mode }
     });
 
     // next slot info
@@ -260,7 +419,7 @@ export async function registerCaptureRoutes(app, { prisma, storage, safeExtFromM
     const next = pickNextSlot(slots);
     const progress = computeProgress(slots);
 
-    // Ejecutar análisis OpenAI en background si corresponde (no bloquea UX)
+    // Ejecutar análisis OpenAI en background si corresponde (no bloquea UX); analiza toda la galería
     if (passed && typeof queueOpenAiSlotAnalysis === 'function') {
       queueOpenAiSlotAnalysis({ slotId: result.slot.id, caseId: slot.caseId });
     }
@@ -271,6 +430,8 @@ export async function registerCaptureRoutes(app, { prisma, storage, safeExtFromM
       caseId: slot.caseId,
       slotId: result.slot.id,
       slotStatus: result.slot.status,
+      mode,
+      photoCount: result.photoCount,
       problem: analysis.problem,
       photo: {
         id: result.photo.id,
@@ -284,5 +445,130 @@ export async function registerCaptureRoutes(app, { prisma, storage, safeExtFromM
       nextSlotId: next?.id ?? null
     });
   });
-}
 
+  // Marcar un slot como no capturable (habitación cerrada, no existe...): motivo obligatorio y foto
+  // de respaldo opcional, sin análisis. Deja de pedirse y no bloquea el cierre del caso.
+  app.post('/api/capture/:token/slots/:slotId/not-capturable', {
+    schema: { params: paramsSchema('token', 'slotId'), body: notCapturableBody }
+  }, async (req, reply) => {
+    if (!prisma) {
+      return reply.code(500).send({ ok: false, error: 'DATABASE_NOT_CONFIGURED' });
+    }
+
+    const token = String(req.params.token || '');
+    const slotId = String(req.params.slotId || '');
+
+    const t = await requireCaptureToken(prisma, token, { req, sessions });
+    if (!t) return reply.code(401).send({ ok: false, error: 'INVALID_TOKEN' });
+    if (t.pinRequired) return reply.code(401).send({ ok: false, error: 'PIN_REQUIRED' });
+    if (t.caseClosed) return reply.code(409).send({ ok: false, error: 'CASE_CLOSED' });
+    if (t.caseArchived) return reply.code(409).send({ ok: false, error: 'CASE_ARCHIVED' });
+
+    const slot = await prisma.slot.findUnique({
+      where: { id: slotId },
+      select: { id: true, caseId: true, slotCode: true, status: true, photoId: true }
+    });
+    if (!slot || slot.caseId !== t.caseId) return reply.code(404).send({ ok: false, error: 'SLOT_NOT_FOUND' });
+    // Una foto aceptada no se descarta desde el link de captura
+    if (String(slot.status || '').toUpperCase() === 'ANALYZED') {
+      return reply.code(409).send({ ok: false, error: 'SLOT_ALREADY_CAPTURED' });
+    }
+
+    const body = await readNotCapturableBody(req, safeExtFromMime);
+    if (body.error) return reply.code(400).send({ ok: false, ...body });
+    const { reason, file } = body;
+
+    let saved = null;
+    let width = null;
+    let height = null;
+    if (file) {
+      saved = await storage.saveImageBuffer({ buffer: file.buffer, contentType: file.mimeType, ext: file.ext, caseId: slot.caseId });
+      try {
+        const m = await sharp(file.buffer).metadata();
+        width = m.width ?? null;
+        height = m.height ?? null;
+      } catch {
+        // ignore
+      }
+    }
+
+    const result = await prisma.$transaction(async (tx) => {
+      const photo = saved
+        ? await tx.photo.create({
+            data: {
+              id: saved.id,
+              slotId: slot.id,
+              tenantId: t.tenantId || null,
+              caseId: slot.caseId,
+              filePath: saved.filePath,
+              fileName: file.fileName || saved.storedFileName,
+              mimeType: file.mimeType,
+              fileSize: file.buffer.length,
+              width,
+              height
+            }
+          })
+        : null;
+
+      // Sin análisis: un slot no inspeccionable no suma hallazgos al score
+      const updatedSlot = await tx.slot.update({
+        where: { id: slot.id },
+        data: {
+          status: 'NOT_CAPTURABLE',
+          notCapturableReason: reason,
+          notCapturableAt: now(),
+          ...(photo ? { photoId: photo.id } : {}),
+          analysisCode: null,
+          analysisSeverity: null,
+          analysisConfidence: null,
+          analysisMessage: null,
+          analysisDebug: null,
+          analyzedAt: null
+        },
+        select: { id: true, status: true }
+      });
+
+      await caseLifecycle?.syncAfterSlotChange(slot.caseId, tx);
+
+      return { photo, slot: updatedSlot };
+    });
+
+    await auditLog?.record({
+      actor: { type: 'CAPTURE_LINK', id: t.id, ip: req.ip },
+      tenantId: t.tenantId || null,
+      action: 'slot.not_capturable',
+      entityType: 'SLOT',
+      entityId: slot.id,
+      before: { status: slot.status, photoId: slot.photoId },
+      after: { status: 'NOT_CAPTURABLE', reason, photoId: result.photo?.id ?? slot.photoId },
+      meta: { caseId: slot.caseId, slotCode: slot.slotCode }
+    });
+
+    const slots = await prisma.slot.findMany({
+      where: { caseId: slot.caseId },
+      orderBy: { orderIndex: 'asc' }
+    });
+    const next = pickNextSlot(slots);
+    const progress = computeProgress(slots);
+
+    return reply.send({
+      ok: true,
+      caseId: slot.caseId,
+      slotId: result.slot.id,
+      slotStatus: result.slot.status,
+      reason,
+      photo: result.photo
+        ? {
+            id: result.photo.id,
+            url: storage.publicUrl(result.photo.filePath),
+            mimeType: result.photo.mimeType,
+            size: result.photo.fileSize,
+            width,
+            height
+          }
+        : null,
+      progress,
+      nextSlotId: next?.id ?? null
+    });
+  });
+}
@@ -0,0 +1,136 @@
+import { resolveCaptureExpiry, resolveCapturePin } from '../capture/captureLinks.js';
+import { captureLinkExtendBody, captureLinkIssueBody, captureLinkPinBody, paramsSchema } from '../validation/schemas.js';
+
+const caseParams = paramsSchema('caseId');
+const linkParams = paramsSchema('caseId', 'linkId');
+
+/**
+ * Gestión de links de captura de un caso: listar, emitir uno nuevo, revocar y extender.
+ * Se registra una vez por cada panel (corredora, ejecutivo). Cada scope trae:
+ *   prefix     ruta base del caso, ej. '/api/tenant/inspections'
+ *   preHandler guard de autenticación/permiso
+ *   findCase   async (req, caseId) => { id, tenantId } | null, ya acotado a lo que el llamador puede ver
+ */
+export function registerCaptureLinkRoutes(app, { captureLinks, audit, scopes }) {
+  for (const scope of scopes) {
+    const base = `${scope.prefix}/:caseId/capture-links`;
+
+    async function loadCase(req, reply) {
+      const c = await scope.findCase(req, String(req.params.caseId || ''));
+      if (!c) {
+        reply.code(404).send({ ok: false, error: 'CASE_NOT_FOUND' });
+        return null;
+      }
+      return c;
+    }
+
+    app.get(base, { preHandler: scope.preHandler, schema: { params: caseParams } }, async (req, reply) => {
+      const c = await loadCase(req, reply);
+      if (!c) return reply;
+      const links = await captureLinks.list(c.id);
+      return reply.send({ ok: true, caseId: c.id, links });
+    });
+
+    app.post(base, {
+      preHandler: scope.preHandler,
+      schema: { params: caseParams, body: captureLinkIssueBody }
+    }, async (req, reply) => {
+      const c = await loadCase(req, reply);
+      if (!c) return reply;
+      const payload = req.body || {};
+      const expiry = resolveCaptureExpiry(payload, captureLinks.limits);
+      if (expiry.error) return reply.code(400).send({ ok: false, ...expiry });
+      const pin = resolveCapturePin(payload);
+      if (pin.error) return reply.code(400).send({ ok: false, error: pin.error });
+
+      const { link, revoked } = await captureLinks.regenerate({
+        tenantId: c.tenantId || null,
+        caseId: c.id,
+        expiresAt: expiry.expiresAt,
+        revokeActive: payload.revokeActive !== false,
+        pin: pin.pin
+      });
+      await audit(req, {
+        tenantId: c.tenantId || null,
+        action: 'capture_link.issue',
+        entityType: 'CAPTURE_LINK',
+        entityId: link.id,
+        after: { expiresAt: link.expiresAt, pinProtected: link.pinProtected },
+        meta: { caseId: c.id, revoked }
+      });
+      // El PIN generado se muestra una sola vez; en la base solo queda su hash
+      return reply.send({ ok: true, link, captureUrl: link.url, revoked, ...(pin.generated ? { pin: pin.pin } : {}) });
+    });
+
+    app.post(`${base}/:linkId/revoke`, { preHandler: scope.preHandler, schema: { params: linkParams } }, async (req, reply) => {
+      const c = await loadCase(req, reply);
+      if (!c) return reply;
+      const result = await captureLinks.revoke(c.id, String(req.params.linkId || ''));
+      if (!result) return reply.code(404).send({ ok: false, error: 'CAPTURE_LINK_NOT_FOUND' });
+      await audit(req, {
+        tenantId: c.tenantId || null,
+        action: 'capture_link.revoke',
+        entityType: 'CAPTURE_LINK',
+        entityId: result.link.id,
+        before: { revokedAt: result.before.revokedAt },
+        after: { revokedAt: result.link.revokedAt },
+        meta: { caseId: c.id }
+      });
+      return reply.send({ ok: true, link: result.link });
+    });
+
+    app.post(`${base}/:linkId/extend`, {
+      preHandler: scope.preHandler,
+      schema: { params: linkParams, body: captureLinkExtendBody }
+    }, async (req, reply) => {
+      const c = await loadCase(req, reply);
+      if (!c) return reply;
+      const payload = req.body || {};
+      if (payload.expiresAt === undefined && payload.expiresInDays === undefined) {
+        return reply.code(400).send({ ok: false, error: 'EXPIRES_REQUIRED' });
+      }
+      const expiry = resolveCaptureExpiry(payload, captureLinks.limits);
+      if (expiry.error) return reply.code(400).send({ ok: false, ...expiry });
+
+      const result = await captureLinks.extend(c.id, String(req.params.linkId || ''), expiry.expiresAt);
+      if (!result) return reply.code(404).send({ ok: false, error: 'CAPTURE_LINK_NOT_FOUND' });
+      if (result.error) return reply.code(409).send({ ok: false, error: result.error });
+      await audit(req, {
+        tenantId: c.tenantId || null,
+        action: 'capture_link.extend',
+        entityType: 'CAPTURE_LINK',
+        entityId: result.link.id,
+        before: { expiresAt: result.before.expiresAt },
+        after: { expiresAt: result.link.expiresAt },
+        meta: { caseId: c.id }
+      });
+      return reply.send({ ok: true, link: result.link });
+    });
+
+    // { pin } fija un PIN, { generatePin: true } genera uno, { pin: null } lo quita
+    app.post(`${base}/:linkId/pin`, {
+      preHandler: scope.preHandler,
+      schema: { params: linkParams, body: captureLinkPinBody }
+    }, async (req, reply) => {
+      const c = await loadCase(req, reply);
+      if (!c) return reply;
+      const pin = resolveCapturePin(req.body || {});
+      if (pin.error) return reply.code(400).send({ ok: false, error: pin.error });
+
+      const result = await captureLinks.setPin(c.id, String(req.params.linkId || ''), pin.pin);
+      if (!result) return reply.code(404).send({ ok: false, error: 'CAPTURE_LINK_NOT_FOUND' });
+      if (result.error) return reply.code(409).send({ ok: false, error: result.error });
+      await audit(req, {
+        tenantId: c.tenantId || null,
+        action: 'capture_link.pin',
+        entityType: 'CAPTURE_LINK',
+        entityId: result.link.id,
+        before: { pinProtected: !!result.before.pinHash },
+        // pinChangedAt hace visible en el diff un cambio de PIN que mantiene el link protegido
+        after: { pinProtected: result.link.pinProtected, pinChangedAt: new Date() },
+        meta: { caseId: c.id }
+      });
+      return reply.send({ ok: true, link: result.link, ...(pin.generated ? { pin: pin.pin } : {}) });
+    });
+  }
+}
@@ -0,0 +1,159 @@
+import { getCaseSummary } from './caseSummary.js';
+
+const SEVERITY_RANK = { low: 1, medium: 2, high: 3 };
+
+// Hallazgo = slot analizado con severidad y un código distinto de OK
+function findingOf(slot) {
+  if (!slot || String(slot.status || '').toUpperCase() !== 'ANALYZED') return null;
+  const severity = String(slot.severity || '').toLowerCase();
+  if (!SEVERITY_RANK[severity] || String(slot.findingCode || '').toUpperCase() === 'OK') return null;
+  return { findingCode: slot.findingCode, severity, message: slot.message };
+}
+
+function slotSide(slot) {
+  if (!slot) return null;
+  return {
+    slotId: slot.id,
+    status: slot.status,
+    photoUrl: slot.photoUrl,
+    analyzedAt: slot.analyzedAt,
+    notCapturableReason: slot.notCapturableReason,
+    findingCode: slot.findingCode,
+    severity: slot.severity,
+    message: slot.message,
+    source: slot.source
+  };
+}
+
+/**
+ * Cambio entre entrada y salida de un mismo slot:
+ *   NEW       sin hallazgo en la entrada y con hallazgo en la salida
+ *   WORSENED  hallazgo en ambas, de mayor severidad en la salida
+ *   IMPROVED / RESOLVED  menor severidad o sin hallazgo en la salida
+ *   UNCHANGED misma severidad (o sin hallazgo en ambas)
+ *   NOT_COMPARABLE el slot falta o no está analizado en alguna de las dos
+ */
+export function slotChange(baselineSlot, currentSlot) {
+  const analyzed = (s) => String(s?.status || '').toUpperCase() === 'ANALYZED';
+  if (!analyzed(baselineSlot) || !analyzed(currentSlot)) return 'NOT_COMPARABLE';
+  const before = findingOf(baselineSlot);
+  const after = findingOf(currentSlot);
+  if (!before && !after) return 'UNCHANGED';
+  if (!before) return 'NEW';
+  if (!after) return 'RESOLVED';
+  const diff = SEVERITY_RANK[after.severity] - SEVERITY_RANK[before.severity];
+  if (diff > 0) return 'WORSENED';
+  if (diff < 0) return 'IMPROVED';
+  return 'UNCHANGED';
+}
+
+function caseHeader(summary) {
+  const c = summary.case;
+  return {
+    id: c.id,
+    createdAt: c.createdAt,
+    status: c.status,
+    closedAt: c.closedAt,
+    score: summary.score,
+    badge: summary.badge
+  };
+}
+
+/**
+ * Deltas por KPI a partir del byGroup de computeScoringV2_2 de cada caso. Un KPI sin
+ * penalización en un lado no aparece en su byGroup: cuenta como 100 / impacto 0.
+ */
+function kpiDeltas(baseline, current, scoreConfig) {
+  const before = new Map(baseline.byGroup.map((g) => [g.groupKey, g]));
+  const after = new Map(current.byGroup.map((g) => [g.groupKey, g]));
+  const keys = [...new Set([...Object.keys(scoreConfig?.kpis || {}), ...before.keys(), ...after.keys()])];
+  return keys.map((key) => {
+    const b = before.get(key);
+    const a = after.get(key);
+    const baselineScore = b?.scoreIfOnlyGroup ?? 100;
+    const currentScore = a?.scoreIfOnlyGroup ?? 100;
+    return {
+      groupKey: key,
+      title: a?.title || b?.title || key,
+      baselineScore,
+      currentScore,
+      delta: currentScore - baselineScore,
+      baselineImpact: b?.impact ?? 0,
+      currentImpact: a?.impact ?? 0
+    };
+  });
+}
+
+/**
+ * Compara dos resúmenes de getCaseSummary (entrada y salida) emparejando slots por slotCode.
+ */
+export function compareCaseSummaries(baseline, current, scoreConfig) {
+  const baselineByCode = new Map(baseline.slots.map((s) => [s.slotCode, s]));
+  const currentCodes = new Set(current.slots.map((s) => s.slotCode));
+  const pairs = [
+    ...current.slots.map((s) => [baselineByCode.get(s.slotCode) || null, s]),
+    ...baseline.slots.filter((s) => !currentCodes.has(s.slotCode)).map((s) => [s, null])
+  ];
+
+  const slots = pairs.map(([b, a]) => {
+    const ref = a || b;
+    return {
+      slotCode: ref.slotCode,
+      title: ref.title,
+      groupKey: ref.groupKey,
+      groupTitle: ref.groupTitle,
+      kpiKey: ref.kpiKey,
+      change: slotChange(b, a),
+      baseline: slotSide(b),
+      current: slotSide(a)
+    };
+  });
+
+  const counts = {};
+  slots.forEach((s) => { counts[s.change] = (counts[s.change] || 0) + 1; });
+
+  return {
+    baseline: caseHeader(baseline),
+    current: caseHeader(current),
+    score: {
+      baseline: baseline.score,
+      current: current.score,
+      delta: current.score - baseline.score
+    },
+    kpis: kpiDeltas(baseline, current, scoreConfig),
+    counts,
+    // Lo que el informe de salida destaca: hallazgos nuevos o de mayor severidad
+    findings: slots.filter((s) => s.change === 'NEW' || s.change === 'WORSENED'),
+    slots
+  };
+}
+
+/**
+ * Comparación de un caso (salida) con su inspección de entrada (Case.baselineCaseId).
+ * Mismos parámetros que getCaseSummary; ambos casos se resumen con la misma configuración.
+ */
+export async function getCaseComparison({ prisma, storage, caseId, slotGroupTitleFromCode, scoreConfig, tenantId }) {
+  const c = await prisma.case.findFirst({
+    where: { id: caseId, ...(tenantId ? { tenantId } : {}) },
+    select: { id: true, baselineCaseId: true }
+  });
+  if (!c) return { ok: false, error: 'CASE_NOT_FOUND' };
+  if (!c.baselineCaseId) return { ok: false, error: 'CASE_BASELINE_NOT_SET' };
+
+  const opts = { prisma, storage, slotGroupTitleFromCode, scoreConfig, tenantId };
+  const [baseline, current] = await Promise.all([
+    getCaseSummary({ ...opts, caseId: c.baselineCaseId }),
+    getCaseSummary({ ...opts, caseId: c.id })
+  ]);
+  if (!current.ok) return current;
+  if (!baseline.ok) return { ok: false, error: 'CASE_BASELINE_NOT_FOUND' };
+
+  const property = current.case.property || baseline.case.property || null;
+  return {
+    ok: true,
+    property: property
+      ? { id: property.id, rol: property.rol, address: property.address, owner: property.owner?.fullName || null }
+      : null,
+    ...compareCaseSummaries(baseline, current, scoreConfig)
+  };
+}
@@ -0,0 +1,91 @@
+import { paramsSchema } from '../validation/schemas.js';
+
+const MAX_FILE_BYTES = 5 * 1024 * 1024;
+const importParams = paramsSchema('importId');
+
+/**
+ * Importación masiva de inspecciones desde planilla (panel de corredora):
+ *   POST /import                       sube CSV/XLSX (campo "file") y devuelve el reporte de validación
+ *   GET  /import/:importId             estado y filas (validación o resultado)
+ *   POST /import/:importId/commit      crea los casos de las filas válidas
+ *   GET  /import/:importId/results.csv planilla con estado, caso y link de captura por fila
+ * Deps: caseImports (src/cases/caseImport.js), preHandler, audit, auditActor, auditCaseCreate(req, created, meta)
+ * y absoluteUrl para que los links de la planilla funcionen fuera del navegador.
+ */
+export function registerCaseImportRoutes(app, deps) {
+  const { caseImports, preHandler, audit, auditActor, auditCaseCreate, absoluteUrl, prefix = '/api/tenant/inspections' } = deps;
+  const base = `${prefix}/import`;
+
+  async function loadImport(req, reply) {
+    const imp = await caseImports.get(req.principal.session.tenantId, String(req.params.importId || ''));
+    if (!imp) {
+      reply.code(404).send({ ok: false, error: 'IMPORT_NOT_FOUND' });
+      return null;
+    }
+    return imp;
+  }
+
+  app.post(base, { preHandler }, async (req, reply) => {
+    const { session } = req.principal;
+    const part = await req.file({ limits: { fileSize: MAX_FILE_BYTES } });
+    if (!part) return reply.code(400).send({ ok: false, error: 'NO_FILE' });
+    if (part.fieldname && part.fieldname !== 'file') {
+      return reply.code(400).send({ ok: false, error: 'INVALID_FIELD', expected: 'file', got: part.fieldname });
+    }
+    const buffer = await part.toBuffer();
+    if (part.file.truncated) return reply.code(413).send({ ok: false, error: 'FILE_TOO_LARGE', maxBytes: MAX_FILE_BYTES });
+
+    const result = await caseImports.preview({
+      tenantId: session.tenantId,
+      fileName: part.filename,
+      buffer,
+      actor: auditActor(req)
+    });
+    if (result.error) return reply.code(400).send({ ok: false, ...result });
+    return reply.send({ ok: true, ...result });
+  });
+
+  app.get(`${base}/:importId`, { preHandler, schema: { params: importParams } }, async (req, reply) => {
+    const imp = await loadImport(req, reply);
+    if (!imp) return reply;
+    return reply.send({ ok: true, import: caseImports.summary(imp), rows: imp.results || imp.rows });
+  });
+
+  app.post(`${base}/:importId/commit`, { preHandler, schema: { params: importParams } }, async (req, reply) => {
+    const imp = await loadImport(req, reply);
+    if (!imp) return reply;
+    const { session } = req.principal;
+
+    const result = await caseImports.commit({
+      tenantId: session.tenantId,
+      importId: imp.id,
+      actor: auditActor(req),
+      onCreated: (created, row) => auditCaseCreate(req, created, { importId: imp.id, row: row.row })
+    });
+    if (!result) return reply.code(404).send({ ok: false, error: 'IMPORT_NOT_FOUND' });
+    if (result.error) return reply.code(409).send({ ok: false, ...result });
+
+    await audit(req, {
+      tenantId: session.tenantId,
+      action: 'case_import.commit',
+      entityType: 'CASE_IMPORT',
+      entityId: imp.id,
+      meta: { fileName: imp.fileName, rowsTotal: imp.rowsTotal, rowsCreated: result.import.rowsCreated }
+    });
+    return reply.send({
+      ok: true,
+      ...result,
+      resultsUrl: `${base}/${encodeURIComponent(imp.id)}/results.csv`
+    });
+  });
+
+  app.get(`${base}/:importId/results.csv`, { preHandler, schema: { params: importParams } }, async (req, reply) => {
+    const imp = await loadImport(req, reply);
+    if (!imp) return reply;
+    const name = String(imp.fileName || 'inspecciones').replace(/\.[^.]+$/, '').replace(/[^\w.-]+/g, '_');
+    return reply
+      .header('Content-Type', 'text/csv; charset=utf-8')
+      .header('Content-Disposition', `attachment; filename="${name}-resultado.csv"`)
+      .send(await caseImports.resultsCsv(imp, absoluteUrl));
+  });
+}
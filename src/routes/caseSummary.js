@@ -13,18 +13,25 @@ export async function getCaseSummary({ prisma, storage, caseId, slotGroupTitleFr
     where: { id: caseId, ...(tenantId ? { tenantId } : {}) },
     include: {
       property: { include: { owner: true } },
-      slots: { include: { photo: true } }
+      slots: {
+        include: {
+          photo: true,
+          // Galería: fotos aceptadas del slot, en orden de captura
+          photos: { where: { accepted: true }, orderBy: { createdAt: 'asc' } }
+        }
+      }
     }
   });
   if (!c) return { ok: false, error: 'CASE_NOT_FOUND' };
 
   const slots = (c.slots || []).map((s) => {
-    const group = slotGroupTitleFromCode ? slotGroupTitleFromCode(s.slotCode) : { groupKey: 'OTHER', groupTitle: 'Otros' };
+    const group = slotGroupTitleFromCode ? slotGroupTitleFromCode(s.slotCode, s) : { groupKey: 'OTHER', groupTitle: 'Otros' };
     const kpiKey = classifyKpiFromSlot({
       findingCode: s.analysisCode,
       slotCode: s.slotCode,
       title: s.title,
-      message: s.analysisMessage
+      message: s.analysisMessage,
+      kpiKey: s.kpiKey
     }, scoreConfig?.slotKpiMap);
 
     return {
@@ -38,11 +45,20 @@ export async function getCaseSummary({ prisma, storage, caseId, slotGroupTitleFr
       confidence: s.analysisConfidence,
       message: s.analysisMessage,
       analyzedAt: s.analyzedAt,
+      notCapturableReason: s.notCapturableReason,
+      notCapturableAt: s.notCapturableAt,
       source: normalizeSource(s.analysisCode, s.analysisDebug),
       groupKey: group.groupKey,
       groupTitle: group.groupTitle,
       kpiKey,
-      photoUrl: s.photo?.filePath ? storage.publicUrl(s.photo.filePath) : null
+      photoUrl: s.photo?.filePath ? storage.publicUrl(s.photo.filePath) : null,
+      photos: (s.photos || []).map((p) => ({
+        id: p.id,
+        url: storage.publicUrl(p.filePath),
+        width: p.width,
+        height: p.height,
+        createdAt: p.createdAt
+      }))
     };
   });
 
@@ -66,6 +82,16 @@ export async function getCaseSummary({ prisma, storage, caseId, slotGroupTitleFr
     slots,
     score: scoring.score ?? 0,
     badge: scoring.badge || badgeFromScore(scoring.score ?? 0, scoreConfig),
-    byGroup: scoring.byGroup || []
+    byGroup: scoring.byGroup || [],
+    // Subconjunto de la configuración que necesita el informe (sin prompts de IA)
+    scoreConfig: scoreConfig
+      ? {
+          kpis: scoreConfig.kpis,
+          slotKpiMap: scoreConfig.slotKpiMap,
+          messages: scoreConfig.messages,
+          recommendations: scoreConfig.recommendations,
+          badge: scoreConfig.badge
+        }
+      : null
   };
 }
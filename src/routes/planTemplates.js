@@ -0,0 +1,83 @@
+import { paramsSchema, planTemplateBody } from '../validation/schemas.js';
+
+/**
+ * Plantilla del plan de fotos (habitaciones, slots, indicaciones y KPI). Guardar crea una
+ * versión nueva; los casos ya creados conservan la suya.
+ *   GET /api/tenant/plan-template                  vigente (propia, global o base) y versiones propias
+ *   PUT /api/tenant/plan-template                  nueva versión de la corredora
+ *   GET /api/admin/plan-template                   plantilla global (para corredoras sin plantilla)
+ *   PUT /api/admin/plan-template
+ *   GET /api/admin/tenants/:tenantId/plan-template
+ *   PUT /api/admin/tenants/:tenantId/plan-template
+ */
+export function registerPlanTemplateRoutes(app, deps) {
+  const { prisma, planTemplates, audit, auditActor, readHandler, manageHandler } = deps;
+
+  async function sendTemplate(reply, tenantId) {
+    const [template, versions] = await Promise.all([
+      planTemplates.active(tenantId),
+      planTemplates.versions(tenantId)
+    ]);
+    return reply.send({ ok: true, template, versions });
+  }
+
+  async function saveTemplate(req, reply, tenantId) {
+    const result = await planTemplates.save({
+      tenantId,
+      name: req.body.name,
+      rooms: req.body.rooms,
+      actor: auditActor(req)
+    });
+    if (result.error) return reply.code(result.error === 'PLAN_TEMPLATE_CONFLICT' ? 409 : 400).send({ ok: false, ...result });
+    await audit(req, {
+      tenantId,
+      action: 'plan_template.update',
+      entityType: 'PLAN_TEMPLATE',
+      entityId: result.template.id,
+      before: result.before,
+      after: result.template
+    });
+    return reply.send({ ok: true, template: result.template });
+  }
+
+  async function tenantExists(tenantId) {
+    return !!(await prisma.tenant.findUnique({ where: { id: tenantId }, select: { id: true } }));
+  }
+
+  // ---------- Panel de corredora ----------
+
+  app.get('/api/tenant/plan-template', { preHandler: readHandler }, async (req, reply) => {
+    return sendTemplate(reply, req.principal.session.tenantId);
+  });
+
+  app.put('/api/tenant/plan-template', {
+    preHandler: manageHandler,
+    schema: { body: planTemplateBody }
+  }, async (req, reply) => {
+    return saveTemplate(req, reply, req.principal.session.tenantId);
+  });
+
+  // ---------- Administrador ----------
+
+  app.get('/api/admin/plan-template', async (req, reply) => sendTemplate(reply, null));
+
+  app.put('/api/admin/plan-template', { schema: { body: planTemplateBody } }, async (req, reply) => {
+    return saveTemplate(req, reply, null);
+  });
+
+  app.get('/api/admin/tenants/:tenantId/plan-template', {
+    schema: { params: paramsSchema('tenantId') }
+  }, async (req, reply) => {
+    const tenantId = String(req.params.tenantId);
+    if (!(await tenantExists(tenantId))) return reply.code(404).send({ ok: false, error: 'TENANT_NOT_FOUND' });
+    return sendTemplate(reply, tenantId);
+  });
+
+  app.put('/api/admin/tenants/:tenantId/plan-template', {
+    schema: { params: paramsSchema('tenantId'), body: planTemplateBody }
+  }, async (req, reply) => {
+    const tenantId = String(req.params.tenantId);
+    if (!(await tenantExists(tenantId))) return reply.code(404).send({ ok: false, error: 'TENANT_NOT_FOUND' });
+    return saveTemplate(req, reply, tenantId);
+  });
+}
@@ -0,0 +1,127 @@
+import { findOrCreateOwner } from '../properties/propertyRegistry.js';
+import { fieldError } from '../validation/errors.js';
+import { paramsSchema, propertyCreateBody, propertyListQuery, propertyUpdateBody } from '../validation/schemas.js';
+
+const PROPERTY_FIELDS = ['rol', 'address', 'operationType', 'surface'];
+const propertyParams = paramsSchema('propertyId');
+
+function propertyData(payload) {
+  const data = {};
+  for (const key of PROPERTY_FIELDS) {
+    if (payload[key] !== undefined) data[key] = payload[key] ? String(payload[key]).trim() || null : null;
+  }
+  return data;
+}
+
+function propertySnapshot(p) {
+  return { rol: p.rol, address: p.address, operationType: p.operationType, surface: p.surface, ownerId: p.ownerId };
+}
+
+/**
+ * Registro de propiedades de la corredora (/api/tenant/properties):
+ *   GET    /                       listado (?q=, limit, cursor)
+ *   POST   /                       alta; 409 PROPERTY_EXISTS si ya hay una con el mismo ROL o dirección
+ *   GET    /:propertyId            detalle
+ *   PATCH  /:propertyId            edición (afecta a todas sus inspecciones)
+ *   DELETE /:propertyId            solo sin inspecciones (409 PROPERTY_HAS_CASES)
+ *   GET    /:propertyId/timeline   inspecciones de la propiedad con score y badge en el tiempo
+ */
+export function registerPropertyRoutes(app, { propertyRegistry, prisma, audit, readHandler, writeHandler, deleteHandler }) {
+  const base = '/api/tenant/properties';
+
+  async function ownerFromPayload(tenantId, payload) {
+    if (payload.ownerName === undefined && payload.ownerRut === undefined) return undefined;
+    return findOrCreateOwner(prisma, {
+      tenantId,
+      ownerName: payload.ownerName ? String(payload.ownerName).trim() : null,
+      ownerRut: payload.ownerRut ? String(payload.ownerRut).trim() : null
+    });
+  }
+
+  app.get(base, { preHandler: readHandler, schema: { querystring: propertyListQuery } }, async (req, reply) => {
+    const { session } = req.principal;
+    const result = await propertyRegistry.list(session.tenantId, req.query || {});
+    return reply.send({ ok: true, ...result });
+  });
+
+  app.post(base, { preHandler: writeHandler, schema: { body: propertyCreateBody } }, async (req, reply) => {
+    const { session } = req.principal;
+    const payload = req.body || {};
+    const data = propertyData(payload);
+    if (!data.rol && !data.address) {
+      return reply.code(400).send({ ok: false, ...fieldError('PROPERTY_KEY_REQUIRED', 'address', 'required', 'Indica dirección o ROL') });
+    }
+    const ownerId = (await ownerFromPayload(session.tenantId, payload)) ?? null;
+    const result = await propertyRegistry.create(session.tenantId, { data, ownerId });
+    if (result.error) return reply.code(409).send({ ok: false, ...result });
+
+    await audit(req, {
+      tenantId: session.tenantId,
+      action: 'property.create',
+      entityType: 'PROPERTY',
+      entityId: result.property.id,
+      after: propertySnapshot(result.property)
+    });
+    return reply.send({ ok: true, property: await propertyRegistry.get(session.tenantId, result.property.id) });
+  });
+
+  app.get(`${base}/:propertyId`, { preHandler: readHandler, schema: { params: propertyParams } }, async (req, reply) => {
+    const { session } = req.principal;
+    const property = await propertyRegistry.get(session.tenantId, String(req.params.propertyId));
+    if (!property) return reply.code(404).send({ ok: false, error: 'PROPERTY_NOT_FOUND' });
+    return reply.send({ ok: true, property });
+  });
+
+  app.patch(`${base}/:propertyId`, {
+    preHandler: writeHandler,
+    schema: { params: propertyParams, body: propertyUpdateBody }
+  }, async (req, reply) => {
+    const { session } = req.principal;
+    const payload = req.body || {};
+    const data = propertyData(payload);
+    const ownerId = await ownerFromPayload(session.tenantId, payload);
+    if (!Object.keys(data).length && ownerId === undefined) {
+      return reply.code(400).send({ ok: false, error: 'NOTHING_TO_UPDATE' });
+    }
+
+    const result = await propertyRegistry.update(session.tenantId, String(req.params.propertyId), { data, ownerId });
+    if (!result) return reply.code(404).send({ ok: false, error: 'PROPERTY_NOT_FOUND' });
+    if (result.error === 'PROPERTY_KEY_REQUIRED') {
+      return reply.code(400).send({ ok: false, ...fieldError(result.error, 'address', 'required', 'Indica dirección o ROL') });
+    }
+    if (result.error) return reply.code(409).send({ ok: false, ...result });
+
+    await audit(req, {
+      tenantId: session.tenantId,
+      action: 'property.update',
+      entityType: 'PROPERTY',
+      entityId: result.property.id,
+      before: propertySnapshot(result.before),
+      after: propertySnapshot(result.property)
+    });
+    return reply.send({ ok: true, property: await propertyRegistry.get(session.tenantId, result.property.id) });
+  });
+
+  app.delete(`${base}/:propertyId`, { preHandler: deleteHandler, schema: { params: propertyParams } }, async (req, reply) => {
+    const { session } = req.principal;
+    const result = await propertyRegistry.remove(session.tenantId, String(req.params.propertyId));
+    if (!result) return reply.code(404).send({ ok: false, error: 'PROPERTY_NOT_FOUND' });
+    if (result.error) return reply.code(409).send({ ok: false, ...result });
+
+    await audit(req, {
+      tenantId: session.tenantId,
+      action: 'property.delete',
+      entityType: 'PROPERTY',
+      entityId: result.property.id,
+      before: propertySnapshot(result.property)
+    });
+    return reply.send({ ok: true });
+  });
+
+  app.get(`${base}/:propertyId/timeline`, { preHandler: readHandler, schema: { params: propertyParams } }, async (req, reply) => {
+    const { session } = req.principal;
+    const result = await propertyRegistry.timeline(session.tenantId, String(req.params.propertyId));
+    if (!result) return reply.code(404).send({ ok: false, error: 'PROPERTY_NOT_FOUND' });
+    return reply.send({ ok: true, ...result });
+  });
+}
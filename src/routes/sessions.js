@@ -0,0 +1,66 @@
+import { paramsSchema, sessionRevokeAllQuery } from '../validation/schemas.js';
+
+function publicSession(row, currentId) {
+  return {
+    id: row.id,
+    kind: row.kind,
+    createdAt: row.createdAt,
+    lastSeenAt: row.lastSeenAt,
+    ip: row.ip,
+    userAgent: row.userAgent,
+    expiresAt: new Date(Math.min(new Date(row.idleExpiresAt).getTime(), new Date(row.expiresAt).getTime())),
+    current: row.id === currentId
+  };
+}
+
+/**
+ * Sesiones activas del usuario que llama: listar, cerrar una o cerrar todas ("salir en todos lados").
+ * Cada scope trae:
+ *   path        ruta base, ej. '/api/executive/sessions'
+ *   preHandler  guard que deja req.principal = { session, ... }
+ *   cookieName  cookie de sesión del panel, se limpia si se cierra la sesión actual
+ *   ownerWhere  (req) => filtro Prisma de las sesiones que pertenecen al llamador
+ */
+export function registerSessionRoutes(app, { sessions, audit, scopes }) {
+  for (const scope of scopes) {
+    app.get(scope.path, { preHandler: scope.preHandler }, async (req, reply) => {
+      const rows = await sessions.listActive(scope.ownerWhere(req));
+      return reply.send({ ok: true, sessions: rows.map((row) => publicSession(row, req.principal.session.id)) });
+    });
+
+    app.delete(`${scope.path}/:sessionId`, {
+      preHandler: scope.preHandler,
+      schema: { params: paramsSchema('sessionId') }
+    }, async (req, reply) => {
+      const sessionId = String(req.params.sessionId || '');
+      const revoked = await sessions.revokeWhere({ ...scope.ownerWhere(req), id: sessionId }, 'USER_REVOKED');
+      if (!revoked) return reply.code(404).send({ ok: false, error: 'SESSION_NOT_FOUND' });
+      await audit(req, {
+        tenantId: req.principal.session.tenantId || null,
+        action: 'session.revoke',
+        entityType: 'SESSION',
+        entityId: sessionId
+      });
+      if (sessionId === req.principal.session.id) reply.clearCookie(scope.cookieName, { path: '/' });
+      return reply.send({ ok: true, revoked });
+    });
+
+    // ?exceptCurrent=true mantiene abierta la sesión desde la que se pide
+    app.delete(scope.path, { preHandler: scope.preHandler, schema: { querystring: sessionRevokeAllQuery } }, async (req, reply) => {
+      const exceptCurrent = String(req.query?.exceptCurrent || '').toLowerCase() === 'true';
+      const where = scope.ownerWhere(req);
+      const revoked = await sessions.revokeWhere(
+        exceptCurrent ? { ...where, id: { not: req.principal.session.id } } : where,
+        'USER_REVOKED_ALL'
+      );
+      await audit(req, {
+        tenantId: req.principal.session.tenantId || null,
+        action: 'session.revoke_all',
+        entityType: 'SESSION',
+        meta: { revoked, exceptCurrent }
+      });
+      if (!exceptCurrent) reply.clearCookie(scope.cookieName, { path: '/' });
+      return reply.send({ ok: true, revoked });
+    });
+  }
+}
@@ -0,0 +1,42 @@
+import { slaPolicyBody, slaSummaryQuery } from '../validation/schemas.js';
+
+/**
+ * Plazos de servicio (SLA) de la corredora:
+ *   GET /api/tenant/sla           política vigente (días hábiles de captura e informe, feriados)
+ *   PUT /api/tenant/sla           editar la política; recalcula los plazos de los casos abiertos
+ *   GET /api/tenant/sla/summary   cumplimiento por ejecutivo y mes (?from, to; por defecto 6 meses)
+ */
+export function registerSlaRoutes(app, deps) {
+  const { sla, audit, readHandler, manageHandler } = deps;
+
+  app.get('/api/tenant/sla', { preHandler: readHandler }, async (req, reply) => {
+    const { session } = req.principal;
+    return reply.send({ ok: true, policy: await sla.getPolicy(session.tenantId) });
+  });
+
+  app.put('/api/tenant/sla', { preHandler: manageHandler, schema: { body: slaPolicyBody } }, async (req, reply) => {
+    const { session } = req.principal;
+    const result = await sla.updatePolicy(session.tenantId, req.body || {});
+    await audit(req, {
+      tenantId: session.tenantId,
+      action: 'sla.update',
+      entityType: 'TENANT',
+      entityId: session.tenantId,
+      before: result.before,
+      after: result.policy,
+      meta: { casesUpdated: result.casesUpdated }
+    });
+    return reply.send({ ok: true, policy: result.policy, casesUpdated: result.casesUpdated });
+  });
+
+  app.get('/api/tenant/sla/summary', {
+    preHandler: readHandler,
+    schema: { querystring: slaSummaryQuery }
+  }, async (req, reply) => {
+    const { session } = req.principal;
+    const { from, to } = req.query || {};
+    const summary = await sla.summary(session.tenantId, { from, to });
+    if (summary.error) return reply.code(400).send({ ok: false, error: summary.error });
+    return reply.send({ ok: true, ...summary });
+  });
+}
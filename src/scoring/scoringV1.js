@@ -49,7 +49,8 @@ export function computeScoringV1(findings, slots) {
     const slot = slotById.get(f.slotId);
     const groupKey = slot?.groupKey || 'OTHER';
     const groupTitle = slot?.groupTitle || 'Otros';
-    const mult = GROUP_MULTIPLIER[groupKey] ?? 1.0;
+    // Baños sobre el segundo (BATH_3, BATH_4...) pesan como el secundario
+    const mult = GROUP_MULTIPLIER[groupKey] ?? (groupKey.startsWith('BATH_') ? GROUP_MULTIPLIER.BATH_SECONDARY : 1.0);
 
     const sev = String(f.severity || '').toLowerCase();
     const base = SEVERITY_POINTS[sev] ?? 0;
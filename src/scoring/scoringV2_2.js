@@ -56,7 +56,17 @@ export const DEFAULT_SCORE_CONFIG = {
     BEDROOM_3_CLOSET: "MOBILIARIO_FIJO",
     BEDROOM_3_WINDOWS: "VENTANAS_CERRAMIENTOS",
     LAUNDRY_WALLS_FLOOR: "HUMEDAD",
-    ELECTRICAL_PANEL: "ELECTRICIDAD"
+    ELECTRICAL_PANEL: "ELECTRICIDAD",
+    EXTERIOR_FACADE: "MUROS_PINTURA",
+    EXTERIOR_ROOF: "HUMEDAD",
+    EXTERIOR_GUTTERS: "HUMEDAD",
+    PATIO_GROUND: "PISOS",
+    PATIO_WALLS: "MUROS_PINTURA",
+    ATTIC_STRUCTURE: "HUMEDAD",
+    ATTIC_INSULATION: "HUMEDAD",
+    STRUCTURE_FOUNDATION: "MUROS_PINTURA",
+    STRUCTURE_UNDERFLOOR: "HUMEDAD",
+    STRUCTURE_CRACKS: "MUROS_PINTURA"
   },
   aiPrompts: {
     MOBILIARIO_FIJO: [
@@ -445,8 +455,11 @@ export function normalizeScoreConfig(input) {
 }
 
 export function classifyKpiFromSlot(slot, slotKpiMap) {
+  // KPI fijado por la plantilla del plan de la corredora
+  if (slot.kpiKey) return String(slot.kpiKey).toUpperCase();
   const rawCode = String(slot.slotCode || "");
-  const mapKey = String(slotKpiMap?.[rawCode] || "").toUpperCase();
+  // Habitaciones repetidas sobre las del mapa (BATHROOM_4_WC, BEDROOM_5_FLOOR) usan la entrada de la primera
+  const mapKey = String(slotKpiMap?.[rawCode] || slotKpiMap?.[rawCode.replace(/^([A-Z]+)_\d+_/, "$1_1_")] || "").toUpperCase();
   if (mapKey) return mapKey;
 
   const code = rawCode.toLowerCase();
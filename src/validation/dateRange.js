@@ -0,0 +1,25 @@
+const DATE_ONLY = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+// Una fecha sin hora (YYYY-MM-DD) es ese día local completo: como fin (exclusivo) vale el
+// inicio del día siguiente. Con hora se usa tal cual.
+function parseBound(value, { end = false } = {}) {
+  if (value === null || value === undefined || value === '') return { date: null };
+  const m = String(value).match(DATE_ONLY);
+  const d = m ? new Date(Number(m[1]), Number(m[2]) - 1, Number(m[3]) + (end ? 1 : 0)) : new Date(value);
+  return Number.isNaN(d.getTime()) ? { error: true } : { date: d };
+}
+
+/**
+ * Rango `from`/`to` de un listado. `to` es exclusivo, así que `to=2026-03-31` incluye el 31.
+ * Devuelve { from, to, where } (where = filtro Prisma { gte, lt }, null sin fechas) o
+ * { error: 'DATE_INVALID' }.
+ */
+export function dateRange({ from, to } = {}) {
+  const start = parseBound(from);
+  const end = parseBound(to, { end: true });
+  if (start.error || end.error) return { error: 'DATE_INVALID' };
+  const where = start.date || end.date
+    ? { ...(start.date ? { gte: start.date } : {}), ...(end.date ? { lt: end.date } : {}) }
+    : null;
+  return { from: start.date, to: end.date, where };
+}
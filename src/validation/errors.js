@@ -0,0 +1,73 @@
+// Mensajes por regla de JSON schema; el código (`rule`) es lo estable, el mensaje es para mostrar
+const RULE_MESSAGES = {
+  required: 'Campo obligatorio',
+  type: 'Tipo inválido',
+  enum: 'Valor no permitido',
+  minimum: 'Valor menor al permitido',
+  maximum: 'Valor mayor al permitido',
+  exclusiveMinimum: 'Valor menor al permitido',
+  minLength: 'Texto muy corto',
+  maxLength: 'Texto muy largo',
+  minItems: 'Faltan elementos',
+  maxItems: 'Demasiados elementos',
+  pattern: 'Formato inválido',
+  format: 'Formato inválido',
+  additionalProperties: 'Campo no permitido',
+  exists: 'No existe o no está activo',
+  duplicate: 'Repetido en el archivo'
+};
+
+export function ruleMessage(rule) {
+  return RULE_MESSAGES[rule] || rule;
+}
+
+function fieldPath(err) {
+  const base = String(err.instancePath || '').replace(/^\//, '').replace(/\//g, '.');
+  const child = err.params?.missingProperty || err.params?.additionalProperty;
+  if (child) return base ? `${base}.${child}` : child;
+  return base || null;
+}
+
+/**
+ * Errores de Ajv -> { field, rule, message } (uno por campo, el primero que falló).
+ * allowed acompaña a las reglas enum para que el cliente pueda mostrar las opciones.
+ */
+export function validationFields(errors = []) {
+  const seen = new Set();
+  const fields = [];
+  for (const err of errors) {
+    const field = fieldPath(err);
+    if (seen.has(field)) continue;
+    seen.add(field);
+    fields.push({
+      field,
+      rule: err.keyword,
+      message: RULE_MESSAGES[err.keyword] || err.message,
+      ...(err.keyword === 'enum' ? { allowed: err.params?.allowedValues } : {})
+    });
+  }
+  return fields;
+}
+
+// Error de validación con un campo puntual, para chequeos que el schema no puede hacer (ej. existe en la base)
+export function fieldError(error, field, rule, message) {
+  return { error, fields: [{ field, rule, message }] };
+}
+
+/**
+ * Respuesta uniforme para todo schema que falle: 400 { ok:false, error:'VALIDATION_ERROR', in, fields }.
+ * El resto de los errores sigue al manejador por defecto de Fastify.
+ */
+export function registerValidationErrors(app) {
+  app.setErrorHandler((error, req, reply) => {
+    if (error.validation) {
+      return reply.code(400).send({
+        ok: false,
+        error: 'VALIDATION_ERROR',
+        in: error.validationContext || 'body',
+        fields: validationFields(error.validation)
+      });
+    }
+    return reply.send(error);
+  });
+}
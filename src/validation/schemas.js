@@ -0,0 +1,336 @@
+/**
+ * JSON schemas de las rutas (Fastify los valida con Ajv antes del handler).
+ * Los schemas no cierran additionalProperties: los clientes existentes mandan campos extra
+ * y se ignoran. Con coerceTypes, "3" llega como 3 a los campos numéricos.
+ */
+
+export const PROPERTY_TYPES = ['HOUSE', 'DEPARTMENT'];
+export const FLOOR_TYPES = ['CONCRETE', 'WOOD', 'MIXED'];
+export const PROPERTY_AGE_RANGES = ['LESS_THAN_10_YEARS', 'BETWEEN_10_AND_30_YEARS', 'MORE_THAN_30_YEARS'];
+const TENANT_ROLES = ['TENANT_ADMIN', 'TENANT_USER'];
+const USER_STATUSES = ['PENDING', 'ACTIVE', 'DISABLED'];
+const TENANT_STATUSES = ['ACTIVE', 'INACTIVE'];
+
+const id = { type: 'string', minLength: 1, maxLength: 64 };
+const text = (maxLength = 200) => ({ type: 'string', maxLength });
+const nullableText = (maxLength = 200) => ({ type: ['string', 'null'], maxLength });
+const email = { type: 'string', minLength: 3, maxLength: 254, pattern: '^[^\\s@]+@[^\\s@]+$' };
+const password = { type: 'string', minLength: 1, maxLength: 200 };
+const roomCount = (minimum) => ({ type: 'integer', minimum, maximum: 20 });
+// Claves de habitación y códigos de slot del plan de fotos
+const planCode = { type: 'string', pattern: '^[A-Za-z][A-Za-z0-9_]{0,39}$' };
+
+function object(properties, required = []) {
+  return { type: 'object', properties, ...(required.length ? { required } : {}) };
+}
+
+export function paramsSchema(...names) {
+  return object(Object.fromEntries(names.map((n) => [n, id])), names);
+}
+
+// ---------- Auth ----------
+
+export const emailLoginBody = object({ email, password }, ['email', 'password']);
+// Corredora: RUT + clave de la empresa, o email + clave de un usuario
+export const tenantLoginBody = object({ rut: text(20), email, password }, ['password']);
+export const forgotByEmailBody = object({ email }, ['email']);
+export const forgotByRutBody = object({ rut: { type: 'string', minLength: 1, maxLength: 20 } }, ['rut']);
+export const tokenPasswordBody = object({ token: { type: 'string', minLength: 1, maxLength: 200 }, password }, ['token', 'password']);
+export const unlockLoginBody = object({
+  scope: { type: 'string', enum: ['TENANT', 'EXECUTIVE', 'ADMIN'] },
+  account: { type: 'string', minLength: 1, maxLength: 254 }
+}, ['scope', 'account']);
+
+// ---------- Listados ----------
+
+const pageQuery = {
+  limit: { type: 'integer', minimum: 1, maximum: 200 },
+  cursor: id
+};
+
+export const auditQuery = object({
+  ...pageQuery,
+  tenantId: id,
+  actorId: id,
+  actorType: text(40),
+  action: text(80),
+  entityType: text(40),
+  entityId: id,
+  from: text(40),
+  to: text(40)
+});
+
+export const loginAttemptsQuery = object({
+  limit: { type: 'integer', minimum: 1, maximum: 500 },
+  scope: text(20),
+  account: text(254),
+  ip: text(64),
+  success: { type: 'string', enum: ['true', 'false'] },
+  sinceHours: { type: 'number', exclusiveMinimum: 0 }
+});
+
+// status, propertyType y badge aceptan listas separadas por coma: los valores los revisa caseListing.js
+export const caseListQuery = object({
+  ...pageQuery,
+  status: text(100),
+  propertyType: text(100),
+  badge: text(100),
+  assignedUserId: id,
+  from: text(40),
+  to: text(40),
+  q: text(200),
+  archived: { type: 'string', enum: ['true', 'false'] },
+  sla: { type: 'string', enum: ['overdue', 'at_risk'] },
+  sort: { type: 'string', enum: ['createdAt', 'closedAt', 'progress', 'score'] },
+  order: { type: 'string', enum: ['asc', 'desc'] },
+  tenantId: id
+});
+
+// ---------- Casos ----------
+
+const caseFields = {
+  propertyType: { type: 'string', enum: PROPERTY_TYPES },
+  floorType: { type: 'string', enum: FLOOR_TYPES },
+  propertyAgeRange: { type: ['string', 'null'], enum: [...PROPERTY_AGE_RANGES, null] },
+  bathroomsCount: roomCount(1),
+  bedroomsCount: roomCount(0),
+  bathrooms: roomCount(1),
+  bedrooms: roomCount(0),
+  yearBuilt: { type: ['integer', 'null'], minimum: 1800, maximum: 2100 },
+  hasPatio: { type: 'boolean' },
+  hasAttic: { type: 'boolean' },
+  hasLaundry: { type: 'boolean' },
+  // Habitaciones con nombre; si vienen, reemplazan a bathroomsCount / bedroomsCount en el plan
+  rooms: {
+    type: 'array',
+    maxItems: 40,
+    items: object({ type: planCode, label: nullableText(60) }, ['type'])
+  },
+  propertyRol: nullableText(60),
+  propertyAddress: nullableText(191),
+  propertyOperationType: nullableText(60),
+  propertySurface: nullableText(30)
+};
+
+const captureLinkFields = {
+  captureExpiresInDays: { type: ['number', 'null'], exclusiveMinimum: 0 },
+  captureExpiresAt: nullableText(40),
+  capturePin: { type: ['string', 'null'], pattern: '^(\\d{4,8})?$' },
+  captureGeneratePin: { type: 'boolean' }
+};
+
+export const caseCreateBody = object({
+  ...caseFields,
+  ...captureLinkFields,
+  ownerName: nullableText(200),
+  ownerRut: nullableText(20),
+  assignedUserId: { type: ['string', 'null'], maxLength: 64 },
+  // Propiedad ya registrada; sin esto se busca por ROL o dirección
+  propertyId: { type: ['string', 'null'], maxLength: 64 },
+  // Solo SUPER_ADMIN elige la corredora; el resto la obtiene de su credencial
+  tenantId: { type: ['string', 'null'], maxLength: 64 }
+});
+
+export const caseUpdateBody = object(caseFields);
+
+export const reassignBody = object({
+  toUserId: id,
+  caseIds: { type: 'array', items: id, minItems: 1, maxItems: 500 },
+  fromUserId: id,
+  note: nullableText(1000)
+}, ['toUserId']);
+
+export const caseBaselineBody = object({ baselineCaseId: id }, ['baselineCaseId']);
+
+export const reanalyzeQuery = object({ force: { type: 'string', enum: ['true', 'false', '1', '0'] } });
+
+// ---------- Links de captura ----------
+
+export const captureLinkIssueBody = object({
+  expiresInDays: { type: ['number', 'null'], exclusiveMinimum: 0 },
+  expiresAt: nullableText(40),
+  revokeActive: { type: 'boolean' },
+  pin: { type: ['string', 'null'], pattern: '^(\\d{4,8})?$' },
+  generatePin: { type: 'boolean' }
+});
+
+export const captureLinkExtendBody = object({
+  expiresInDays: { type: ['number', 'null'], exclusiveMinimum: 0 },
+  expiresAt: nullableText(40)
+});
+
+export const captureLinkPinBody = object({
+  pin: { type: ['string', 'null'], pattern: '^(\\d{4,8})?$' },
+  generatePin: { type: 'boolean' }
+});
+
+// El formato del PIN lo revisa el handler: un PIN mal escrito cuenta como intento fallido
+export const capturePinBody = object({ pin: { type: ['string', 'integer'], maxLength: 20 } });
+// Solo el JSON pasa por el schema; el multipart (con foto de respaldo) lo revisa capture.js con las mismas reglas
+export const notCapturableBody = {
+  content: {
+    'application/json': {
+      schema: object({ reason: { type: 'string', minLength: 1, maxLength: 191, pattern: '\\S' } }, ['reason'])
+    }
+  }
+};
+// replace = la foto reemplaza a las anteriores del slot; add = se suma a la galería de un slot ya capturado
+export const captureModeQuery = object({ mode: { type: 'string', enum: ['replace', 'add'] } });
+
+// ---------- Sesiones ----------
+
+export const sessionRevokeAllQuery = object({ exceptCurrent: { type: 'string', enum: ['true', 'false'] } });
+
+// ---------- Usuarios y corredoras ----------
+
+export const tenantUserCreateBody = object({
+  email,
+  fullName: { type: 'string', minLength: 1, maxLength: 200 },
+  phone: nullableText(40),
+  role: { type: 'string', enum: TENANT_ROLES },
+  action: { type: 'string', enum: ['invite', 'save'] }
+}, ['email', 'fullName']);
+
+export const tenantUserUpdateBody = object({
+  fullName: text(200),
+  phone: nullableText(40),
+  role: { type: 'string', enum: TENANT_ROLES },
+  status: { type: 'string', enum: USER_STATUSES },
+  reassignTo: id,
+  unassignOpenCases: { type: 'boolean' }
+});
+
+export const userRemovalQuery = object({
+  reassignTo: id,
+  unassignOpenCases: { type: 'string', enum: ['true', 'false'] }
+});
+
+export const tenantCreateBody = object({
+  name: { type: 'string', minLength: 1, maxLength: 200 },
+  legalName: nullableText(200),
+  rut: nullableText(20),
+  email: { type: ['string', 'null'], maxLength: 254 },
+  phone: nullableText(40),
+  password: { type: 'string', maxLength: 200 }
+}, ['name']);
+
+export const tenantUpdateBody = object({
+  name: text(200),
+  legalName: nullableText(200),
+  rut: text(20),
+  email: { type: ['string', 'null'], maxLength: 254 },
+  phone: nullableText(40),
+  password: { type: 'string', maxLength: 200 },
+  status: { type: 'string', enum: TENANT_STATUSES }
+});
+
+export const apiKeyCreateBody = object({
+  name: { type: 'string', minLength: 1, maxLength: 100 },
+  // Lista o texto separado por comas (normalizeScopes acepta ambos)
+  scopes: { type: ['array', 'string'], items: { type: 'string', maxLength: 40 }, maxItems: 20, maxLength: 400 },
+  expiresAt: nullableText(40)
+}, ['name']);
+
+// ---------- Propiedades ----------
+
+const propertyFields = {
+  rol: nullableText(60),
+  address: nullableText(191),
+  operationType: nullableText(60),
+  surface: nullableText(30),
+  ownerName: nullableText(200),
+  ownerRut: nullableText(20)
+};
+
+export const propertyListQuery = object({ ...pageQuery, q: text(200) });
+// ROL o dirección son obligatorios (uno de los dos): lo revisa el handler
+export const propertyCreateBody = object(propertyFields);
+export const propertyUpdateBody = object(propertyFields);
+
+// ---------- Agenda de visitas ----------
+
+const APPOINTMENT_STATUSES = ['SCHEDULED', 'CONFIRMED', 'DONE', 'NO_SHOW'];
+
+const appointmentFields = {
+  userId: id,
+  // ISO 8601; sin endsAt la visita dura durationMinutes (60 por defecto)
+  startsAt: text(40),
+  endsAt: nullableText(40),
+  durationMinutes: { type: 'integer', minimum: 15, maximum: 720 },
+  contactName: nullableText(191),
+  contactPhone: nullableText(40),
+  contactEmail: nullableText(191),
+  notes: nullableText(2000)
+};
+
+export const appointmentListQuery = object({
+  userId: id,
+  caseId: id,
+  status: text(80),
+  from: text(40),
+  to: text(40),
+  limit: { type: 'integer', minimum: 1, maximum: 500 }
+});
+export const appointmentBookBody = object(appointmentFields, ['startsAt']);
+export const appointmentRescheduleBody = object(appointmentFields);
+export const appointmentStatusBody = object({ status: { type: 'string', enum: APPOINTMENT_STATUSES } }, ['status']);
+export const appointmentCancelBody = object({ reason: { type: 'string', minLength: 1, maxLength: 191, pattern: '\\S' } }, ['reason']);
+
+// ---------- Plantillas del plan de fotos ----------
+
+const planText = (maxLength) => ({ type: 'string', minLength: 1, maxLength });
+const enumList = (values) => ({ type: 'array', items: { type: 'string', enum: values } });
+// Condiciones comunes a habitaciones y slots
+const planConditions = {
+  when: { type: 'string', enum: ['hasPatio', 'hasAttic', 'hasLaundry'] },
+  propertyTypes: enumList(PROPERTY_TYPES),
+  floorTypes: enumList(FLOOR_TYPES),
+  ageRanges: enumList(PROPERTY_AGE_RANGES)
+};
+
+const planSlot = object({
+  code: planCode,
+  title: text(80),
+  where: planText(70),
+  lookFor: planText(70),
+  required: { type: 'boolean' },
+  kpi: nullableText(40),
+  ...planConditions
+}, ['code', 'where', 'lookFor']);
+
+const planRoom = object({
+  key: planCode,
+  title: planText(60),
+  labels: { type: 'array', maxItems: 20, items: planText(60) },
+  repeat: object({
+    field: { type: 'string', enum: ['bathroomsCount', 'bedroomsCount'] },
+    min: { type: 'integer', minimum: 0, maximum: 20 },
+    max: { type: 'integer', minimum: 1, maximum: 20 }
+  }, ['field']),
+  ...planConditions,
+  slots: { type: 'array', minItems: 1, maxItems: 50, items: planSlot }
+}, ['key', 'title', 'slots']);
+
+export const planTemplateBody = object({
+  name: planText(120),
+  rooms: { type: 'array', minItems: 1, maxItems: 40, items: planRoom }
+}, ['name', 'rooms']);
+
+// ---------- SLA ----------
+
+// Días hábiles desde la creación del caso; null = sin compromiso para esa etapa
+const slaDays = { type: ['integer', 'null'], minimum: 0, maximum: 90 };
+
+export const slaPolicyBody = object({
+  captureDays: slaDays,
+  reportDays: slaDays,
+  atRiskHours: { type: 'integer', minimum: 1, maximum: 720 },
+  holidays: {
+    type: 'array',
+    maxItems: 100,
+    items: { type: 'string', pattern: '^\\d{4}-\\d{2}-\\d{2}$' }
+  }
+});
+export const slaSummaryQuery = object({ from: text(40), to: text(40) });
+
+export const scoreConfigBody = { type: 'object' };
@@ -0,0 +1,88 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+
+import { createCaseImportService } from '../../src/cases/caseImport.js';
+
+// Solo lo que usa preview: ejecutivos activos y el CaseImport guardado
+function fakePrisma(users = []) {
+  return {
+    user: { findMany: async ({ where }) => users.filter((u) => where.email.in.includes(u.email)) },
+    caseImport: { create: async ({ data }) => ({ id: 'imp-1', createdAt: new Date(), completedAt: null, rowsCreated: 0, ...data }) }
+  };
+}
+
+async function preview(csv, users) {
+  const service = createCaseImportService({ prisma: fakePrisma(users), caseCreation: null });
+  return service.preview({ tenantId: 't-1', fileName: 'casos.csv', buffer: Buffer.from(csv, 'utf8'), actor: null });
+}
+
+const errorsOf = (result, row) => result.rows.find((r) => r.row === row).errors.map((e) => [e.field, e.rule]);
+
+test('preview marca como duplicadas las filas con el mismo ROL o la misma dirección normalizada', async () => {
+  const result = await preview([
+    'Dirección;ROL',
+    'Av. Uno 123;100-1',
+    'av uno 123;',
+    'Otra 5;100-1',
+    'Otra 6;200-2'
+  ].join('\n'));
+
+  assert.deepEqual(errorsOf(result, 2), []);
+  assert.deepEqual(errorsOf(result, 3), [['propertyAddress', 'duplicate']]);
+  assert.deepEqual(errorsOf(result, 4), [['propertyRol', 'duplicate']]);
+  assert.equal(result.rows.find((r) => r.row === 4).errors[0].message, 'Repetido en la fila 2');
+  assert.deepEqual(errorsOf(result, 5), []);
+  assert.equal(result.import.rowsValid, 2);
+});
+
+test('preview valida tipo de propiedad, sí/no y ejecutivo', async () => {
+  const result = await preview([
+    'Dirección;Tipo;Lavandería;Email ejecutivo',
+    'Uno 1;Depto;Sí;ana@corredora.cl',
+    'Dos 2;oficina;tal vez;nadie@corredora.cl'
+  ].join('\n'), [{ id: 'u-1', email: 'ana@corredora.cl', fullName: 'Ana' }]);
+
+  assert.deepEqual(errorsOf(result, 2), []);
+  assert.deepEqual(errorsOf(result, 3), [
+    ['propertyType', 'enum'],
+    ['hasLaundry', 'enum'],
+    ['executiveEmail', 'exists']
+  ]);
+  assert.deepEqual(result.rows.find((r) => r.row === 3).errors[0].allowed, ['casa', 'departamento']);
+});
+
+test('preview exige las columnas de dirección o ROL e informa las no reconocidas', async () => {
+  assert.equal((await preview('Nombre;Comuna\nx;y')).error, 'COLUMNS_MISSING');
+  const result = await preview('ROL;Comuna\n1-1;Ñuñoa');
+  assert.deepEqual(result.ignoredColumns, ['Comuna']);
+});
+
+test('commit no registra como FAILED una fila ya creada si falla guardar el avance', async () => {
+  const imp = {
+    id: 'imp-1',
+    tenantId: 't-1',
+    status: 'VALIDATED',
+    rows: [{ row: 2, input: { propertyRol: '1-1' }, executiveEmail: null, errors: [] }],
+    results: null
+  };
+  const saved = [];
+  const prisma = {
+    caseImport: {
+      findFirst: async () => imp,
+      updateMany: async () => ({ count: 1 }),
+      update: async ({ data }) => {
+        saved.push(structuredClone(data));
+        if (saved.length === 1) throw new Error('db caída');
+        return { ...imp, ...data };
+      }
+    }
+  };
+  const caseCreation = { create: async () => ({ caseId: 'case-1', captureUrl: '/capture/x', captureExpiresAt: null }) };
+  const service = createCaseImportService({ prisma, caseCreation });
+
+  await assert.rejects(service.commit({ tenantId: 't-1', importId: 'imp-1', actor: null }), /db caída/);
+  const last = saved.at(-1);
+  assert.equal(last.status, 'FAILED');
+  assert.equal(last.rowsCreated, 1);
+  assert.deepEqual(last.results.map((r) => [r.row, r.status, r.caseId]), [[2, 'CREATED', 'case-1']]);
+});
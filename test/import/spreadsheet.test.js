@@ -0,0 +1,110 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import zlib from 'node:zlib';
+
+import { parseCsv, parseXlsx, readSpreadsheet, toCsv } from '../../src/import/spreadsheet.js';
+
+// Zip mínimo (sin CRC: el lector no lo verifica) con las entradas dadas, comprimidas con deflate
+function zip(files) {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+  for (const [name, content] of Object.entries(files)) {
+    const nameBuf = Buffer.from(name, 'utf8');
+    const data = zlib.deflateRawSync(Buffer.from(content, 'utf8'));
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(8, 8);
+    local.writeUInt32LE(data.length, 18);
+    local.writeUInt32LE(Buffer.byteLength(content), 22);
+    local.writeUInt16LE(nameBuf.length, 26);
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(8, 10);
+    central.writeUInt32LE(data.length, 20);
+    central.writeUInt32LE(Buffer.byteLength(content), 24);
+    central.writeUInt16LE(nameBuf.length, 28);
+    central.writeUInt32LE(offset, 42);
+    locals.push(local, nameBuf, data);
+    centrals.push(central, nameBuf);
+    offset += local.length + nameBuf.length + data.length;
+  }
+  const centralDir = Buffer.concat(centrals);
+  const eocd = Buffer.alloc(22);
+  eocd.writeUInt32LE(0x06054b50, 0);
+  eocd.writeUInt16LE(Object.keys(files).length, 8);
+  eocd.writeUInt16LE(Object.keys(files).length, 10);
+  eocd.writeUInt32LE(centralDir.length, 12);
+  eocd.writeUInt32LE(offset, 16);
+  return Buffer.concat([...locals, centralDir, eocd]);
+}
+
+function workbook(sheetXml, sharedXml) {
+  const files = {
+    'xl/workbook.xml': '<workbook><sheets><sheet name="Hoja1" sheetId="1" r:id="rId1"/></sheets></workbook>',
+    'xl/_rels/workbook.xml.rels': '<Relationships><Relationship Id="rId1" Target="worksheets/sheet1.xml"/></Relationships>',
+    'xl/worksheets/sheet1.xml': `<worksheet><sheetData>${sheetXml}</sheetData></worksheet>`
+  };
+  if (sharedXml) files['xl/sharedStrings.xml'] = `<sst>${sharedXml}</sst>`;
+  return zip(files);
+}
+
+test('parseCsv usa el separador que más aparece en la primera línea', () => {
+  assert.deepEqual(parseCsv('a;b;c\n1;2,5;3\n'), [['a', 'b', 'c'], ['1', '2,5', '3']]);
+  assert.deepEqual(parseCsv('a,b\n1,2'), [['a', 'b'], ['1', '2']]);
+});
+
+test('parseCsv respeta comillas, "" escapado y saltos CRLF dentro de comillas', () => {
+  const rows = parseCsv('\uFEFFdireccion;nota\r\n"Av. Uno 123; depto 4";"dice ""hola"""\r\n"linea 1\r\nlinea 2";x\r\n');
+  assert.deepEqual(rows, [
+    ['direccion', 'nota'],
+    ['Av. Uno 123; depto 4', 'dice "hola"'],
+    ['linea 1\r\nlinea 2', 'x']
+  ]);
+});
+
+test('toCsv escapa lo que parseCsv vuelve a leer igual', () => {
+  const rows = [['fila', 'texto'], ['1', 'a;b "c"\nd']];
+  assert.deepEqual(parseCsv(toCsv(rows)), rows);
+});
+
+test('parseXlsx lee textos compartidos, inline, booleanos y deja vacías las columnas saltadas', () => {
+  const buffer = workbook(
+    '<row r="1"><c r="A1" t="s"><v>0</v></c><c r="B1" t="s"><v>1</v></c><c r="D1" t="inlineStr"><is><t>Lavandería</t></is></c></row>'
+      + '<row r="3"><c r="A3" t="s"><v>2</v></c><c r="C3"><v>3</v></c><c r="D3" t="b"><v>1</v></c></row>',
+    '<si><t>Dirección</t></si><si><r><t>Dormi</t></r><r><t>torios</t></r></si><si><t>Los Álamos &amp; Cía</t></si>'
+  );
+  assert.deepEqual(parseXlsx(buffer), [
+    ['Dirección', 'Dormitorios', '', 'Lavandería'],
+    [],
+    ['Los Álamos & Cía', '', '3', 'TRUE']
+  ]);
+});
+
+test('parseXlsx rechaza números de fila o columna fuera de los límites de Excel sin armar el arreglo', () => {
+  assert.equal(parseXlsx(workbook('<row r="4000000000"><c r="A4000000000" t="inlineStr"><is><t>x</t></is></c></row>')), null);
+  assert.equal(parseXlsx(workbook('<row r="1"><c r="ZZZZZZ1" t="inlineStr"><is><t>x</t></is></c></row>')), null);
+});
+
+test('readSpreadsheet acota las filas de un xlsx: ignora las vacías de más y rechaza las con datos', () => {
+  const sheet = (far) => workbook(
+    '<row r="1"><c r="A1" t="inlineStr"><is><t>rol</t></is></c></row>'
+      + '<row r="2"><c r="A2" t="inlineStr"><is><t>1-1</t></is></c></row>'
+      + far
+  );
+  assert.deepEqual(readSpreadsheet({ filename: 'casos.xlsx', buffer: sheet('<row r="900000" s="1"/>'), maxRows: 3 }), {
+    rows: [['rol'], ['1-1']]
+  });
+  assert.deepEqual(
+    readSpreadsheet({ filename: 'casos.xlsx', buffer: sheet('<row r="900000"><c r="A900000"><v>7</v></c></row>'), maxRows: 3 }),
+    { error: 'TOO_MANY_ROWS' }
+  );
+});
+
+test('readSpreadsheet elige el formato por extensión o por firma del zip', () => {
+  const buffer = workbook('<row r="1"><c r="A1" t="inlineStr"><is><t>rol</t></is></c></row>');
+  assert.deepEqual(readSpreadsheet({ filename: 'casos.xlsx', buffer }), { rows: [['rol']] });
+  assert.deepEqual(readSpreadsheet({ buffer }), { rows: [['rol']] });
+  assert.deepEqual(readSpreadsheet({ filename: 'casos.xlsx', buffer: Buffer.from('no es zip') }), { error: 'FILE_FORMAT_INVALID' });
+  assert.deepEqual(readSpreadsheet({ filename: 'casos.pdf', buffer }), { error: 'FILE_TYPE_UNSUPPORTED' });
+});
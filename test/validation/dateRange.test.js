@@ -0,0 +1,20 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+
+import { dateRange } from '../../src/validation/dateRange.js';
+
+test('dateRange toma una fecha sin hora como el día local completo', () => {
+  const range = dateRange({ from: '2026-03-01', to: '2026-03-31' });
+  assert.deepEqual(range.where, { gte: new Date(2026, 2, 1), lt: new Date(2026, 3, 1) });
+});
+
+test('dateRange usa tal cual las fechas con hora', () => {
+  const range = dateRange({ to: '2026-03-31T12:00:00Z' });
+  assert.equal(range.from, null);
+  assert.deepEqual(range.where, { lt: new Date('2026-03-31T12:00:00Z') });
+});
+
+test('dateRange sin fechas no filtra y con una inválida informa DATE_INVALID', () => {
+  assert.deepEqual(dateRange({}), { from: null, to: null, where: null });
+  assert.deepEqual(dateRange({ from: 'ayer' }), { error: 'DATE_INVALID' });
+});